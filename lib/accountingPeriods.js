@@ -0,0 +1,256 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+const { convertEarningsRow } = require('./fx');
+
+// A month (keyed by its first day) is open until it is closed; months without a row are open.
+// Finance closes a month once it has been paid, and the scheduler closes the previous month once
+// its grace period is over. A closed month's earnings are locked: a sync that comes up with
+// different numbers books the difference as an adjustment row in the next open month instead.
+
+// pg returns DATE columns as local-midnight Dates; periods are handled as 'YYYY-MM-01' strings
+function toPeriod(value) {
+  if (typeof value === 'string') return `${value.slice(0, 7)}-01`;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-01`;
+}
+
+function addMonths(period, months) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM' from a route parameter
+function parsePeriodParam(value) {
+  if (typeof value !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    throw new ServiceError('period must be in YYYY-MM format.');
+  }
+  return `${value}-01`;
+}
+
+async function isPeriodClosed(period, db = pool) {
+  const result = await db.query(
+    "SELECT 1 FROM accounting_periods WHERE period = $1::date AND status = 'closed'",
+    [toPeriod(period)]
+  );
+  return result.rows.length > 0;
+}
+
+// The first month from `period` onwards that isn't closed
+async function firstOpenPeriod(period, db = pool) {
+  const result = await db.query(
+    "SELECT period FROM accounting_periods WHERE status = 'closed' AND period >= $1::date",
+    [toPeriod(period)]
+  );
+  const closed = new Set(result.rows.map((row) => toPeriod(row.period)));
+
+  let candidate = toPeriod(period);
+  while (closed.has(candidate)) {
+    candidate = addMonths(candidate, 1);
+  }
+  return candidate;
+}
+
+// Returns the period row; closing a closed period changes nothing
+async function closePeriod(period, { adminIdentifier, reason = null }, db = pool) {
+  const result = await db.query(
+    `INSERT INTO accounting_periods (period, status, closed_at, closed_by)
+     VALUES ($1::date, 'closed', NOW(), $2)
+     ON CONFLICT (period)
+     DO UPDATE SET status = 'closed', closed_at = NOW(), closed_by = EXCLUDED.closed_by
+     WHERE accounting_periods.status <> 'closed'
+     RETURNING *`,
+    [toPeriod(period), adminIdentifier]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await db.query('SELECT * FROM accounting_periods WHERE period = $1::date', [toPeriod(period)]);
+    return existing.rows[0];
+  }
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'period_close',
+    details: `Closed ${toPeriod(period).slice(0, 7)}${reason ? `: ${reason}` : ''}`
+  }, db);
+
+  return result.rows[0];
+}
+
+// Reopening lets syncs overwrite the month again. Adjustments already booked for it stay where
+// they are; the next sync of the month takes them into account, so nothing is counted twice.
+async function reopenPeriod(period, { adminIdentifier, reason }) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new ServiceError('A reason is required to reopen a period.');
+  }
+
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE accounting_periods
+       SET status = 'open', reopened_at = NOW(), reopened_by = $2
+       WHERE period = $1::date AND status = 'closed'
+       RETURNING *`,
+      [toPeriod(period), adminIdentifier]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(`${toPeriod(period).slice(0, 7)} is not closed.`, 409);
+    }
+
+    await logAdminAction({
+      adminIdentifier,
+      action: 'period_reopen',
+      details: `Reopened ${toPeriod(period).slice(0, 7)}: ${reason.trim()}`
+    }, client);
+
+    return result.rows[0];
+  });
+}
+
+async function listAccountingPeriods() {
+  const result = await pool.query('SELECT * FROM accounting_periods ORDER BY period DESC LIMIT 36');
+  return result.rows;
+}
+
+// Sum of the adjustment rows that correct one partner's month in one currency
+async function bookedAdjustments({ partnerId, period, currency }, db = pool) {
+  const result = await db.query(
+    `SELECT
+       COALESCE(SUM(gross_revenue), 0) AS gross,
+       COALESCE(SUM(net_revenue), 0) AS net,
+       COALESCE(SUM(commission_amount), 0) AS commission,
+       COALESCE(SUM(conversion_count), 0) AS conversions
+     FROM partner_earnings
+     WHERE entry_type = 'adjustment' AND partner_id = $1 AND adjusts_period = $2::date AND currency = $3`,
+    [partnerId, toPeriod(period), currency]
+  );
+
+  const row = result.rows[0];
+  return {
+    gross: Number(row.gross),
+    net: Number(row.net),
+    commission: Number(row.commission),
+    conversions: Number(row.conversions)
+  };
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Books `delta` (gross, net, commission, conversions) against a closed month in the first open
+// month after it, added to any adjustment already booked there for that month
+async function bookAdjustment({
+  partnerId,
+  period,
+  currency,
+  delta,
+  commissionRate,
+  commissionRuleId,
+  source
+}, db = pool) {
+  const bookInto = await firstOpenPeriod(addMonths(toPeriod(period), 1), db);
+
+  const result = await db.query(
+    `INSERT INTO partner_earnings (
+       partner_id,
+       period,
+       currency,
+       gross_revenue,
+       net_revenue,
+       commission_rate,
+       commission_amount,
+       commission_rule_id,
+       conversion_count,
+       source,
+       entry_type,
+       adjusts_period
+     )
+     VALUES ($1, $2::date, $3, $4, $5, $6, $7, $8, $9, $10, 'adjustment', $11::date)
+     ON CONFLICT (partner_id, period, currency, adjusts_period) WHERE entry_type = 'adjustment'
+     DO UPDATE SET
+       gross_revenue = partner_earnings.gross_revenue + EXCLUDED.gross_revenue,
+       net_revenue = partner_earnings.net_revenue + EXCLUDED.net_revenue,
+       commission_rate = EXCLUDED.commission_rate,
+       commission_amount = partner_earnings.commission_amount + EXCLUDED.commission_amount,
+       commission_rule_id = EXCLUDED.commission_rule_id,
+       conversion_count = partner_earnings.conversion_count + EXCLUDED.conversion_count,
+       source = EXCLUDED.source
+     RETURNING *`,
+    [
+      partnerId,
+      bookInto,
+      currency,
+      delta.gross,
+      delta.net,
+      commissionRate,
+      delta.commission,
+      commissionRuleId,
+      delta.conversions,
+      source,
+      toPeriod(period)
+    ]
+  );
+
+  return convertEarningsRow(result.rows[0], db);
+}
+
+// For a closed month: compares the newly computed totals with the locked row plus the adjustments
+// already booked for it, and books any difference in the next open month. Returns the locked row
+// (null if the partner had none that month) and the adjustment row (null if nothing changed).
+async function bookEarningsAdjustment({
+  partnerId,
+  period,
+  currency,
+  grossRevenue,
+  netRevenue,
+  commissionRate,
+  commissionRuleId,
+  conversionCount,
+  source
+}, db = pool) {
+  const lockedRes = await db.query(
+    `SELECT * FROM partner_earnings
+     WHERE entry_type = 'sync' AND partner_id = $1 AND period = $2::date AND currency = $3`,
+    [partnerId, toPeriod(period), currency]
+  );
+  const locked = lockedRes.rows[0] || null;
+  const booked = await bookedAdjustments({ partnerId, period, currency }, db);
+
+  const recorded = (column) => (locked ? Number(locked[column]) : 0);
+  const delta = {
+    gross: roundAmount(grossRevenue - recorded('gross_revenue') - booked.gross),
+    net: roundAmount(netRevenue - recorded('net_revenue') - booked.net),
+    commission: roundAmount(netRevenue * commissionRate - recorded('commission_amount') - booked.commission),
+    conversions: conversionCount - recorded('conversion_count') - booked.conversions
+  };
+
+  if (!delta.gross && !delta.net && !delta.commission && !delta.conversions) {
+    return { earnings: locked, adjustment: null };
+  }
+
+  const adjustment = await bookAdjustment({
+    partnerId,
+    period,
+    currency,
+    delta,
+    commissionRate,
+    commissionRuleId,
+    source
+  }, db);
+
+  return { earnings: locked, adjustment };
+}
+
+module.exports = {
+  toPeriod,
+  parsePeriodParam,
+  isPeriodClosed,
+  firstOpenPeriod,
+  closePeriod,
+  reopenPeriod,
+  listAccountingPeriods,
+  bookedAdjustments,
+  bookAdjustment,
+  bookEarningsAdjustment
+};
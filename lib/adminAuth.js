@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { generateToken, hashToken } = require('./tokens');
+
+const ADMIN_ROLES = ['reviewer', 'finance', 'owner'];
+const ADMIN_SESSION_TTL_HOURS = Number(process.env.ADMIN_SESSION_TTL_HOURS || '12');
+
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 12;
+
+// The async scrypt runs on the libuv thread pool, so logins don't block other requests
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as scrypt$<salt hex>$<hash hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Verified against when the email is unknown so a miss costs the same time as a wrong password
+// (a promise, hashed once at startup)
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function validateRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new ServiceError(`role must be one of: ${ADMIN_ROLES.join(', ')}.`);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ServiceError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+function toAdmin(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    is_active: row.is_active,
+    last_login_at: row.last_login_at,
+    created_at: row.created_at
+  };
+}
+
+async function createAdminUser({ email, name, role, password }) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || !normalized.includes('@')) {
+    throw new ServiceError('A valid email is required.');
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  const existing = await pool.query('SELECT id FROM admin_users WHERE email = $1', [normalized]);
+  if (existing.rows.length > 0) {
+    throw new ServiceError('An admin with this email already exists.', 409);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO admin_users (email, name, role, password_hash)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [normalized, name || null, role, await hashPassword(password)]
+  );
+
+  return toAdmin(result.rows[0]);
+}
+
+async function updateAdminUser(id, { name, role, isActive, password }) {
+  const sets = [];
+  const params = [];
+
+  if (name !== undefined) {
+    params.push(name || null);
+    sets.push(`name = $${params.length}`);
+  }
+  if (role !== undefined) {
+    validateRole(role);
+    params.push(role);
+    sets.push(`role = $${params.length}`);
+  }
+  if (isActive !== undefined) {
+    params.push(Boolean(isActive));
+    sets.push(`is_active = $${params.length}`);
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+    params.push(await hashPassword(password));
+    sets.push(`password_hash = $${params.length}`);
+  }
+
+  if (sets.length === 0) {
+    throw new ServiceError('Nothing to update.');
+  }
+
+  params.push(id);
+  const result = await pool.query(
+    `UPDATE admin_users SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('Admin user not found.', 404);
+  }
+
+  // Deactivating an admin or changing their password signs them out everywhere
+  if (isActive === false || password !== undefined) {
+    await pool.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [id]);
+  }
+
+  return toAdmin(result.rows[0]);
+}
+
+async function listAdminUsers() {
+  const result = await pool.query('SELECT * FROM admin_users ORDER BY created_at');
+  return result.rows.map(toAdmin);
+}
+
+// Returns { token, admin } on success, or null when the email/password pair is wrong
+async function loginAdmin({ email, password, ip, userAgent }) {
+  const result = await pool.query(
+    'SELECT * FROM admin_users WHERE email = $1 AND is_active = true',
+    [normalizeEmail(email)]
+  );
+  const row = result.rows[0];
+
+  const passwordOk = await verifyPassword(String(password || ''), row ? row.password_hash : await DUMMY_PASSWORD_HASH);
+  if (!row || !passwordOk) {
+    return null;
+  }
+
+  const token = generateToken();
+
+  await pool.query(
+    `INSERT INTO admin_sessions (token_hash, admin_user_id, expires_at, ip, user_agent)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3::int), $4, $5)`,
+    [hashToken(token), row.id, ADMIN_SESSION_TTL_HOURS, ip || null, (userAgent || '').slice(0, 255) || null]
+  );
+
+  await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+
+  return { token, admin: toAdmin(row) };
+}
+
+async function getAdminForSession(token) {
+  if (!token) return null;
+
+  const result = await pool.query(
+    `SELECT u.*
+     FROM admin_sessions s
+     JOIN admin_users u ON u.id = s.admin_user_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.is_active = true`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? toAdmin(result.rows[0]) : null;
+}
+
+async function logoutAdmin(token) {
+  if (!token) return;
+  await pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  createAdminUser,
+  updateAdminUser,
+  listAdminUsers,
+  loginAdmin,
+  getAdminForSession,
+  logoutAdmin
+};
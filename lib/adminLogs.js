@@ -0,0 +1,12 @@
+const { pool } = require('./db');
+
+// Pass a transaction client as `db` when the log entry must commit together with the change it describes
+async function logAdminAction({ adminIdentifier, action, applicationId = null, details = null }, db = pool) {
+  await db.query(
+    `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
+     VALUES ($1, $2, $3, $4)`,
+    [adminIdentifier, action, applicationId, details]
+  );
+}
+
+module.exports = { logAdminAction };
@@ -0,0 +1,276 @@
+const { pool } = require('./db');
+const { ServiceError, ValidationError } = require('./errors');
+const { validateApplication } = require('./applicationSchema');
+const { enqueueJob } = require('./jobs');
+
+// Screening for public application submissions, run before an application is stored:
+//   1. per-IP rate limit (sliding window over application_submissions)
+//   2. honeypot field - a bot that fills it gets the normal success answer and nothing is stored
+//   3. the shared schema (lib/applicationSchema.js), with field-level errors
+//   4. normalized email (case, plus-addressing) must not have applied before; if it has, the
+//      applicant is emailed a link to their application's status page instead
+//   5. heuristics that flag the application for the reviewer and lower its review score
+// Every submission is logged in application_submissions with its outcome.
+const APPLICATION_RATE_LIMIT_WINDOW_MINUTES = Number(process.env.APPLICATION_RATE_LIMIT_WINDOW_MINUTES || '60');
+const APPLICATION_RATE_LIMIT_MAX_PER_IP = Number(process.env.APPLICATION_RATE_LIMIT_MAX_PER_IP || '5');
+
+// Hidden in the form; people never see it, form-filling bots fill it
+const HONEYPOT_FIELD = 'website';
+
+// Submissions are kept this long for the rate limit and the audit trail, then pruned
+const SUBMISSION_RETENTION_DAYS = 30;
+
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com',
+  'dispostable.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'mailinator.com',
+  'maildrop.cc',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+  ...String(process.env.APPLICATION_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean)
+]);
+
+// The review score starts at BASE, gains points for total audience and a complete application, and
+// loses the points of each flag; it is kept between 0 and 100
+const SCORE = {
+  BASE: 50,
+  AUDIENCE: [
+    { min: 100000, points: 30 },
+    { min: 10000, points: 20 },
+    { min: 1000, points: 10 }
+  ],
+  WHATSAPP: 5,
+  SECOND_PLATFORM: 5,
+  DETAILED_MOTIVATION: 10,
+  DETAILED_MOTIVATION_LENGTH: 200
+};
+
+// code -> points taken off the score and the reviewer-facing description
+const FLAGS = {
+  disposable_email: { points: 40, label: 'Disposable email domain' },
+  duplicate_whatsapp: { points: 25, label: 'WhatsApp number used by another application' },
+  duplicate_name: { points: 15, label: 'Same name as another application' },
+  short_motivation: { points: 10, label: 'Very short motivation' },
+  links_in_motivation: { points: 10, label: 'Links in the motivation' }
+};
+const SHORT_MOTIVATION_LENGTH = 40;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lower case without plus-addressing, so Ava+gib@Example.com and ava@example.com are one applicant
+function normalizeApplicationEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(value)) return null;
+
+  const at = value.lastIndexOf('@');
+  const local = value.slice(0, at).split('+')[0];
+  return local ? `${local}${value.slice(at)}` : null;
+}
+
+// Digits only, for matching numbers however they were written
+function normalizeWhatsapp(whatsapp) {
+  const digits = String(whatsapp || '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.length >= 7 ? digits : null;
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function emailDomain(emailNormalized) {
+  return emailNormalized.slice(emailNormalized.lastIndexOf('@') + 1);
+}
+
+async function recordSubmission({ ip, emailNormalized, outcome, applicationId = null }, db = pool) {
+  await db.query(
+    `INSERT INTO application_submissions (ip, email_normalized, outcome, application_id)
+     VALUES ($1, $2, $3, $4)`,
+    [ip || null, emailNormalized || null, outcome, applicationId]
+  );
+}
+
+async function isRateLimited(ip) {
+  if (!ip) return false;
+
+  await pool.query(
+    `DELETE FROM application_submissions
+     WHERE created_at < NOW() - make_interval(days => $1)`,
+    [SUBMISSION_RETENTION_DAYS]
+  );
+
+  // Refused submissions don't count, so a client that keeps retrying isn't locked out for longer
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS submissions
+     FROM application_submissions
+     WHERE ip = $1
+       AND outcome <> 'rate_limited'
+       AND created_at > NOW() - make_interval(mins => $2::int)`,
+    [ip, APPLICATION_RATE_LIMIT_WINDOW_MINUTES]
+  );
+
+  return result.rows[0].submissions >= APPLICATION_RATE_LIMIT_MAX_PER_IP;
+}
+
+// Flags for the reviewer; duplicate flags point at the newest other matching application
+async function applicationFlags({ applicationId, emailNormalized, whatsappNormalized, name, motivation }, db) {
+  const flags = [];
+  const flag = (code, applicationId = null) => {
+    flags.push({ code, label: FLAGS[code].label, points: FLAGS[code].points, application_id: applicationId });
+  };
+
+  if (DISPOSABLE_EMAIL_DOMAINS.has(emailDomain(emailNormalized))) {
+    flag('disposable_email');
+  }
+
+  if (whatsappNormalized) {
+    const whatsappMatch = await db.query(
+      'SELECT id FROM partner_applications WHERE whatsapp_normalized = $1 AND id <> $2 ORDER BY id DESC LIMIT 1',
+      [whatsappNormalized, applicationId || 0]
+    );
+    if (whatsappMatch.rows[0]) flag('duplicate_whatsapp', whatsappMatch.rows[0].id);
+  }
+
+  const nameMatch = await db.query(
+    `SELECT id FROM partner_applications
+     WHERE LOWER(regexp_replace(TRIM(name), '\\s+', ' ', 'g')) = $1 AND id <> $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [normalizeName(name), applicationId || 0]
+  );
+  if (nameMatch.rows[0]) flag('duplicate_name', nameMatch.rows[0].id);
+
+  const text = String(motivation || '').trim();
+  if (text.length < SHORT_MOTIVATION_LENGTH) flag('short_motivation');
+  if (/https?:\/\/|www\./i.test(text)) flag('links_in_motivation');
+
+  return flags;
+}
+
+function reviewScore({ audienceCount, whatsappNormalized, platforms, motivation }, flags) {
+  let score = SCORE.BASE;
+
+  const audience = SCORE.AUDIENCE.find((step) => audienceCount >= step.min);
+  if (audience) score += audience.points;
+  if (whatsappNormalized) score += SCORE.WHATSAPP;
+  if (platforms.length > 1) score += SCORE.SECOND_PLATFORM;
+  if (String(motivation || '').trim().length >= SCORE.DETAILED_MOTIVATION_LENGTH) score += SCORE.DETAILED_MOTIVATION;
+
+  for (const { points } of flags) score -= points;
+
+  return Math.min(Math.max(score, 0), 100);
+}
+
+// Total audience, flags and review score for an application's current fields. Pass the
+// application's id when rescoring a stored one, so it isn't flagged as a duplicate of itself.
+async function scoreApplication({
+  applicationId = null,
+  emailNormalized,
+  whatsappNormalized,
+  name,
+  platforms,
+  motivation
+}, db = pool) {
+  const audienceCount = platforms.reduce((total, { audience }) => total + (audience || 0), 0);
+  const flags = await applicationFlags({ applicationId, emailNormalized, whatsappNormalized, name, motivation }, db);
+
+  return {
+    audienceCount,
+    flags,
+    score: reviewScore({ audienceCount, whatsappNormalized, platforms, motivation }, flags)
+  };
+}
+
+// Id of the latest application with this normalized email, or null
+async function findApplicationIdByEmail(emailNormalized, db = pool) {
+  const result = await db.query(
+    'SELECT id FROM partner_applications WHERE email_normalized = $1 ORDER BY id DESC LIMIT 1',
+    [emailNormalized]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Called in the transaction that stores an application: holds a lock on the email until it ends,
+// so two submissions of the same email can't both pass the check, and returns the id of the
+// application that already uses it (null if none)
+async function lockApplicationEmail(emailNormalized, db) {
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`application_email:${emailNormalized}`]);
+  return findApplicationIdByEmail(emailNormalized, db);
+}
+
+// Refuses a second application for an email with a 409
+async function rejectDuplicateApplication(applicationId, { ip, emailNormalized }) {
+  await recordSubmission({ ip, emailNormalized, outcome: 'duplicate' });
+  // Sent to the address on the application, so the link only reaches its owner
+  await enqueueJob('email', { notification: 'application_status_link', id: applicationId });
+  throw new ServiceError(
+    "You've already applied with this email. We've emailed you a link where you can check your application and, while it is pending, update it.",
+    409
+  );
+}
+
+// Screens a submission. Resolves to { spam: true } for a honeypot hit (answer as if it was accepted,
+// store nothing) or to the validated application with the normalized fields, flags and score to
+// store with it. Throws 429 when the IP is over the rate limit, a ValidationError for invalid fields
+// and 409 for an email that has already applied.
+async function screenApplication(body, { ip }) {
+  const emailNormalized = normalizeApplicationEmail(body.email);
+
+  if (await isRateLimited(ip)) {
+    await recordSubmission({ ip, emailNormalized, outcome: 'rate_limited' });
+    throw new ServiceError('Too many applications from your network. Please try again later.', 429);
+  }
+
+  if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim()) {
+    await recordSubmission({ ip, emailNormalized, outcome: 'honeypot' });
+    return { spam: true };
+  }
+
+  const { value, errors } = validateApplication(body);
+  if (Object.keys(errors).length > 0) {
+    await recordSubmission({ ip, emailNormalized, outcome: 'invalid' });
+    throw new ValidationError(errors);
+  }
+
+  const existingId = await findApplicationIdByEmail(emailNormalized);
+  if (existingId) {
+    await rejectDuplicateApplication(existingId, { ip, emailNormalized });
+  }
+
+  const whatsappNormalized = normalizeWhatsapp(value.whatsapp);
+  const { audienceCount, flags, score } = await scoreApplication({
+    emailNormalized,
+    whatsappNormalized,
+    name: value.name,
+    platforms: value.platforms,
+    motivation: value.motivation
+  });
+
+  return {
+    spam: false,
+    application: value,
+    emailNormalized,
+    whatsappNormalized,
+    audienceCount,
+    flags,
+    score
+  };
+}
+
+module.exports = {
+  normalizeApplicationEmail,
+  normalizeWhatsapp,
+  recordSubmission,
+  scoreApplication,
+  screenApplication,
+  lockApplicationEmail,
+  rejectDuplicateApplication
+};
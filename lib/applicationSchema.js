@@ -0,0 +1,455 @@
+// The partner application schema, shared by the server (require) and the application form, which
+// loads it from /js/application-schema.js as window.ApplicationSchema. Keep it free of Node-only
+// code. validateApplication() returns the cleaned-up application and field-level errors keyed by
+// field name ("country", "platforms.tiktok.url", ...), which the form shows next to each field.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ApplicationSchema = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ISO 3166-1 alpha-2
+  const COUNTRIES = {
+    AD: 'Andorra',
+    AE: 'United Arab Emirates',
+    AF: 'Afghanistan',
+    AG: 'Antigua and Barbuda',
+    AI: 'Anguilla',
+    AL: 'Albania',
+    AM: 'Armenia',
+    AO: 'Angola',
+    AQ: 'Antarctica',
+    AR: 'Argentina',
+    AS: 'American Samoa',
+    AT: 'Austria',
+    AU: 'Australia',
+    AW: 'Aruba',
+    AX: 'Åland Islands',
+    AZ: 'Azerbaijan',
+    BA: 'Bosnia and Herzegovina',
+    BB: 'Barbados',
+    BD: 'Bangladesh',
+    BE: 'Belgium',
+    BF: 'Burkina Faso',
+    BG: 'Bulgaria',
+    BH: 'Bahrain',
+    BI: 'Burundi',
+    BJ: 'Benin',
+    BL: 'St. Barthélemy',
+    BM: 'Bermuda',
+    BN: 'Brunei',
+    BO: 'Bolivia',
+    BQ: 'Caribbean Netherlands',
+    BR: 'Brazil',
+    BS: 'Bahamas',
+    BT: 'Bhutan',
+    BV: 'Bouvet Island',
+    BW: 'Botswana',
+    BY: 'Belarus',
+    BZ: 'Belize',
+    CA: 'Canada',
+    CC: 'Cocos (Keeling) Islands',
+    CD: 'Congo (DRC)',
+    CF: 'Central African Republic',
+    CG: 'Congo',
+    CH: 'Switzerland',
+    CI: 'Côte d\'Ivoire',
+    CK: 'Cook Islands',
+    CL: 'Chile',
+    CM: 'Cameroon',
+    CN: 'China',
+    CO: 'Colombia',
+    CR: 'Costa Rica',
+    CU: 'Cuba',
+    CV: 'Cape Verde',
+    CW: 'Curaçao',
+    CX: 'Christmas Island',
+    CY: 'Cyprus',
+    CZ: 'Czechia',
+    DE: 'Germany',
+    DJ: 'Djibouti',
+    DK: 'Denmark',
+    DM: 'Dominica',
+    DO: 'Dominican Republic',
+    DZ: 'Algeria',
+    EC: 'Ecuador',
+    EE: 'Estonia',
+    EG: 'Egypt',
+    EH: 'Western Sahara',
+    ER: 'Eritrea',
+    ES: 'Spain',
+    ET: 'Ethiopia',
+    FI: 'Finland',
+    FJ: 'Fiji',
+    FK: 'Falkland Islands',
+    FM: 'Micronesia',
+    FO: 'Faroe Islands',
+    FR: 'France',
+    GA: 'Gabon',
+    GB: 'United Kingdom',
+    GD: 'Grenada',
+    GE: 'Georgia',
+    GF: 'French Guiana',
+    GG: 'Guernsey',
+    GH: 'Ghana',
+    GI: 'Gibraltar',
+    GL: 'Greenland',
+    GM: 'Gambia',
+    GN: 'Guinea',
+    GP: 'Guadeloupe',
+    GQ: 'Equatorial Guinea',
+    GR: 'Greece',
+    GS: 'South Georgia and South Sandwich Islands',
+    GT: 'Guatemala',
+    GU: 'Guam',
+    GW: 'Guinea-Bissau',
+    GY: 'Guyana',
+    HK: 'Hong Kong',
+    HM: 'Heard and McDonald Islands',
+    HN: 'Honduras',
+    HR: 'Croatia',
+    HT: 'Haiti',
+    HU: 'Hungary',
+    ID: 'Indonesia',
+    IE: 'Ireland',
+    IL: 'Israel',
+    IM: 'Isle of Man',
+    IN: 'India',
+    IO: 'British Indian Ocean Territory',
+    IQ: 'Iraq',
+    IR: 'Iran',
+    IS: 'Iceland',
+    IT: 'Italy',
+    JE: 'Jersey',
+    JM: 'Jamaica',
+    JO: 'Jordan',
+    JP: 'Japan',
+    KE: 'Kenya',
+    KG: 'Kyrgyzstan',
+    KH: 'Cambodia',
+    KI: 'Kiribati',
+    KM: 'Comoros',
+    KN: 'St. Kitts and Nevis',
+    KP: 'North Korea',
+    KR: 'South Korea',
+    KW: 'Kuwait',
+    KY: 'Cayman Islands',
+    KZ: 'Kazakhstan',
+    LA: 'Laos',
+    LB: 'Lebanon',
+    LC: 'St. Lucia',
+    LI: 'Liechtenstein',
+    LK: 'Sri Lanka',
+    LR: 'Liberia',
+    LS: 'Lesotho',
+    LT: 'Lithuania',
+    LU: 'Luxembourg',
+    LV: 'Latvia',
+    LY: 'Libya',
+    MA: 'Morocco',
+    MC: 'Monaco',
+    MD: 'Moldova',
+    ME: 'Montenegro',
+    MF: 'St. Martin',
+    MG: 'Madagascar',
+    MH: 'Marshall Islands',
+    MK: 'North Macedonia',
+    ML: 'Mali',
+    MM: 'Myanmar',
+    MN: 'Mongolia',
+    MO: 'Macao',
+    MP: 'Northern Mariana Islands',
+    MQ: 'Martinique',
+    MR: 'Mauritania',
+    MS: 'Montserrat',
+    MT: 'Malta',
+    MU: 'Mauritius',
+    MV: 'Maldives',
+    MW: 'Malawi',
+    MX: 'Mexico',
+    MY: 'Malaysia',
+    MZ: 'Mozambique',
+    NA: 'Namibia',
+    NC: 'New Caledonia',
+    NE: 'Niger',
+    NF: 'Norfolk Island',
+    NG: 'Nigeria',
+    NI: 'Nicaragua',
+    NL: 'Netherlands',
+    NO: 'Norway',
+    NP: 'Nepal',
+    NR: 'Nauru',
+    NU: 'Niue',
+    NZ: 'New Zealand',
+    OM: 'Oman',
+    PA: 'Panama',
+    PE: 'Peru',
+    PF: 'French Polynesia',
+    PG: 'Papua New Guinea',
+    PH: 'Philippines',
+    PK: 'Pakistan',
+    PL: 'Poland',
+    PM: 'St. Pierre and Miquelon',
+    PN: 'Pitcairn Islands',
+    PR: 'Puerto Rico',
+    PS: 'Palestinian Territories',
+    PT: 'Portugal',
+    PW: 'Palau',
+    PY: 'Paraguay',
+    QA: 'Qatar',
+    RE: 'Réunion',
+    RO: 'Romania',
+    RS: 'Serbia',
+    RU: 'Russia',
+    RW: 'Rwanda',
+    SA: 'Saudi Arabia',
+    SB: 'Solomon Islands',
+    SC: 'Seychelles',
+    SD: 'Sudan',
+    SE: 'Sweden',
+    SG: 'Singapore',
+    SH: 'St. Helena',
+    SI: 'Slovenia',
+    SJ: 'Svalbard and Jan Mayen',
+    SK: 'Slovakia',
+    SL: 'Sierra Leone',
+    SM: 'San Marino',
+    SN: 'Senegal',
+    SO: 'Somalia',
+    SR: 'Suriname',
+    SS: 'South Sudan',
+    ST: 'São Tomé and Príncipe',
+    SV: 'El Salvador',
+    SX: 'Sint Maarten',
+    SY: 'Syria',
+    SZ: 'Eswatini',
+    TC: 'Turks and Caicos Islands',
+    TD: 'Chad',
+    TF: 'French Southern Territories',
+    TG: 'Togo',
+    TH: 'Thailand',
+    TJ: 'Tajikistan',
+    TK: 'Tokelau',
+    TL: 'Timor-Leste',
+    TM: 'Turkmenistan',
+    TN: 'Tunisia',
+    TO: 'Tonga',
+    TR: 'Türkiye',
+    TT: 'Trinidad and Tobago',
+    TV: 'Tuvalu',
+    TW: 'Taiwan',
+    TZ: 'Tanzania',
+    UA: 'Ukraine',
+    UG: 'Uganda',
+    UM: 'U.S. Outlying Islands',
+    US: 'United States',
+    UY: 'Uruguay',
+    UZ: 'Uzbekistan',
+    VA: 'Vatican City',
+    VC: 'St. Vincent and Grenadines',
+    VE: 'Venezuela',
+    VG: 'British Virgin Islands',
+    VI: 'U.S. Virgin Islands',
+    VN: 'Vietnam',
+    VU: 'Vanuatu',
+    WF: 'Wallis and Futuna',
+    WS: 'Samoa',
+    YE: 'Yemen',
+    YT: 'Mayotte',
+    ZA: 'South Africa',
+    ZM: 'Zambia',
+    ZW: 'Zimbabwe',
+  };
+
+  // key -> label, the hosts a profile URL may be on (null: any) and words that name it in free text
+  const PLATFORMS = {
+    tiktok: { label: 'TikTok', hosts: ['tiktok.com'], aliases: ['tiktok', 'tik tok'] },
+    instagram: { label: 'Instagram', hosts: ['instagram.com'], aliases: ['instagram', 'insta', 'ig'] },
+    youtube: { label: 'YouTube', hosts: ['youtube.com', 'youtu.be'], aliases: ['youtube', 'yt'] },
+    facebook: { label: 'Facebook', hosts: ['facebook.com', 'fb.com'], aliases: ['facebook', 'fb'] },
+    x: { label: 'X (Twitter)', hosts: ['x.com', 'twitter.com'], aliases: ['twitter', 'x'] },
+    whatsapp: { label: 'WhatsApp', hosts: ['whatsapp.com', 'wa.me'], aliases: ['whatsapp'] },
+    telegram: { label: 'Telegram', hosts: ['t.me', 'telegram.me'], aliases: ['telegram'] },
+    linkedin: { label: 'LinkedIn', hosts: ['linkedin.com'], aliases: ['linkedin'] },
+    website: { label: 'Website / blog', hosts: null, aliases: ['website', 'blog'] }
+  };
+
+  const MAX_LENGTH = { name: 120, email: 255, motivation: 5000, url: 500 };
+  const MAX_AUDIENCE = 2000000000;
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+  }
+
+  // An ISO code or an English country name, in any case; null if it is neither
+  function parseCountry(value) {
+    const input = text(value);
+    if (!input) return null;
+
+    const code = input.toUpperCase();
+    if (Object.prototype.hasOwnProperty.call(COUNTRIES, code)) return code;
+
+    const name = input.toLowerCase();
+    return Object.keys(COUNTRIES).find((key) => COUNTRIES[key].toLowerCase() === name) || null;
+  }
+
+  // E.164 (+ and 8 to 15 digits, no leading zero) from a number written with spaces, dashes,
+  // brackets or a 00 prefix; null if it isn't an international number
+  function parseWhatsapp(value) {
+    const compact = text(value).replace(/[\s().-]/g, '').replace(/^00/, '+');
+    return /^\+[1-9]\d{7,14}$/.test(compact) ? compact : null;
+  }
+
+  // An http(s) URL on one of the platform's hosts; "tiktok.com/@me" gets https:// in front
+  function parseProfileUrl(value, platform) {
+    const input = text(value);
+    if (!input || input.length > MAX_LENGTH.url) return null;
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+    } catch (err) {
+      return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const { hosts } = PLATFORMS[platform];
+    if (hosts && !hosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`))) return null;
+    if (!hosts && !host.includes('.')) return null;
+
+    return url.href;
+  }
+
+  // A whole number of followers: 12000, "12000" or "12,000"
+  function parseAudience(value) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) && value >= 0 && value <= MAX_AUDIENCE ? value : null;
+    }
+
+    const input = text(value);
+    if (!/^\d{1,3}([,.\s]?\d{3})*$/.test(input)) return null;
+
+    const count = Number(input.replace(/[,.\s]/g, ''));
+    return count <= MAX_AUDIENCE ? count : null;
+  }
+
+  // The first number in free text such as "2,000 followers", "about 15k", "1.2M" or "5 000 - 10 000",
+  // or null. Ranges give their lower end. For applications from before the structured form.
+  function parseAudienceText(value) {
+    const input = String(value || '').toLowerCase();
+    const match = input.match(/(\d+(?:[.,\s]\d+)*)\s*(k|m|thousand|million)?\b/);
+    if (!match) return null;
+
+    const digits = match[1].trim();
+    const number = /^\d{1,3}([.,\s]\d{3})+$/.test(digits)
+      ? Number(digits.replace(/[.,\s]/g, ''))
+      : Number(digits.replace(/\s/g, '').replace(',', '.'));
+
+    const multiplier = { k: 1000, thousand: 1000, m: 1000000, million: 1000000 }[match[2]] || 1;
+    const count = Math.round(number * multiplier);
+
+    return Number.isFinite(count) && count <= MAX_AUDIENCE ? count : null;
+  }
+
+  // Platform keys named in free text such as "TikTok, IG and a blog"
+  function detectPlatforms(value) {
+    const words = ` ${String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    return Object.keys(PLATFORMS).filter((key) => PLATFORMS[key].aliases.some((alias) => words.includes(` ${alias} `)));
+  }
+
+  // input: { name, email, whatsapp, country, platforms: [{ platform, url, audience }], motivation,
+  // termsAccepted }. Returns { value, errors }; errors is {} when the application is valid.
+  // `only` limits the check to some fields, e.g. ['motivation', 'platforms'] for an edit.
+  function validateApplication(input, { only } = {}) {
+    const result = validateAllFields(input);
+    if (!only) return result;
+
+    const value = {};
+    const errors = {};
+    only.forEach((field) => { value[field] = result.value[field]; });
+    Object.keys(result.errors)
+      .filter((key) => only.includes(key.split('.')[0]))
+      .forEach((key) => { errors[key] = result.errors[key]; });
+
+    return { value, errors };
+  }
+
+  function validateAllFields(input) {
+    const data = input || {};
+    const errors = {};
+    const value = {};
+
+    value.name = text(data.name);
+    if (!value.name) errors.name = 'Please enter your full name.';
+    else if (value.name.length > MAX_LENGTH.name) errors.name = `Please keep your name under ${MAX_LENGTH.name} characters.`;
+
+    value.email = text(data.email);
+    if (!value.email) errors.email = 'Please enter your email address.';
+    else if (value.email.length > MAX_LENGTH.email || !EMAIL_PATTERN.test(value.email)) errors.email = 'Please enter a valid email address.';
+
+    value.whatsapp = null;
+    if (text(data.whatsapp)) {
+      value.whatsapp = parseWhatsapp(data.whatsapp);
+      if (!value.whatsapp) errors.whatsapp = 'Please enter the number in international format, e.g. +254712345678.';
+    }
+
+    value.country = parseCountry(data.country);
+    if (!value.country) errors.country = 'Please choose your country.';
+
+    value.platforms = [];
+    const platforms = Array.isArray(data.platforms) ? data.platforms : [];
+    if (platforms.length === 0) errors.platforms = 'Please choose at least one platform.';
+
+    platforms.forEach((entry) => {
+      const platform = entry && typeof entry.platform === 'string' ? entry.platform : '';
+      if (!Object.prototype.hasOwnProperty.call(PLATFORMS, platform)) {
+        errors.platforms = 'Please choose platforms from the list.';
+        return;
+      }
+      if (value.platforms.some((existing) => existing.platform === platform)) {
+        errors.platforms = `${PLATFORMS[platform].label} is listed twice.`;
+        return;
+      }
+
+      const url = parseProfileUrl(entry.url, platform);
+      if (!url) {
+        errors[`platforms.${platform}.url`] = PLATFORMS[platform].hosts
+          ? `Please enter the link to your ${PLATFORMS[platform].label} profile (${PLATFORMS[platform].hosts[0]}).`
+          : 'Please enter the link to your website or blog.';
+      }
+
+      const audience = parseAudience(entry.audience);
+      if (audience === null) {
+        errors[`platforms.${platform}.audience`] = 'Please enter your number of followers as a whole number.';
+      }
+
+      value.platforms.push({ platform, url, audience });
+    });
+
+    value.motivation = text(data.motivation);
+    if (!value.motivation) errors.motivation = 'Please tell us why you want to become a partner.';
+    else if (value.motivation.length > MAX_LENGTH.motivation) errors.motivation = `Please keep this under ${MAX_LENGTH.motivation} characters.`;
+
+    value.termsAccepted = data.termsAccepted === true;
+    if (!value.termsAccepted) errors.termsAccepted = 'You must agree to the partnership terms to apply.';
+
+    return { value, errors };
+  }
+
+  return {
+    COUNTRIES,
+    PLATFORMS,
+    parseCountry,
+    parseWhatsapp,
+    parseProfileUrl,
+    parseAudience,
+    parseAudienceText,
+    detectPlatforms,
+    validateApplication
+  };
+}));
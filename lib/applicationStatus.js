@@ -0,0 +1,203 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError, ValidationError } = require('./errors');
+const { generateToken, hashToken } = require('./tokens');
+const { PLATFORMS, validateApplication } = require('./applicationSchema');
+const { scoreApplication } = require('./applicationIntake');
+
+// Applicant status links. Each link carries its own token, so the link in the confirmation email,
+// the one shown after submitting and any sent later all work until they expire. The page shows the
+// application and its status; while it is still pending the applicant can change their motivation
+// and platforms, and every change is stored in application_edits.
+const APPLICATION_STATUS_LINK_TTL_DAYS = Number(process.env.APPLICATION_STATUS_LINK_TTL_DAYS || '90');
+
+// At most one emailed status link per application in this many seconds
+const STATUS_LINK_COOLDOWN_SECONDS = 600;
+
+// Fields an applicant can change while the application is pending
+const EDITABLE_FIELDS = ['motivation', 'platforms'];
+
+function statusLinkPath(token) {
+  return `/partners/apply/status?token=${token}`;
+}
+
+async function issueStatusToken(applicationId, db = pool) {
+  const token = generateToken();
+
+  await db.query(
+    `INSERT INTO application_status_tokens (application_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3::int))`,
+    [applicationId, hashToken(token), APPLICATION_STATUS_LINK_TTL_DAYS]
+  );
+
+  return token;
+}
+
+// For a link whose email could not be sent
+async function revokeStatusToken(token, db = pool) {
+  await db.query('DELETE FROM application_status_tokens WHERE token_hash = $1', [hashToken(token)]);
+}
+
+// True if a status link email for a repeat submission went out (or is going out) recently, so
+// another one would be noise. Keyed on the outbox rather than on tokens, because the link in the
+// application_received email doesn't count: a quick resubmit should still get its email.
+async function hasRecentStatusLinkEmail(applicationId) {
+  const result = await pool.query(
+    `SELECT 1 FROM email_outbox
+     WHERE application_id = $1
+       AND template = 'application_status_link'
+       AND status <> 'failed'
+       AND created_at > NOW() - make_interval(secs => $2::int)
+     LIMIT 1`,
+    [applicationId, STATUS_LINK_COOLDOWN_SECONDS]
+  );
+  return result.rows.length > 0;
+}
+
+async function findApplicationIdByToken(token, db = pool) {
+  const result = await db.query(
+    `UPDATE application_status_tokens
+     SET last_used_at = NOW()
+     WHERE token_hash = $1 AND expires_at > NOW()
+     RETURNING application_id`,
+    [hashToken(token || '')]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('This status link is invalid or has expired. Submit the application form again with the same email to get a new one.', 401);
+  }
+
+  return result.rows[0].application_id;
+}
+
+// What the applicant sees: their own answers, the status and, once decided, the reviewer's note
+async function getApplicationStatus(token) {
+  const applicationId = await findApplicationIdByToken(token);
+
+  const result = await pool.query(
+    `SELECT id, name, email, country, country_code, whatsapp, platform, platforms, motivation, status, notes, created_at
+     FROM partner_applications
+     WHERE id = $1`,
+    [applicationId]
+  );
+  const application = result.rows[0];
+
+  const historyRes = await pool.query(
+    `SELECT to_status, created_at
+     FROM application_status_history
+     WHERE application_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [applicationId]
+  );
+
+  const editsRes = await pool.query(
+    `SELECT changes, created_at
+     FROM application_edits
+     WHERE application_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [applicationId]
+  );
+
+  return {
+    id: application.id,
+    name: application.name,
+    email: application.email,
+    country: application.country,
+    country_code: application.country_code,
+    whatsapp: application.whatsapp,
+    platform: application.platform,
+    platforms: application.platforms,
+    motivation: application.motivation,
+    status: application.status,
+    reason: application.status === 'rejected' ? application.notes : null,
+    submitted_at: application.created_at,
+    updated_at: historyRes.rows[0] ? historyRes.rows[0].created_at : application.created_at,
+    decided: ['approved', 'rejected', 'waitlisted'].includes(application.status),
+    can_edit: application.status === 'pending',
+    editable_fields: application.status === 'pending' ? EDITABLE_FIELDS : [],
+    edits: editsRes.rows.map((edit) => ({ fields: Object.keys(edit.changes), created_at: edit.created_at }))
+  };
+}
+
+// Applies the applicant's changes to a pending application, rescores it and records the edit.
+// Fields left out of `input` keep their value. Resolves to { changed: [field, ...] }.
+async function updateApplicationByToken(token, input, { ip }) {
+  const fields = EDITABLE_FIELDS.filter((field) => input && input[field] !== undefined);
+  if (fields.length === 0) {
+    throw new ServiceError(`Nothing to update; send ${EDITABLE_FIELDS.join(' and/or ')}.`);
+  }
+
+  const { value, errors } = validateApplication(input, { only: fields });
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return withTransaction(async (client) => {
+    const applicationId = await findApplicationIdByToken(token, client);
+
+    const currentRes = await client.query('SELECT * FROM partner_applications WHERE id = $1 FOR UPDATE', [applicationId]);
+    const current = currentRes.rows[0];
+
+    if (current.status !== 'pending') {
+      throw new ServiceError('Your application can only be changed while it is pending; it is now being reviewed or has been decided.', 409);
+    }
+
+    const changes = {};
+    for (const field of fields) {
+      if (JSON.stringify(current[field]) !== JSON.stringify(value[field])) {
+        changes[field] = { from: current[field], to: value[field] };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { changed: [] };
+    }
+
+    const next = { ...current, ...value };
+    const { audienceCount, flags, score } = await scoreApplication({
+      applicationId,
+      emailNormalized: current.email_normalized,
+      whatsappNormalized: current.whatsapp_normalized,
+      name: current.name,
+      platforms: next.platforms,
+      motivation: next.motivation
+    }, client);
+
+    await client.query(
+      `UPDATE partner_applications
+       SET motivation = $2,
+           platforms = $3::jsonb,
+           platform = $4,
+           audience_count = $5,
+           review_score = $6,
+           review_flags = $7::jsonb
+       WHERE id = $1`,
+      [
+        applicationId,
+        next.motivation,
+        JSON.stringify(next.platforms),
+        next.platforms.map(({ platform }) => (PLATFORMS[platform] ? PLATFORMS[platform].label : platform)).join(', '),
+        audienceCount,
+        score,
+        JSON.stringify(flags)
+      ]
+    );
+
+    await client.query(
+      `INSERT INTO application_edits (application_id, changes, ip)
+       VALUES ($1, $2::jsonb, $3)`,
+      [applicationId, JSON.stringify(changes), ip || null]
+    );
+
+    return { changed: Object.keys(changes) };
+  });
+}
+
+module.exports = {
+  statusLinkPath,
+  issueStatusToken,
+  revokeStatusToken,
+  hasRecentStatusLinkEmail,
+  getApplicationStatus,
+  updateApplicationByToken
+};
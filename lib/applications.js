@@ -0,0 +1,156 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+const { enqueueJob } = require('./jobs');
+
+// Application review workflow. A new application is pending; a reviewer picks it up (under_review)
+// and decides: approved, rejected or waitlisted. Rejected and waitlisted applications can be
+// reopened, which puts them back under review. Approved is final (a partner's membership is managed
+// on the partner from then on). Every change is recorded in application_status_history.
+const APPLICATION_STATUSES = ['pending', 'under_review', 'approved', 'rejected', 'waitlisted'];
+
+// action -> the statuses it can be taken from and the status it leads to
+const APPLICATION_ACTIONS = {
+  review: { from: ['pending'], to: 'under_review' },
+  approve: { from: ['under_review'], to: 'approved' },
+  reject: { from: ['under_review'], to: 'rejected' },
+  waitlist: { from: ['under_review'], to: 'waitlisted' },
+  reopen: { from: ['rejected', 'waitlisted'], to: 'under_review', reasonRequired: true }
+};
+
+async function recordStatusChange({ applicationId, fromStatus, toStatus, changedBy, reason = null }, db = pool) {
+  await db.query(
+    `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [applicationId, fromStatus, toStatus, changedBy, reason]
+  );
+}
+
+// Moves an application along the workflow. Refuses (409) an action the current status doesn't
+// allow, so e.g. a rejected application can't be approved and approving twice does nothing twice.
+// Approval creates the partner and queues the Tapfiliate sync and Trolley recipient; rejection
+// queues the rejection email. Returns the updated application.
+async function transitionApplication(applicationId, action, { adminIdentifier, reason }) {
+  const rule = APPLICATION_ACTIONS[action];
+  if (!rule) {
+    throw new ServiceError(`action must be one of: ${Object.keys(APPLICATION_ACTIONS).join(', ')}.`);
+  }
+
+  const note = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+  if (rule.reasonRequired && !note) {
+    throw new ServiceError(`A reason is required to ${action} an application.`);
+  }
+
+  return withTransaction(async (client) => {
+    const currentRes = await client.query('SELECT * FROM partner_applications WHERE id = $1 FOR UPDATE', [applicationId]);
+    const current = currentRes.rows[0];
+
+    if (!current) {
+      throw new ServiceError('Application not found.', 404);
+    }
+
+    if (!rule.from.includes(current.status)) {
+      throw new ServiceError(
+        `Cannot ${action} an application that is ${current.status.replace(/_/g, ' ')}.`,
+        409
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE partner_applications
+       SET status = $2,
+           approved_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE approved_at END,
+           approved_by = CASE WHEN $2 = 'approved' THEN $3 ELSE approved_by END,
+           notes = CASE WHEN $2 IN ('rejected', 'waitlisted') THEN $4 ELSE notes END
+       WHERE id = $1
+       RETURNING *`,
+      [applicationId, rule.to, adminIdentifier, note]
+    );
+
+    await recordStatusChange({
+      applicationId,
+      fromStatus: current.status,
+      toStatus: rule.to,
+      changedBy: adminIdentifier,
+      reason: note
+    }, client);
+
+    await logAdminAction({ adminIdentifier, action, applicationId, details: note }, client);
+
+    if (rule.to === 'approved') {
+      await client.query(
+        `INSERT INTO partners (application_id)
+         VALUES ($1)
+         ON CONFLICT (application_id) DO NOTHING`,
+        [applicationId]
+      );
+
+      // Tapfiliate sync (followed by the approval email) and the Trolley recipient run as background jobs
+      await enqueueJob('tapfiliate_sync', { applicationId, adminIdentifier }, { db: client });
+      await enqueueJob('trolley_recipient', { applicationId }, { db: client });
+    }
+
+    if (rule.to === 'rejected') {
+      await enqueueJob('email', { notification: 'application_rejected', id: applicationId }, { db: client });
+    }
+
+    return result.rows[0];
+  });
+}
+
+// The application with its status history, admin log entries and partner (if approved)
+async function getApplication(applicationId) {
+  const applicationRes = await pool.query('SELECT * FROM partner_applications WHERE id = $1', [applicationId]);
+  const application = applicationRes.rows[0];
+
+  if (!application) {
+    throw new ServiceError('Application not found.', 404);
+  }
+
+  const historyRes = await pool.query(
+    `SELECT id, from_status, to_status, changed_by, reason, created_at
+     FROM application_status_history
+     WHERE application_id = $1
+     ORDER BY created_at, id`,
+    [applicationId]
+  );
+
+  const logsRes = await pool.query(
+    `SELECT id, admin_identifier, action, details, created_at
+     FROM admin_logs
+     WHERE application_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [applicationId]
+  );
+
+  const editsRes = await pool.query(
+    `SELECT id, changes, ip, created_at
+     FROM application_edits
+     WHERE application_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [applicationId]
+  );
+
+  const partnerRes = await pool.query(
+    'SELECT id, status, tier, tapfiliate_affiliate_id, created_at FROM partners WHERE application_id = $1',
+    [applicationId]
+  );
+
+  return {
+    application,
+    allowed_actions: Object.keys(APPLICATION_ACTIONS)
+      .filter((action) => APPLICATION_ACTIONS[action].from.includes(application.status)),
+    history: historyRes.rows,
+    logs: logsRes.rows,
+    edits: editsRes.rows,
+    partner: partnerRes.rows[0] || null
+  };
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  APPLICATION_ACTIONS,
+  recordStatusChange,
+  transitionApplication,
+  getApplication
+};
@@ -0,0 +1,225 @@
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+
+// Rate used when no commission rule matches (rule id null on the earnings row)
+const DEFAULT_COMMISSION_RATE = Number(process.env.PARTNER_COMMISSION_RATE || '0.35');
+
+// Which rule wins when several match a partner, period and currency:
+//  1. a rule for this partner beats a rule for their tier, which beats a rule for everyone;
+//  2. then the highest min_monthly_net the partner has reached (volume escalation);
+//  3. then a rule for this currency over an any-currency rule;
+//  4. then the rule that took effect most recently, then the newest rule.
+const RULE_PRECEDENCE = `
+  (cr.partner_id IS NOT NULL) DESC,
+  (cr.tier IS NOT NULL) DESC,
+  cr.min_monthly_net DESC,
+  (cr.currency IS NOT NULL) DESC,
+  cr.effective_from DESC NULLS LAST,
+  cr.id DESC`;
+
+// Fields an admin can set; the API uses the column names
+const RULE_FIELDS = [
+  'name',
+  'partner_id',
+  'tier',
+  'currency',
+  'min_monthly_net',
+  'rate',
+  'effective_from',
+  'effective_to',
+  'is_active'
+];
+
+function parseDate(value, field) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ServiceError(`${field} must be a date in YYYY-MM-DD format.`);
+  }
+  return value;
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// Validates a complete rule (existing values merged with the changes) and returns column values
+function validateRule(rule) {
+  const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+  if (!name) {
+    throw new ServiceError('name is required.');
+  }
+
+  const rate = Number(rule.rate);
+  if (rule.rate == null || rule.rate === '' || Number.isNaN(rate) || rate < 0 || rate > 1) {
+    throw new ServiceError('rate must be a number between 0 and 1 (e.g. 0.35 for 35%).');
+  }
+
+  const partnerId = rule.partner_id == null || rule.partner_id === '' ? null : Number(rule.partner_id);
+  if (partnerId !== null && !Number.isInteger(partnerId)) {
+    throw new ServiceError('partner_id must be a partner id.');
+  }
+
+  const tier = typeof rule.tier === 'string' && rule.tier.trim() ? rule.tier.trim() : null;
+  if (partnerId !== null && tier !== null) {
+    throw new ServiceError('A rule applies either to one partner or to a tier, not both.');
+  }
+
+  const currency = typeof rule.currency === 'string' && rule.currency.trim() ? rule.currency.trim().toLowerCase() : null;
+  if (currency !== null && !/^[a-z]{3}$/.test(currency)) {
+    throw new ServiceError('currency must be a three-letter currency code.');
+  }
+
+  const minMonthlyNet = rule.min_monthly_net == null || rule.min_monthly_net === '' ? 0 : Number(rule.min_monthly_net);
+  if (Number.isNaN(minMonthlyNet) || minMonthlyNet < 0) {
+    throw new ServiceError('min_monthly_net must be a non-negative number.');
+  }
+
+  const effectiveFrom = parseDate(toDateString(rule.effective_from), 'effective_from');
+  const effectiveTo = parseDate(toDateString(rule.effective_to), 'effective_to');
+  if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+    throw new ServiceError('effective_to must not be before effective_from.');
+  }
+
+  return {
+    name,
+    partner_id: partnerId,
+    tier,
+    currency,
+    min_monthly_net: minMonthlyNet,
+    rate,
+    effective_from: effectiveFrom,
+    effective_to: effectiveTo,
+    is_active: rule.is_active === undefined ? true : Boolean(rule.is_active)
+  };
+}
+
+async function assertPartnerExists(partnerId) {
+  if (partnerId === null) return;
+  const result = await pool.query('SELECT id FROM partners WHERE id = $1', [partnerId]);
+  if (result.rows.length === 0) {
+    throw new ServiceError('Partner not found.', 404);
+  }
+}
+
+function describeRule(rule) {
+  const scope = rule.partner_id ? `partner ${rule.partner_id}` : rule.tier ? `tier ${rule.tier}` : 'all partners';
+  const volume = Number(rule.min_monthly_net) > 0 ? ` from ${rule.min_monthly_net} net/month` : '';
+  return `${rule.name}: ${(Number(rule.rate) * 100).toFixed(2)}% for ${scope}${volume}`;
+}
+
+async function listCommissionRules() {
+  const result = await pool.query(
+    `SELECT cr.*, COALESCE(p.name, pa.name) AS partner_name, COALESCE(p.email, pa.email) AS partner_email
+     FROM commission_rules cr
+     LEFT JOIN partners p ON p.id = cr.partner_id
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     ORDER BY cr.is_active DESC, ${RULE_PRECEDENCE}`
+  );
+
+  return result.rows;
+}
+
+async function createCommissionRule(input, { adminIdentifier }) {
+  const rule = validateRule(input || {});
+  await assertPartnerExists(rule.partner_id);
+
+  const columns = Object.keys(rule);
+  const result = await pool.query(
+    `INSERT INTO commission_rules (${columns.join(', ')}, created_by)
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, $${columns.length + 1})
+     RETURNING *`,
+    [...columns.map((column) => rule[column]), adminIdentifier]
+  );
+
+  const created = result.rows[0];
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'commission_rule_create',
+    details: `Created commission rule ${created.id} (${describeRule(created)})`
+  });
+
+  return created;
+}
+
+// Editing a rule doesn't touch earnings that were already calculated; re-sync a period to apply it
+async function updateCommissionRule(id, changes, { adminIdentifier }) {
+  const existingRes = await pool.query('SELECT * FROM commission_rules WHERE id = $1', [id]);
+  if (existingRes.rows.length === 0) {
+    throw new ServiceError('Commission rule not found.', 404);
+  }
+
+  const updates = {};
+  for (const field of RULE_FIELDS) {
+    if (changes && changes[field] !== undefined) {
+      updates[field] = changes[field];
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new ServiceError('Nothing to update.');
+  }
+
+  const rule = validateRule({ ...existingRes.rows[0], ...updates });
+  if (updates.partner_id !== undefined) {
+    await assertPartnerExists(rule.partner_id);
+  }
+
+  const columns = Object.keys(rule);
+  const result = await pool.query(
+    `UPDATE commission_rules
+     SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...columns.map((column) => rule[column])]
+  );
+
+  const updated = result.rows[0];
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'commission_rule_update',
+    details: `Updated commission rule ${updated.id}: ${Object.keys(updates).join(', ')} (${describeRule(updated)}${updated.is_active ? '' : ', inactive'})`
+  });
+
+  return updated;
+}
+
+// The rate for one partner's earnings in a period (YYYY-MM-DD, first of the month) and currency.
+// `netRevenue` is the partner's net for that month and currency, which volume rules compare
+// against. Returns { rate, rule } where rule is null when the default rate applies.
+async function resolveCommissionRate({ partnerId, period, currency, netRevenue }, db = pool) {
+  const result = await db.query(
+    `SELECT cr.*
+     FROM commission_rules cr
+     JOIN partners p ON p.id = $1
+     WHERE cr.is_active
+       AND (cr.partner_id = p.id OR (cr.partner_id IS NULL AND (cr.tier IS NULL OR cr.tier = p.tier)))
+       AND (cr.currency IS NULL OR cr.currency = LOWER($3))
+       AND (cr.effective_from IS NULL OR cr.effective_from <= $2::date)
+       AND (cr.effective_to IS NULL OR cr.effective_to >= $2::date)
+       AND cr.min_monthly_net <= $4
+     ORDER BY ${RULE_PRECEDENCE}
+     LIMIT 1`,
+    [partnerId, period, currency, Number(netRevenue) || 0]
+  );
+
+  const rule = result.rows[0] || null;
+
+  return {
+    rate: rule ? Number(rule.rate) : DEFAULT_COMMISSION_RATE,
+    rule
+  };
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  listCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  resolveCommissionRate
+};
@@ -0,0 +1,187 @@
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+
+// Estimated Stripe fee per conversion, used to get from gross to net until the conversion has been
+// matched to its Stripe charge (see lib/stripeReconciliation.js)
+const STRIPE_FEE_PERCENT = Number(process.env.STRIPE_FEE_PERCENT || '0.029');
+const STRIPE_FEE_FIXED = Number(process.env.STRIPE_FEE_FIXED || '0.30');
+
+function estimateStripeFee(gross) {
+  return gross * STRIPE_FEE_PERCENT + STRIPE_FEE_FIXED;
+}
+
+// Tapfiliate has returned the affiliate and amount under a few different shapes over time
+function conversionAffiliateId(conv) {
+  const affiliate = conv.affiliate || conv.affiliate_program || conv.affiliate_program_affiliate || null;
+  const affiliateId = affiliate && (affiliate.id || affiliate.affiliate || affiliate.affiliate_id);
+  return affiliateId ? String(affiliateId) : null;
+}
+
+function conversionCustomerId(conv) {
+  const customer = conv.customer;
+  if (!customer) return null;
+  if (typeof customer !== 'object') return String(customer);
+  return String(customer.customer_id || customer.id || '') || null;
+}
+
+// Stores one Tapfiliate conversion. Re-syncing the same conversion updates the row (and links it
+// to a partner if one has appeared for its affiliate since) but keeps a fee that already came from
+// Stripe. Returns the row, or null for conversions without an id.
+async function upsertConversion(conv, { period, partnerId }, db = pool) {
+  if (!conv || conv.id == null) return null;
+
+  const gross = Number(conv.amount || conv.commission_amount || 0) || 0;
+  const currency = (conv.currency || (conv.commission && conv.commission.currency) || 'usd').toLowerCase();
+  const fee = gross > 0 ? estimateStripeFee(gross) : 0;
+  const net = Math.max(gross - fee, 0);
+
+  const result = await db.query(
+    `INSERT INTO partner_conversions (
+       tapfiliate_conversion_id,
+       partner_id,
+       tapfiliate_affiliate_id,
+       period,
+       amount,
+       currency,
+       fee,
+       net_amount,
+       customer_id,
+       external_id,
+       converted_at,
+       payload
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (tapfiliate_conversion_id)
+     DO UPDATE SET
+       partner_id = COALESCE(EXCLUDED.partner_id, partner_conversions.partner_id),
+       tapfiliate_affiliate_id = EXCLUDED.tapfiliate_affiliate_id,
+       period = EXCLUDED.period,
+       amount = EXCLUDED.amount,
+       currency = EXCLUDED.currency,
+       fee = CASE WHEN partner_conversions.fee_source = 'stripe' THEN partner_conversions.fee ELSE EXCLUDED.fee END,
+       net_amount = GREATEST(
+         EXCLUDED.amount - CASE WHEN partner_conversions.fee_source = 'stripe' THEN partner_conversions.fee ELSE EXCLUDED.fee END,
+         0
+       ),
+       customer_id = EXCLUDED.customer_id,
+       external_id = EXCLUDED.external_id,
+       converted_at = EXCLUDED.converted_at,
+       payload = EXCLUDED.payload,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      String(conv.id),
+      partnerId || null,
+      conversionAffiliateId(conv),
+      period,
+      gross,
+      currency,
+      fee,
+      net,
+      conversionCustomerId(conv),
+      conv.external_id ? String(conv.external_id) : null,
+      conv.created_at ? new Date(conv.created_at) : null,
+      JSON.stringify(conv)
+    ]
+  );
+
+  return result.rows[0];
+}
+
+// Per-partner, per-currency totals for a month (YYYY-MM-DD, first of the month); this is what
+// partner_earnings holds. Conversions without a positive amount stay in the ledger but don't count.
+// Refund and chargeback adjustments booked into the month come off net (not gross), whichever
+// month their conversion was in.
+async function summarizeConversions(period, db = pool) {
+  const result = await db.query(
+    `SELECT
+       partner_id,
+       currency,
+       SUM(gross) AS gross,
+       SUM(net) AS net,
+       SUM(conversions)::int AS conversions
+     FROM (
+       SELECT partner_id, currency, amount AS gross, net_amount AS net, 1 AS conversions
+       FROM partner_conversions
+       WHERE period = $1::date AND partner_id IS NOT NULL AND amount > 0
+       UNION ALL
+       SELECT pc.partner_id, a.currency, 0 AS gross, a.amount AS net, 0 AS conversions
+       FROM partner_conversion_adjustments a
+       JOIN partner_conversions pc ON pc.id = a.conversion_id
+       WHERE a.period = $1::date AND pc.partner_id IS NOT NULL
+     ) lines
+     GROUP BY partner_id, currency
+     ORDER BY partner_id, currency`,
+    [period]
+  );
+
+  return result.rows.map((row) => ({
+    partnerId: row.partner_id,
+    currency: row.currency,
+    gross: Number(row.gross),
+    net: Number(row.net),
+    conversions: row.conversions
+  }));
+}
+
+// Drill-down from one partner_earnings row to the conversions and adjustments it was built from.
+// An adjustment row for a closed month shows that month's conversions.
+async function getEarningsConversions(earningsId) {
+  const earningsRes = await pool.query('SELECT * FROM partner_earnings WHERE id = $1', [earningsId]);
+  const earnings = earningsRes.rows[0];
+
+  if (!earnings) {
+    throw new ServiceError('Earnings row not found.', 404);
+  }
+
+  const period = earnings.adjusts_period || earnings.period;
+
+  const result = await pool.query(
+    `SELECT
+       pc.id,
+       pc.tapfiliate_conversion_id,
+       pc.tapfiliate_affiliate_id,
+       pc.amount,
+       pc.currency,
+       pc.fee,
+       pc.fee_source,
+       pc.stripe_charge_id,
+       pc.net_amount,
+       pc.customer_id,
+       pc.external_id,
+       pc.converted_at,
+       pc.updated_at
+     FROM partner_conversions pc
+     WHERE pc.partner_id = $1 AND pc.period = $2 AND pc.currency = $3
+     ORDER BY pc.converted_at, pc.id`,
+    [earnings.partner_id, period, earnings.currency]
+  );
+
+  const adjustmentsRes = await pool.query(
+    `SELECT
+       a.id,
+       a.kind,
+       a.stripe_object_id,
+       a.amount,
+       a.currency,
+       a.occurred_at,
+       pc.tapfiliate_conversion_id,
+       pc.period AS conversion_period
+     FROM partner_conversion_adjustments a
+     JOIN partner_conversions pc ON pc.id = a.conversion_id
+     WHERE pc.partner_id = $1 AND a.period = $2 AND a.currency = $3
+     ORDER BY a.occurred_at, a.id`,
+    [earnings.partner_id, period, earnings.currency]
+  );
+
+  return { earnings, conversions: result.rows, adjustments: adjustmentsRes.rows };
+}
+
+module.exports = {
+  estimateStripeFee,
+  conversionAffiliateId,
+  conversionCustomerId,
+  upsertConversion,
+  summarizeConversions,
+  getEarningsConversions
+};
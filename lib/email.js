@@ -0,0 +1,168 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { pool } = require('./db');
+const { TEMPLATES } = require('./emailTemplates');
+
+// EMAIL_TRANSPORT is "smtp", "file" or "console"; it defaults to smtp when SMTP_HOST is set.
+// The file transport writes each message as a .eml file into EMAIL_FILE_DIR for local testing.
+const EMAIL_FROM = process.env.EMAIL_FROM || 'GIB Partner Program <partners@groveintel.com>';
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', '.tmp', 'emails');
+
+let smtpTransport = null;
+let fileTransport = null;
+
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+function getFileTransport() {
+  if (!fileTransport) {
+    fileTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  return fileTransport;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function paragraphToHtml(paragraph) {
+  return escapeHtml(paragraph).replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`);
+}
+
+function renderTemplate(templateName, data) {
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, paragraphs } = template.render(data);
+  const lines = paragraphs.filter(Boolean);
+
+  return {
+    subject,
+    text: lines.join('\n\n'),
+    html: `<div style="font-family: system-ui, sans-serif; color: #2e2c5c; line-height: 1.5;">${lines
+      .map((line) => `<p>${paragraphToHtml(line)}</p>`)
+      .join('')}</div>`
+  };
+}
+
+function redactPayload(templateName, data) {
+  const payload = { ...data };
+  for (const field of TEMPLATES[templateName].redact || []) {
+    if (payload[field] !== undefined) payload[field] = '[redacted]';
+  }
+  return payload;
+}
+
+// Returns the provider message id, if the transport has one
+async function deliver(outboxId, templateName, message) {
+  if (EMAIL_TRANSPORT === 'smtp') {
+    const info = await getSmtpTransport().sendMail(message);
+    return info.messageId || null;
+  }
+
+  if (EMAIL_TRANSPORT === 'file') {
+    const info = await getFileTransport().sendMail(message);
+    await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+    const file = path.join(EMAIL_FILE_DIR, `${outboxId}-${templateName}.eml`);
+    await fs.writeFile(file, info.message);
+    console.log(`[email] ${templateName} to ${message.to} written to ${file}`);
+    return info.messageId || null;
+  }
+
+  console.log(`[email] To: ${message.to}\n[email] Subject: ${message.subject}\n${message.text}\n`);
+  return null;
+}
+
+// The outbox row of the message already sent under `dedupeKey`, if any
+async function findSentEmail(dedupeKey) {
+  const result = await pool.query(
+    `SELECT * FROM email_outbox
+     WHERE dedupe_key = $1 AND status = 'sent'
+     ORDER BY id DESC
+     LIMIT 1`,
+    [dedupeKey]
+  );
+  return result.rows[0] || null;
+}
+
+// Renders a template, records it in email_outbox and delivers it. With a dedupeKey, a message
+// that was already sent under the same key is not sent again (the earlier outbox row is returned).
+// Delivery errors are recorded on the outbox row and rethrown.
+async function sendEmail({ template, to, data = {}, applicationId = null, partnerId = null, dedupeKey = null }) {
+  if (!to) {
+    throw new Error(`sendEmail(${template}) called without a recipient`);
+  }
+
+  const rendered = renderTemplate(template, data);
+
+  if (dedupeKey) {
+    const existing = await findSentEmail(dedupeKey);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const inserted = await pool.query(
+    `INSERT INTO email_outbox
+       (template, to_email, subject, payload, transport, dedupe_key, application_id, partner_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      template,
+      to,
+      rendered.subject.slice(0, 255),
+      JSON.stringify(redactPayload(template, data)),
+      EMAIL_TRANSPORT,
+      dedupeKey,
+      applicationId,
+      partnerId
+    ]
+  );
+  const outboxId = inserted.rows[0].id;
+
+  try {
+    const messageId = await deliver(outboxId, template, {
+      from: EMAIL_FROM,
+      to,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html
+    });
+
+    const result = await pool.query(
+      `UPDATE email_outbox
+       SET status = 'sent', sent_at = NOW(), provider_message_id = $1
+       WHERE id = $2
+       RETURNING *`,
+      [messageId ? String(messageId).slice(0, 255) : null, outboxId]
+    );
+    return result.rows[0];
+  } catch (err) {
+    await pool.query(
+      `UPDATE email_outbox SET status = 'failed', error = $1 WHERE id = $2`,
+      [String(err.message || err), outboxId]
+    );
+    throw err;
+  }
+}
+
+module.exports = { sendEmail, findSentEmail, renderTemplate };
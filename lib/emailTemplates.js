@@ -0,0 +1,111 @@
+// Transactional email templates. Each template turns its data into a subject and a list of
+// paragraphs; lib/email.js renders those as plain text and HTML.
+//
+// `redact` lists data fields that must not be stored in email_outbox (e.g. sign-in links).
+
+function greeting(name) {
+  return `Hi ${name || 'there'},`;
+}
+
+function formatAmount(amount, currency) {
+  return `${Number(amount || 0).toFixed(2)} ${String(currency || '').toUpperCase()}`;
+}
+
+// pg returns DATE columns as local-midnight Date objects, so format them from local parts
+function formatDate(value) {
+  if (!value) return '';
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+const SIGN_OFF = 'The GIB Partner Team';
+
+const TEMPLATES = {
+  application_received: {
+    redact: ['statusUrl'],
+    render: ({ name, statusUrl }) => ({
+      subject: 'We received your GIB Partner application',
+      paragraphs: [
+        greeting(name),
+        'Thanks for applying to the GIB Partner Program. We review every application by hand to make sure it fits our mission of safety, awareness, and intelligence.',
+        statusUrl
+          ? `You can check where your application stands, and update your motivation and platforms until we start reviewing it, here: ${statusUrl}`
+          : null,
+        "You'll hear from us by email once a decision has been made.",
+        SIGN_OFF
+      ]
+    })
+  },
+
+  application_status_link: {
+    redact: ['statusUrl'],
+    render: ({ name, statusUrl }) => ({
+      subject: 'Your GIB Partner application',
+      paragraphs: [
+        greeting(name),
+        'You (or someone using your email) tried to apply to the GIB Partner Program again. You already have an application with us.',
+        `Check its status, and update your motivation and platforms while it is pending, here: ${statusUrl}`,
+        "If this wasn't you, you can ignore this email.",
+        SIGN_OFF
+      ]
+    })
+  },
+
+  application_approved: {
+    render: ({ name, referralLink, portalUrl }) => ({
+      subject: "You're approved as a GIB Partner",
+      paragraphs: [
+        greeting(name),
+        'Welcome aboard – your application to the GIB Partner Program has been approved.',
+        referralLink
+          ? `Your referral link is: ${referralLink}`
+          : 'Your referral link is being set up and will be waiting for you in the Partner Portal shortly.',
+        portalUrl
+          ? `Sign in to the Partner Portal to track your earnings and payouts: ${portalUrl}`
+          : null,
+        SIGN_OFF
+      ]
+    })
+  },
+
+  application_rejected: {
+    render: ({ name, reason }) => ({
+      subject: 'Your GIB Partner application',
+      paragraphs: [
+        greeting(name),
+        "Thank you for your interest in the GIB Partner Program. After reviewing your application, we're not able to approve it at this time.",
+        reason ? `Reviewer's note: ${reason}` : null,
+        SIGN_OFF
+      ]
+    })
+  },
+
+  payout_sent: {
+    render: ({ name, amount, currency, periodStart, periodEnd, portalUrl }) => ({
+      subject: `Your GIB Partner payout of ${formatAmount(amount, currency)} is on its way`,
+      paragraphs: [
+        greeting(name),
+        `We've sent your commission payout of ${formatAmount(amount, currency)}` +
+          (periodStart && periodEnd ? ` for ${formatDate(periodStart)} – ${formatDate(periodEnd)}.` : '.'),
+        'Depending on your payout method it can take a few business days to arrive.',
+        portalUrl ? `You can follow its status in the Partner Portal: ${portalUrl}` : null,
+        SIGN_OFF
+      ]
+    })
+  },
+
+  partner_portal_login: {
+    redact: ['link'],
+    render: ({ name, link, ttlMinutes }) => ({
+      subject: 'Your GIB Partner Portal sign-in link',
+      paragraphs: [
+        greeting(name),
+        `Use this link to sign in to your GIB Partner Portal: ${link}`,
+        `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email.`
+      ]
+    })
+  }
+};
+
+module.exports = { TEMPLATES };
@@ -0,0 +1,20 @@
+// Thrown by lib/ modules for problems the caller caused (bad input, invalid state).
+// Routes turn these into a JSON response with the given status; anything else is a 500.
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// A ServiceError carrying a message per invalid field, e.g. { country: 'Please choose your country.' }
+class ValidationError extends ServiceError {
+  constructor(errors, message = 'Please correct the highlighted fields.') {
+    super(message, 400);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = { ServiceError, ValidationError };
@@ -0,0 +1,4 @@
+// Lazy node-fetch import so we can use fetch reliably in Node
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+module.exports = fetch;
@@ -0,0 +1,355 @@
+const fetch = require('./fetch');
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+
+// Currency that totals, payouts and exports are reported in. Earnings and payouts keep their own
+// currency; the reporting amount is stored next to it with the rate and rate date used.
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'usd').toLowerCase();
+
+// Which provider `fetchFxRates` uses; see registerFxProvider
+const FX_PROVIDER = process.env.FX_PROVIDER || 'frankfurter';
+const FRANKFURTER_API_URL = (process.env.FRANKFURTER_API_URL || 'https://api.frankfurter.app').replace(/\/+$/, '');
+
+// A month is converted at the latest rate on or before its last day. Rates are only published on
+// working days, so allow a few days back, but no further: an older rate is treated as missing.
+const MAX_RATE_AGE_DAYS = 7;
+
+// Providers take { base, from, to } (dates as YYYY-MM-DD) and resolve to
+// [{ date, currency, rate }], with rate = amount of `base` for one unit of `currency`
+const providers = {};
+
+function registerFxProvider(name, fetchRates) {
+  providers[name] = fetchRates;
+}
+
+// Frankfurter publishes the ECB reference rates and needs no API key
+registerFxProvider('frankfurter', async ({ base, from, to }) => {
+  const res = await fetch(`${FRANKFURTER_API_URL}/${from}..${to}?from=${base.toUpperCase()}`);
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Frankfurter rates request failed: ${res.status} ${text}`);
+  }
+
+  const data = await res.json();
+  const rows = [];
+
+  // Frankfurter quotes units of each currency per one `base`; we store the inverse
+  for (const [date, rates] of Object.entries(data.rates || {})) {
+    for (const [currency, quoted] of Object.entries(rates)) {
+      if (Number(quoted) > 0) {
+        rows.push({ date, currency: currency.toLowerCase(), rate: 1 / Number(quoted) });
+      }
+    }
+  }
+
+  return rows;
+});
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Last day of the month `period` (a Date or YYYY-MM-DD) starts, as YYYY-MM-DD
+function periodEndDate(period) {
+  const [year, month] = typeof period === 'string'
+    ? period.split('-').map(Number)
+    : [period.getFullYear(), period.getMonth() + 1];
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// pg returns DATE columns as local-midnight Dates
+function formatDate(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// CSV with a header row naming `date`, `currency` and `rate` columns (any order, extra columns
+// ignored). `rate` is the amount of reporting currency for one unit of `currency`.
+function parseFxCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    throw new ServiceError('The CSV needs a header row (date,currency,rate) and at least one rate.');
+  }
+
+  const header = lines[0].split(',').map((column) => column.trim().toLowerCase());
+  const columns = {
+    date: header.indexOf('date'),
+    currency: header.indexOf('currency'),
+    rate: header.indexOf('rate')
+  };
+
+  if (Object.values(columns).includes(-1)) {
+    throw new ServiceError('The CSV header must include date, currency and rate columns.');
+  }
+
+  return lines.slice(1).map((line, index) => {
+    const cells = line.split(',').map((cell) => cell.trim());
+    const date = cells[columns.date];
+    const currency = (cells[columns.currency] || '').toLowerCase();
+    const rate = Number(cells[columns.rate]);
+
+    if (!isDate(date)) {
+      throw new ServiceError(`Line ${index + 2}: date must be in YYYY-MM-DD format.`);
+    }
+    if (!/^[a-z]{3}$/.test(currency)) {
+      throw new ServiceError(`Line ${index + 2}: currency must be a three-letter currency code.`);
+    }
+    if (!(rate > 0)) {
+      throw new ServiceError(`Line ${index + 2}: rate must be a positive number.`);
+    }
+
+    return { date, currency, rate };
+  });
+}
+
+async function upsertFxRates(rows, source, db = pool) {
+  let stored = 0;
+
+  for (const row of rows) {
+    if (row.currency === REPORTING_CURRENCY) continue;
+
+    await db.query(
+      `INSERT INTO fx_rates (base_currency, currency, rate_date, rate, source)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (base_currency, currency, rate_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()`,
+      [REPORTING_CURRENCY, row.currency, row.date, row.rate, source]
+    );
+    stored += 1;
+  }
+
+  return stored;
+}
+
+// { rate, rate_date } converting `currency` into the reporting currency on `onDate`, or null when
+// there is no recent enough rate. The reporting currency itself converts at 1 with no rate date.
+async function findFxRate(currency, onDate, db = pool) {
+  if (String(currency).toLowerCase() === REPORTING_CURRENCY) {
+    return { rate: 1, rate_date: null };
+  }
+
+  const result = await db.query(
+    `SELECT rate, rate_date
+     FROM fx_rates
+     WHERE base_currency = $1
+       AND currency = $2
+       AND rate_date <= $3::date
+       AND rate_date >= ($3::date - make_interval(days => $4::int))::date
+     ORDER BY rate_date DESC
+     LIMIT 1`,
+    [REPORTING_CURRENCY, String(currency).toLowerCase(), onDate, MAX_RATE_AGE_DAYS]
+  );
+
+  const row = result.rows[0];
+  return row ? { rate: Number(row.rate), rate_date: formatDate(row.rate_date) } : null;
+}
+
+// Sets the reporting-currency columns on an earnings row from the rate at the end of its month.
+// Without a rate the reporting amounts are cleared, so totals can tell the row is missing.
+async function convertEarningsRow(row, db = pool) {
+  const fx = await findFxRate(row.currency, periodEndDate(row.period), db);
+
+  const result = await db.query(
+    `UPDATE partner_earnings
+     SET reporting_currency = $2,
+         fx_rate = $3::numeric,
+         fx_rate_date = $4::date,
+         gross_revenue_reporting = ROUND(gross_revenue * $3::numeric, 2),
+         net_revenue_reporting = ROUND(net_revenue * $3::numeric, 2),
+         commission_amount_reporting = ROUND(commission_amount * $3::numeric, 2)
+     WHERE id = $1
+     RETURNING *`,
+    [row.id, REPORTING_CURRENCY, fx ? fx.rate : null, fx ? fx.rate_date : null]
+  );
+
+  return result.rows[0];
+}
+
+// Re-converts earnings from `since` (YYYY-MM-DD) onwards after new rates come in. Months already
+// converted pick up a corrected rate too, unless they are closed: those keep the amounts they were
+// closed with.
+async function reconvertEarnings(since) {
+  const result = await pool.query(
+    `SELECT pe.*
+     FROM partner_earnings pe
+     WHERE pe.period >= DATE_TRUNC('month', $1::date)::date
+       AND NOT EXISTS (
+         SELECT 1 FROM accounting_periods ap WHERE ap.period = pe.period AND ap.status = 'closed'
+       )
+     ORDER BY pe.id`,
+    [since]
+  );
+
+  for (const row of result.rows) {
+    await convertEarningsRow(row);
+  }
+
+  return result.rows.length;
+}
+
+// Reporting amount for a payout in `currency`, converted at the rate on `onDate`
+async function convertPayoutAmount(amount, currency, onDate, db = pool) {
+  const fx = await findFxRate(currency, onDate, db);
+
+  return {
+    reporting_currency: REPORTING_CURRENCY,
+    fx_rate: fx ? fx.rate : null,
+    fx_rate_date: fx ? fx.rate_date : null,
+    amount_reporting: fx ? roundAmount(Number(amount) * fx.rate) : null
+  };
+}
+
+// Fills in the reporting amount on payouts from `since` (YYYY-MM-DD) onwards that were built before
+// their rate came in. Payouts are converted at the rate for the last day of their range, the same
+// as when the batch is built. Payouts that already have a rate keep it.
+async function reconvertPayouts(since) {
+  const result = await pool.query(
+    `SELECT id, amount, currency, period_end
+     FROM partner_payouts
+     WHERE period_end >= $1::date
+       AND (amount_reporting IS NULL OR fx_rate IS NULL)
+     ORDER BY id`,
+    [since]
+  );
+
+  let updated = 0;
+
+  for (const row of result.rows) {
+    const reporting = await convertPayoutAmount(row.amount, row.currency, formatDate(row.period_end));
+    if (reporting.fx_rate == null) continue;
+
+    await pool.query(
+      `UPDATE partner_payouts
+       SET reporting_currency = $2,
+           fx_rate = $3::numeric,
+           fx_rate_date = $4::date,
+           amount_reporting = $5::numeric
+       WHERE id = $1`,
+      [row.id, reporting.reporting_currency, reporting.fx_rate, reporting.fx_rate_date, reporting.amount_reporting]
+    );
+    updated += 1;
+  }
+
+  return updated;
+}
+
+// Sums the reporting columns of earnings rows; rows without a rate are counted, not added
+function reportingTotals(rows) {
+  const totals = { currency: REPORTING_CURRENCY, gross: 0, net: 0, commission: 0, missing_rates: 0 };
+
+  for (const row of rows) {
+    if (row.commission_amount_reporting == null) {
+      totals.missing_rates += 1;
+      continue;
+    }
+    totals.gross += Number(row.gross_revenue_reporting);
+    totals.net += Number(row.net_revenue_reporting);
+    totals.commission += Number(row.commission_amount_reporting);
+  }
+
+  totals.gross = roundAmount(totals.gross);
+  totals.net = roundAmount(totals.net);
+  totals.commission = roundAmount(totals.commission);
+  return totals;
+}
+
+function dateRange(rows) {
+  const dates = rows.map((row) => row.date).sort();
+  return { from: dates[0] || null, to: dates[dates.length - 1] || null };
+}
+
+async function importFxCsv(text, { adminIdentifier }) {
+  const rows = parseFxCsv(text);
+  const imported = await upsertFxRates(rows, 'csv');
+  const { from, to } = dateRange(rows);
+  const earningsUpdated = from ? await reconvertEarnings(from) : 0;
+  const payoutsUpdated = from ? await reconvertPayouts(from) : 0;
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'fx_rates_import',
+    details: `Imported ${imported} FX rates (${from}..${to}) into ${REPORTING_CURRENCY.toUpperCase()} from CSV; ${earningsUpdated} earnings rows re-converted, ${payoutsUpdated} payouts converted`
+  });
+
+  return { imported, from, to, earnings_updated: earningsUpdated, payouts_updated: payoutsUpdated };
+}
+
+// Runs as an `fx_rates_fetch` job; throws so the queue can retry
+async function fetchFxRates({ from, to, triggeredBy = null }) {
+  const provider = providers[FX_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown FX provider "${FX_PROVIDER}".`);
+  }
+
+  const rows = await provider({ base: REPORTING_CURRENCY, from, to });
+  const imported = await upsertFxRates(rows, FX_PROVIDER);
+  const earningsUpdated = rows.length > 0 ? await reconvertEarnings(dateRange(rows).from) : 0;
+  const payoutsUpdated = rows.length > 0 ? await reconvertPayouts(dateRange(rows).from) : 0;
+
+  await logAdminAction({
+    adminIdentifier: triggeredBy || 'fx_rates',
+    action: 'fx_rates_import',
+    details: `Fetched ${imported} FX rates (${from}..${to}) into ${REPORTING_CURRENCY.toUpperCase()} from ${FX_PROVIDER}; ${earningsUpdated} earnings rows re-converted, ${payoutsUpdated} payouts converted`
+  });
+
+  return { imported, earnings_updated: earningsUpdated, payouts_updated: payoutsUpdated };
+}
+
+function validateRateRange(from, to) {
+  if (!isDate(from) || !isDate(to)) {
+    throw new ServiceError('from and to must be dates in YYYY-MM-DD format.');
+  }
+  if (to < from) {
+    throw new ServiceError('to must not be before from.');
+  }
+}
+
+async function listFxRates({ currency, from, to } = {}) {
+  const params = [REPORTING_CURRENCY];
+  const conditions = ['base_currency = $1'];
+
+  if (currency) {
+    params.push(String(currency).toLowerCase());
+    conditions.push(`currency = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`rate_date >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`rate_date <= $${params.length}::date`);
+  }
+
+  const result = await pool.query(
+    `SELECT currency, rate_date, rate, source, updated_at
+     FROM fx_rates
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY rate_date DESC, currency
+     LIMIT 500`,
+    params
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  REPORTING_CURRENCY,
+  registerFxProvider,
+  periodEndDate,
+  findFxRate,
+  convertEarningsRow,
+  convertPayoutAmount,
+  reportingTotals,
+  importFxCsv,
+  fetchFxRates,
+  validateRateRange,
+  listFxRates
+};
@@ -0,0 +1,256 @@
+const os = require('os');
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+
+// Postgres-backed job queue. Jobs move pending → running → succeeded; a failed attempt goes back
+// to pending with exponential backoff until max_attempts, after which the job is dead (the
+// dead-letter state) and waits for an admin to retry it.
+const JOB_STATUSES = ['pending', 'running', 'succeeded', 'dead'];
+
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || '5000');
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || '8');
+
+// Backoff: 30s, 1m, 2m, 4m, ... capped at an hour
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 3600;
+
+// The worker running a job refreshes its locked_at every JOB_HEARTBEAT_SECONDS, however long the
+// job takes. A running job without a heartbeat for JOB_LOCK_TIMEOUT_MINUTES is assumed lost (e.g.
+// a restart) and is picked up again, or marked dead if that was its last attempt.
+const JOB_LOCK_TIMEOUT_MINUTES = 10;
+const JOB_HEARTBEAT_SECONDS = 60;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let pollTimer = null;
+let running = false;
+let draining = false;
+
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+// Pass a transaction client as `db` to enqueue atomically with other writes
+async function enqueueJob(type, payload = {}, { maxAttempts = JOB_MAX_ATTEMPTS, delaySeconds = 0, db = pool } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (type, payload, max_attempts, run_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(secs => $4::int))
+     RETURNING *`,
+    [type, JSON.stringify(payload), maxAttempts, delaySeconds]
+  );
+
+  if (running && db === pool) {
+    setImmediate(drainJobs);
+  }
+
+  return result.rows[0];
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+async function buryLostJobs() {
+  await pool.query(
+    `UPDATE jobs
+     SET status = 'dead',
+         last_error = $2,
+         locked_at = NULL,
+         locked_by = NULL,
+         updated_at = NOW()
+     WHERE status = 'running'
+       AND locked_at < NOW() - make_interval(mins => $1::int)
+       AND attempts >= max_attempts`,
+    [
+      JOB_LOCK_TIMEOUT_MINUTES,
+      `Worker stopped responding on the last attempt (no heartbeat for ${JOB_LOCK_TIMEOUT_MINUTES} minutes)`
+    ]
+  );
+}
+
+async function claimNextJob() {
+  await buryLostJobs();
+
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $2::int) AND attempts < max_attempts)
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [WORKER_ID, JOB_LOCK_TIMEOUT_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Keeps the job's lock fresh while its handler runs
+function startHeartbeat(job) {
+  const timer = setInterval(() => {
+    pool.query(
+      `UPDATE jobs SET locked_at = NOW()
+       WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+      [job.id, WORKER_ID]
+    ).catch((err) => console.error(`Heartbeat for job ${job.id} failed:`, err));
+  }, JOB_HEARTBEAT_SECONDS * 1000);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  const stopHeartbeat = startHeartbeat(job);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler(job.payload || {}, job);
+    stopHeartbeat();
+
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'succeeded', completed_at = NOW(), locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id]
+    );
+  } catch (err) {
+    stopHeartbeat();
+    const dead = job.attempts >= job.max_attempts;
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.max_attempts}:`, err);
+
+    await pool.query(
+      `UPDATE jobs
+       SET status = $2,
+           last_error = $3,
+           run_at = NOW() + make_interval(secs => $4::int),
+           locked_at = NULL,
+           locked_by = NULL,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, dead ? 'dead' : 'pending', String((err && err.stack) || err).slice(0, 4000), backoffSeconds(job.attempts)]
+    );
+  }
+}
+
+// Runs due jobs one at a time until none are left
+async function drainJobs() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = running ? await claimNextJob() : null;
+    }
+  } catch (err) {
+    console.error('Error processing jobs:', err);
+  } finally {
+    draining = false;
+  }
+}
+
+function startJobWorker({ pollIntervalMs = JOB_POLL_INTERVAL_MS } = {}) {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    await drainJobs();
+    if (running) pollTimer = setTimeout(tick, pollIntervalMs);
+  };
+
+  tick();
+}
+
+function stopJobWorker() {
+  running = false;
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+async function listJobs({ status, type, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    if (!JOB_STATUSES.includes(status)) {
+      throw new ServiceError(`status must be one of: ${JOB_STATUSES.join(', ')}.`);
+    }
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+
+  params.push(Math.min(Number(limit) || 100, 500));
+
+  const result = await pool.query(
+    `SELECT * FROM jobs
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const countsRes = await pool.query('SELECT status, COUNT(*)::int AS count FROM jobs GROUP BY status');
+
+  return {
+    jobs: result.rows,
+    counts: Object.fromEntries(countsRes.rows.map((row) => [row.status, row.count]))
+  };
+}
+
+// Puts a dead (or waiting) job back in line to run now with a fresh set of attempts
+async function retryJob(jobId, { adminIdentifier }) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'pending', attempts = 0, run_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('dead', 'pending')
+     RETURNING *`,
+    [jobId]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await pool.query('SELECT status FROM jobs WHERE id = $1', [jobId]);
+    if (existing.rows.length === 0) {
+      throw new ServiceError('Job not found.', 404);
+    }
+    throw new ServiceError(`Job is ${existing.rows[0].status} and can't be retried.`, 409);
+  }
+
+  const job = result.rows[0];
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'retry_job',
+    details: `Retried job ${job.id} (${job.type})`
+  });
+
+  if (running) setImmediate(drainJobs);
+
+  return job;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  listJobs,
+  retryJob
+};
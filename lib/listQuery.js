@@ -0,0 +1,168 @@
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+
+// Search, filters, sorting and cursor pagination for the admin list endpoints. Each endpoint
+// describes what can be searched, filtered and sorted (the spec); the request's query string picks
+// from that:
+//
+//   ?q=ava&country=ke&platform=tiktok&from=2026-01-01&to=2026-03-31&sort=-created_at&limit=50&cursor=...
+//
+// `q` and the contains-filters match case-insensitively anywhere in the value, exact filters match
+// the whole value, `from` / `to` are inclusive dates, and `sort` is a column name with a leading
+// `-` for descending. Pages are keyed on the sort value and the row id, so rows added while someone
+// pages through a list don't shift the pages after it. The response carries the total number of
+// matching rows and the cursor of the next page (null on the last page).
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function parseDate(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ServiceError(`${field} must be a date in YYYY-MM-DD format.`);
+  }
+  return value;
+}
+
+function parseSort(value, spec) {
+  const sort = value || spec.defaultSort;
+  const descending = sort.startsWith('-');
+  const key = descending ? sort.slice(1) : sort;
+
+  if (!Object.prototype.hasOwnProperty.call(spec.sorts, key)) {
+    throw new ServiceError(`sort must be one of: ${Object.keys(spec.sorts).join(', ')} (prefix with - for descending).`);
+  }
+
+  return { sort, expression: spec.sorts[key], direction: descending ? 'DESC' : 'ASC' };
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (err) {
+    cursor = null;
+  }
+
+  if (!cursor || typeof cursor !== 'object' || cursor.id === undefined || !('v' in cursor)) {
+    throw new ServiceError('cursor is invalid.');
+  }
+  if (cursor.s !== sort) {
+    throw new ServiceError('cursor belongs to a different sort order; start again without a cursor.');
+  }
+  return cursor;
+}
+
+// The WHERE conditions for the query string, appended to `conditions` / `params`
+function filterConditions(query, spec, conditions, params) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q && spec.search && spec.search.length) {
+    params.push(`%${escapeLike(q)}%`);
+    conditions.push(`(${spec.search.map((column) => `${column} ILIKE $${params.length}`).join(' OR ')})`);
+  }
+
+  for (const [name, column] of Object.entries(spec.contains || {})) {
+    const value = typeof query[name] === 'string' ? query[name].trim() : '';
+    if (!value) continue;
+    params.push(`%${escapeLike(value)}%`);
+    conditions.push(`${column} ILIKE $${params.length}`);
+  }
+
+  for (const [name, column] of Object.entries(spec.exact || {})) {
+    const value = typeof query[name] === 'string' ? query[name].trim() : '';
+    if (!value) continue;
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
+  }
+
+  if (spec.dateColumn) {
+    if (query.from) {
+      params.push(parseDate(query.from, 'from'));
+      conditions.push(`${spec.dateColumn} >= $${params.length}::date`);
+    }
+    if (query.to) {
+      params.push(parseDate(query.to, 'to'));
+      conditions.push(`${spec.dateColumn} < ($${params.length}::date + 1)`);
+    }
+  }
+}
+
+// Rows sorting after the cursor row. NULL sort values always come last, whichever the direction.
+function cursorCondition(cursor, expression, idColumn, direction, params) {
+  const op = direction === 'DESC' ? '<' : '>';
+
+  if (cursor.v === null) {
+    params.push(cursor.id);
+    return `(${expression} IS NULL AND ${idColumn} ${op} $${params.length})`;
+  }
+
+  params.push(cursor.v, cursor.id);
+  const value = `$${params.length - 1}`;
+  const id = `$${params.length}`;
+  return `(${expression} IS NULL OR ${expression} ${op} ${value} OR (${expression} = ${value} AND ${idColumn} ${op} ${id}))`;
+}
+
+// Runs one page of a list.
+//   base:  { select, from, where = [], params = [] } - the endpoint's own SELECT list, FROM/JOIN
+//          clause and fixed conditions (their placeholders numbered from $1)
+//   query: the request's query string
+//   spec:  { search, contains, exact, dateColumn, sorts, defaultSort, id, summary }
+// `summary` is extra aggregate SQL (e.g. 'SUM(x) AS x') computed over every matching row, returned
+// as `summary`. Resolves to { rows, total, next_cursor, summary }.
+async function runListQuery(base, query = {}, spec, db = pool) {
+  const params = [...(base.params || [])];
+  const conditions = [...(base.where || [])];
+  filterConditions(query, spec, conditions, params);
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countRes = await db.query(
+    `SELECT COUNT(*)::int AS total${spec.summary ? `, ${spec.summary}` : ''}
+     ${base.from}
+     ${whereSql}`,
+    params
+  );
+  const { total, ...summary } = countRes.rows[0];
+
+  const { sort, expression, direction } = parseSort(query.sort, spec);
+  const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pageParams = [...params];
+  const pageConditions = [...conditions];
+  if (query.cursor) {
+    pageConditions.push(cursorCondition(decodeCursor(query.cursor, sort), expression, spec.id, direction, pageParams));
+  }
+  pageParams.push(limit + 1);
+
+  // The sort value goes into the cursor as Postgres prints it, so timestamps keep their microseconds
+  const result = await db.query(
+    `${base.select},
+       (${expression})::text AS list_sort_value,
+       ${spec.id} AS list_row_id
+     ${base.from}
+     ${pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ORDER BY ${expression} ${direction} NULLS LAST, ${spec.id} ${direction}
+     LIMIT $${pageParams.length}`,
+    pageParams
+  );
+
+  const pageRows = result.rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = result.rows.length > limit
+    ? encodeCursor({ s: sort, v: last.list_sort_value, id: last.list_row_id })
+    : null;
+
+  return {
+    rows: pageRows.map(({ list_sort_value: sortValue, list_row_id: rowId, ...row }) => row),
+    total,
+    next_cursor: nextCursor,
+    summary
+  };
+}
+
+module.exports = { runListQuery };
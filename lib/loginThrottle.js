@@ -0,0 +1,150 @@
+const { pool, withTransaction } = require('./db');
+const { logAdminAction } = require('./adminLogs');
+
+// Sliding window: a client IP or an account is locked while it has at least this many
+// uncleared failed sign-ins inside the window. The lock lifts as old failures age out.
+const ADMIN_LOCKOUT_WINDOW_MINUTES = Number(process.env.ADMIN_LOCKOUT_WINDOW_MINUTES || '120');
+const ADMIN_LOCKOUT_MAX_IP_ATTEMPTS = Number(process.env.ADMIN_LOCKOUT_MAX_IP_ATTEMPTS || '10');
+const ADMIN_LOCKOUT_MAX_ACCOUNT_ATTEMPTS = Number(process.env.ADMIN_LOCKOUT_MAX_ACCOUNT_ATTEMPTS || '5');
+
+// Attempts are kept this long for the audit trail, then pruned
+const ATTEMPT_RETENTION_DAYS = 30;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase() || null;
+}
+
+// One row per locked key. locked_until is when the Nth most recent failure leaves the window.
+function lockoutQuery(column, scope, maxParam, filter) {
+  return `SELECT
+       '${scope}' AS scope,
+       ${column} AS key,
+       COUNT(*) AS failures,
+       MAX(created_at) AS last_attempt_at,
+       (array_agg(created_at ORDER BY created_at DESC))[${maxParam}::int]
+         + make_interval(mins => $1::int) AS locked_until
+     FROM admin_login_attempts
+     WHERE success = false
+       AND cleared_at IS NULL
+       AND ${column} IS NOT NULL
+       AND created_at > NOW() - make_interval(mins => $1::int)
+       ${filter}
+     GROUP BY ${column}
+     HAVING COUNT(*) >= ${maxParam}::int`;
+}
+
+// Returns the first active lockout for this IP or account, or null
+async function getLockout({ ip, email }, db = pool) {
+  const result = await db.query(
+    `${lockoutQuery('ip', 'ip', '$2', 'AND ip = $4')}
+     UNION ALL
+     ${lockoutQuery('email', 'account', '$3', 'AND email = $5')}
+     ORDER BY locked_until DESC`,
+    [
+      ADMIN_LOCKOUT_WINDOW_MINUTES,
+      ADMIN_LOCKOUT_MAX_IP_ATTEMPTS,
+      ADMIN_LOCKOUT_MAX_ACCOUNT_ATTEMPTS,
+      ip || null,
+      normalizeEmail(email)
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function listLockouts() {
+  const result = await pool.query(
+    `${lockoutQuery('ip', 'ip', '$2', '')}
+     UNION ALL
+     ${lockoutQuery('email', 'account', '$3', '')}
+     ORDER BY last_attempt_at DESC`,
+    [ADMIN_LOCKOUT_WINDOW_MINUTES, ADMIN_LOCKOUT_MAX_IP_ATTEMPTS, ADMIN_LOCKOUT_MAX_ACCOUNT_ATTEMPTS]
+  );
+
+  return result.rows;
+}
+
+// Checks the lockout and records the attempt as a failure in one transaction, before the password
+// is checked. Attempts for the same IP or account queue on the advisory locks, so parallel guesses
+// each see the ones before them. Resolves to { lockout } or { attemptId }.
+async function beginLoginAttempt({ ip, email }) {
+  const normalized = normalizeEmail(email);
+
+  return withTransaction(async (client) => {
+    if (ip) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`admin_login:ip:${ip}`]);
+    }
+    if (normalized) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`admin_login:email:${normalized}`]);
+    }
+
+    const lockout = await getLockout({ ip, email: normalized }, client);
+
+    if (lockout) {
+      return { lockout };
+    }
+
+    const result = await client.query(
+      `INSERT INTO admin_login_attempts (ip, email, success)
+       VALUES ($1, $2, false)
+       RETURNING id`,
+      [ip || null, normalized]
+    );
+
+    return { attemptId: result.rows[0].id };
+  });
+}
+
+// Settles an attempt from beginLoginAttempt once the password has been checked
+async function finishLoginAttempt({ attemptId, email, success }) {
+  const normalized = normalizeEmail(email);
+
+  // A successful sign-in proves the account holder is present, so their earlier misses stop counting
+  if (success) {
+    await pool.query('UPDATE admin_login_attempts SET success = true WHERE id = $1', [attemptId]);
+
+    if (normalized) {
+      await pool.query(
+        `UPDATE admin_login_attempts
+         SET cleared_at = NOW(), cleared_by = 'login'
+         WHERE email = $1 AND success = false AND cleared_at IS NULL`,
+        [normalized]
+      );
+    }
+  }
+
+  await pool.query(
+    `DELETE FROM admin_login_attempts
+     WHERE created_at < NOW() - make_interval(days => $1)`,
+    [ATTEMPT_RETENTION_DAYS]
+  );
+}
+
+// scope is 'ip' or 'account'; failures are marked cleared rather than deleted so they stay auditable
+async function clearLockout({ scope, key, adminIdentifier }) {
+  const column = scope === 'ip' ? 'ip' : 'email';
+  const value = scope === 'ip' ? key : normalizeEmail(key);
+
+  const result = await pool.query(
+    `UPDATE admin_login_attempts
+     SET cleared_at = NOW(), cleared_by = $1
+     WHERE ${column} = $2 AND success = false AND cleared_at IS NULL`,
+    [adminIdentifier, value]
+  );
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'clear_lockout',
+    details: `Cleared ${result.rowCount} failed sign-in(s) for ${scope} ${value}`
+  });
+
+  return { cleared: result.rowCount };
+}
+
+module.exports = {
+  getLockout,
+  listLockouts,
+  beginLoginAttempt,
+  finishLoginAttempt,
+  clearLockout
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary constant so only one process migrates at a time (e.g. two Render instances booting together)
+const MIGRATION_LOCK_ID = 7419001;
+
+// Migration files are named like 001_initial_schema.js and export async up(client) / down(client)
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = /^(\d+)_([\w-]+)\.js$/.exec(file);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions.`);
+      }
+
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+async function migrateUp(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+
+      ran.push(migration);
+    }
+
+    return ran;
+  });
+}
+
+async function migrateDown(pool, steps = 1) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version} (${row.name}) not found.`);
+      }
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map((row) => [row.version, row]));
+
+    return migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null
+      };
+    });
+  });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,202 @@
+const { pool } = require('./db');
+const { sendEmail, findSentEmail } = require('./email');
+const { getReferralLinkForPartner } = require('./partnerPortal');
+const {
+  issueStatusToken,
+  revokeStatusToken,
+  hasRecentStatusLinkEmail,
+  statusLinkPath
+} = require('./applicationStatus');
+
+// Application and payout lifecycle emails. Each one carries a dedupe key, so calling a
+// notifier twice for the same event (e.g. approving an application again) sends one email.
+
+function portalUrl() {
+  const base = process.env.PUBLIC_BASE_URL;
+  return base ? `${base.replace(/\/+$/, '')}/partners/portal` : null;
+}
+
+function statusBaseUrl() {
+  const base = process.env.PUBLIC_BASE_URL;
+  return base ? base.replace(/\/+$/, '') : null;
+}
+
+// Sends an email with a new status link. The token is issued right before sending and revoked
+// if delivery fails, so retries don't leave unused links behind. Without PUBLIC_BASE_URL the
+// email goes out without a link, as it needs a full URL.
+async function sendWithStatusLink(application, { template, dedupeKey = null }) {
+  const base = statusBaseUrl();
+  const token = base ? await issueStatusToken(application.id) : null;
+
+  try {
+    return await sendEmail({
+      template,
+      to: application.email,
+      data: { name: application.name, statusUrl: token ? `${base}${statusLinkPath(token)}` : null },
+      applicationId: application.id,
+      dedupeKey
+    });
+  } catch (err) {
+    if (token) await revokeStatusToken(token);
+    throw err;
+  }
+}
+
+async function loadApplication(applicationId) {
+  const result = await pool.query(
+    `SELECT id, name, email, notes, tapfiliate_affiliate_id
+     FROM partner_applications
+     WHERE id = $1`,
+    [applicationId]
+  );
+  return result.rows[0] || null;
+}
+
+async function notifyApplicationReceived(applicationId) {
+  const application = await loadApplication(applicationId);
+  if (!application) return null;
+
+  // Checked here rather than left to sendEmail, so a retry doesn't issue another link
+  const dedupeKey = `application_received:${application.id}`;
+  const sent = await findSentEmail(dedupeKey);
+  if (sent) return sent;
+
+  return sendWithStatusLink(application, { template: 'application_received', dedupeKey });
+}
+
+// Sent when someone submits the form again with an email that has already applied
+async function notifyApplicationStatusLink(applicationId) {
+  const application = await loadApplication(applicationId);
+  if (!application || await hasRecentStatusLinkEmail(application.id)) return null;
+
+  if (!statusBaseUrl()) {
+    console.warn('PUBLIC_BASE_URL is not set; not sending the status link for application', application.id);
+    return null;
+  }
+
+  return sendWithStatusLink(application, { template: 'application_status_link' });
+}
+
+// Decisions are keyed on their application_status_history row, so after a reopen the new
+// rejection or approval is emailed too, while retries of the same decision still send one email
+async function decisionDedupeKey(template, applicationId, toStatus) {
+  const result = await pool.query(
+    `SELECT id
+     FROM application_status_history
+     WHERE application_id = $1 AND to_status = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [applicationId, toStatus]
+  );
+
+  return result.rows[0]
+    ? `${template}:${applicationId}:${result.rows[0].id}`
+    : `${template}:${applicationId}`;
+}
+
+// Run after the Tapfiliate sync so the referral link exists when we can get it
+async function notifyApplicationApproved(applicationId) {
+  const application = await loadApplication(applicationId);
+  if (!application) return null;
+
+  const partnerRes = await pool.query(
+    'SELECT id, tapfiliate_affiliate_id, referral_link FROM partners WHERE application_id = $1',
+    [application.id]
+  );
+  const partner = partnerRes.rows[0] || null;
+
+  const referralLink = partner
+    ? await getReferralLinkForPartner({
+      ...partner,
+      tapfiliate_affiliate_id: partner.tapfiliate_affiliate_id || application.tapfiliate_affiliate_id
+    })
+    : null;
+
+  return sendEmail({
+    template: 'application_approved',
+    to: application.email,
+    data: { name: application.name, referralLink, portalUrl: portalUrl() },
+    applicationId: application.id,
+    partnerId: partner ? partner.id : null,
+    dedupeKey: await decisionDedupeKey('application_approved', application.id, 'approved')
+  });
+}
+
+// The reason is whatever the reviewer typed in the reject modal (stored in partner_applications.notes)
+async function notifyApplicationRejected(applicationId) {
+  const application = await loadApplication(applicationId);
+  if (!application) return null;
+
+  return sendEmail({
+    template: 'application_rejected',
+    to: application.email,
+    data: { name: application.name, reason: application.notes || null },
+    applicationId: application.id,
+    dedupeKey: await decisionDedupeKey('application_rejected', application.id, 'rejected')
+  });
+}
+
+// One email per payout in the batch that is currently out for payment
+async function notifyPayoutBatchSent(batchId) {
+  const result = await pool.query(
+    `SELECT
+       pp.id,
+       pp.partner_id,
+       pp.amount,
+       pp.currency,
+       pp.period_start,
+       pp.period_end,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partner_payouts pp
+     JOIN partners p ON p.id = pp.partner_id
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     WHERE pp.batch_id = $1 AND pp.status = 'sent'`,
+    [batchId]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const payout of result.rows) {
+    if (!payout.email) {
+      console.warn('Payout sent email: no email for partner', payout.partner_id);
+      continue;
+    }
+
+    try {
+      await sendEmail({
+        template: 'payout_sent',
+        to: payout.email,
+        data: {
+          name: payout.name,
+          amount: payout.amount,
+          currency: payout.currency,
+          periodStart: payout.period_start,
+          periodEnd: payout.period_end,
+          portalUrl: portalUrl()
+        },
+        partnerId: payout.partner_id,
+        dedupeKey: `payout_sent:${payout.id}`
+      });
+      sent += 1;
+    } catch (err) {
+      failed += 1;
+      console.error('Error sending payout email for payout', payout.id, err);
+    }
+  }
+
+  // Throwing lets the job retry; payouts that were already emailed are skipped by their dedupe key
+  if (failed > 0) {
+    throw new Error(`${failed} payout email(s) for batch ${batchId} failed`);
+  }
+
+  return { sent };
+}
+
+module.exports = {
+  notifyApplicationReceived,
+  notifyApplicationStatusLink,
+  notifyApplicationApproved,
+  notifyApplicationRejected,
+  notifyPayoutBatchSent
+};
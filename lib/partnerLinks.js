@@ -0,0 +1,418 @@
+const { pool, withTransaction } = require('./db');
+const { logAdminAction } = require('./adminLogs');
+const { recordStatusChange } = require('./applications');
+const { normalizeApplicationEmail } = require('./applicationIntake');
+const { COUNTRIES, parseCountry } = require('./applicationSchema');
+const { toPeriod, bookAdjustment } = require('./accountingPeriods');
+const { convertEarningsRow } = require('./fx');
+
+// Every partner should hang off exactly one partner_applications row. Partners that arrive some
+// other way (Stripe checkout, Tapfiliate sync, the old Stripe webhook that stored only an affiliate
+// id) are linked to the application with the same email, or merged into that application's
+// partner when it already has one.
+
+// Partner columns a merge keeps from the duplicate when the surviving row has no value
+const MERGED_PARTNER_FIELDS = [
+  'name',
+  'email',
+  'country',
+  'tapfiliate_affiliate_id',
+  'trolley_recipient_id',
+  'referral_link',
+  'stripe_customer_id',
+  'stripe_subscription_id',
+  'stripe_checkout_session_id'
+];
+
+// Tables whose partner_id rows move to the surviving partner (partner_earnings is handled by
+// mergePartnerEarnings)
+const PARTNER_REFERENCES = [
+  'partner_payouts',
+  'partner_login_tokens',
+  'partner_sessions',
+  'email_outbox',
+  'stripe_events',
+  'commission_rules',
+  'partner_tier_history',
+  'partner_conversions'
+];
+
+const PAYMENT_APPLICATION_MOTIVATION = 'Joined through the Stripe partner payment link.';
+
+// Approved applications win over open ones (pending, under review, waitlisted), which win over
+// rejected ones; newest first within each
+async function findApplicationByEmail(email, db = pool) {
+  if (!email) return null;
+
+  const result = await db.query(
+    `SELECT *
+     FROM partner_applications
+     WHERE LOWER(email) = LOWER($1)
+     ORDER BY CASE status WHEN 'approved' THEN 0 WHEN 'rejected' THEN 2 ELSE 1 END, id DESC
+     LIMIT 1`,
+    [email]
+  );
+
+  return result.rows[0] || null;
+}
+
+// An application for someone who paid without applying, approved by the payment itself
+async function createPaymentApplication({ name, email, country, checkoutSessionId }, db = pool) {
+  // Stripe gives the billing country as an ISO code
+  const countryCode = parseCountry(country);
+  const result = await db.query(
+    `INSERT INTO partner_applications (
+       name, email, country, country_code, motivation, status, approved_at, approved_by, source, email_normalized
+     )
+     VALUES ($1, $2, $3, $4, $5, 'approved', NOW(), 'stripe', 'stripe_payment', $6)
+     RETURNING *`,
+    [
+      name || email,
+      email,
+      COUNTRIES[countryCode] || country || 'Unknown',
+      countryCode,
+      PAYMENT_APPLICATION_MOTIVATION,
+      normalizeApplicationEmail(email)
+    ]
+  );
+
+  const application = result.rows[0];
+
+  await recordStatusChange({
+    applicationId: application.id,
+    fromStatus: null,
+    toStatus: 'approved',
+    changedBy: 'stripe',
+    reason: 'Joined through the Stripe partner payment link'
+  }, db);
+
+  await logAdminAction({
+    adminIdentifier: 'stripe',
+    action: 'approve_via_payment',
+    applicationId: application.id,
+    details: checkoutSessionId ? `Created from Stripe checkout ${checkoutSessionId}` : 'Created from a Stripe partner'
+  }, db);
+
+  return application;
+}
+
+// Open applications that a membership payment approves; a rejection stands
+const PAYMENT_APPROVABLE_STATUSES = ['pending', 'under_review', 'waitlisted'];
+
+// An open application whose applicant paid for a membership is approved by the payment
+async function approveApplicationByPayment(applicationId, { checkoutSessionId } = {}, db = pool) {
+  const currentRes = await db.query(
+    'SELECT status FROM partner_applications WHERE id = $1 AND status = ANY($2::text[]) FOR UPDATE',
+    [applicationId, PAYMENT_APPROVABLE_STATUSES]
+  );
+  if (currentRes.rows.length === 0) return null;
+
+  const result = await db.query(
+    `UPDATE partner_applications
+     SET status = 'approved', approved_at = NOW(), approved_by = 'stripe'
+     WHERE id = $1
+     RETURNING *`,
+    [applicationId]
+  );
+
+  await recordStatusChange({
+    applicationId,
+    fromStatus: currentRes.rows[0].status,
+    toStatus: 'approved',
+    changedBy: 'stripe',
+    reason: checkoutSessionId ? `Stripe checkout ${checkoutSessionId}` : 'Stripe payment'
+  }, db);
+
+  await logAdminAction({
+    adminIdentifier: 'stripe',
+    action: 'approve_via_payment',
+    applicationId,
+    details: checkoutSessionId ? `Approved by Stripe checkout ${checkoutSessionId}` : 'Approved by Stripe payment'
+  }, db);
+
+  return result.rows[0];
+}
+
+// Moves the duplicate's earnings to the survivor. Rows in a closed month stay locked: their amounts
+// are booked for the survivor as adjustments of the month they count towards, and the duplicate's
+// rows are deleted. Rows in an open month are added to the survivor's row for the same month,
+// currency and entry (and converted again), or simply reassigned when the survivor has none.
+async function mergePartnerEarnings(survivorId, duplicateId, db) {
+  const closedRes = await db.query("SELECT period FROM accounting_periods WHERE status = 'closed'");
+  const closed = new Set(closedRes.rows.map((row) => toPeriod(row.period)));
+
+  const earningsRes = await db.query(
+    'SELECT * FROM partner_earnings WHERE partner_id = $1 ORDER BY period, id',
+    [duplicateId]
+  );
+
+  const locked = new Map();
+  for (const row of earningsRes.rows) {
+    if (!closed.has(toPeriod(row.period))) continue;
+
+    const period = toPeriod(row.adjusts_period || row.period);
+    const key = `${period}:${row.currency}`;
+    const entry = locked.get(key) || {
+      period,
+      currency: row.currency,
+      delta: { gross: 0, net: 0, commission: 0, conversions: 0 },
+      commissionRate: 0,
+      commissionRuleId: null,
+      ids: []
+    };
+    entry.delta.gross += Number(row.gross_revenue);
+    entry.delta.net += Number(row.net_revenue);
+    entry.delta.commission += Number(row.commission_amount);
+    entry.delta.conversions += Number(row.conversion_count);
+    entry.commissionRate = Number(row.commission_rate);
+    entry.commissionRuleId = row.commission_rule_id;
+    entry.ids.push(row.id);
+    locked.set(key, entry);
+  }
+
+  for (const entry of locked.values()) {
+    await bookAdjustment({
+      partnerId: survivorId,
+      period: entry.period,
+      currency: entry.currency,
+      delta: {
+        gross: roundAmount(entry.delta.gross),
+        net: roundAmount(entry.delta.net),
+        commission: roundAmount(entry.delta.commission),
+        conversions: entry.delta.conversions
+      },
+      commissionRate: entry.commissionRate,
+      commissionRuleId: entry.commissionRuleId,
+      source: 'merge'
+    }, db);
+    await db.query('DELETE FROM partner_earnings WHERE id = ANY($1::int[])', [entry.ids]);
+  }
+
+  for (const row of earningsRes.rows) {
+    if (closed.has(toPeriod(row.period))) continue;
+
+    const matchRes = await db.query(
+      `SELECT id FROM partner_earnings
+       WHERE partner_id = $1 AND period = $2 AND currency = $3 AND entry_type = $4
+         AND adjusts_period IS NOT DISTINCT FROM $5::date`,
+      [survivorId, row.period, row.currency, row.entry_type, row.adjusts_period]
+    );
+
+    if (matchRes.rows.length === 0) {
+      await db.query('UPDATE partner_earnings SET partner_id = $1 WHERE id = $2', [survivorId, row.id]);
+      continue;
+    }
+
+    await db.query('DELETE FROM partner_earnings WHERE id = $1', [row.id]);
+    const mergedRes = await db.query(
+      `UPDATE partner_earnings
+       SET gross_revenue = gross_revenue + $2,
+           net_revenue = net_revenue + $3,
+           commission_amount = commission_amount + $4,
+           conversion_count = conversion_count + $5
+       WHERE id = $1
+       RETURNING *`,
+      [matchRes.rows[0].id, row.gross_revenue, row.net_revenue, row.commission_amount, row.conversion_count]
+    );
+    await convertEarningsRow(mergedRes.rows[0], db);
+  }
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Folds `duplicateId` into `survivorId` and deletes it. Must run inside a transaction.
+// Earnings are moved with mergePartnerEarnings.
+async function mergePartners(survivorId, duplicateId, { adminIdentifier, reason }, db) {
+  const rowsRes = await db.query('SELECT * FROM partners WHERE id IN ($1, $2) FOR UPDATE', [survivorId, duplicateId]);
+  const survivor = rowsRes.rows.find((row) => row.id === Number(survivorId));
+  const duplicate = rowsRes.rows.find((row) => row.id === Number(duplicateId));
+
+  if (!survivor || !duplicate) {
+    throw new Error(`Can't merge partner ${duplicateId} into ${survivorId}: partner not found`);
+  }
+
+  await mergePartnerEarnings(survivor.id, duplicate.id, db);
+
+  for (const table of PARTNER_REFERENCES) {
+    await db.query(`UPDATE ${table} SET partner_id = $1 WHERE partner_id = $2`, [survivor.id, duplicate.id]);
+  }
+
+  // Deleted first so its unique values (application, affiliate id) can move to the survivor
+  await db.query('DELETE FROM partners WHERE id = $1', [duplicate.id]);
+
+  const updates = {};
+  for (const field of MERGED_PARTNER_FIELDS) {
+    if (survivor[field] == null && duplicate[field] != null) {
+      updates[field] = duplicate[field];
+    }
+  }
+  if (survivor.application_id == null && duplicate.application_id != null) {
+    updates.application_id = duplicate.application_id;
+  }
+  // The membership status belongs to whichever row carries the Stripe subscription
+  if (updates.stripe_subscription_id) {
+    updates.status = duplicate.status;
+    updates.status_reason = duplicate.status_reason;
+    updates.status_changed_at = duplicate.status_changed_at;
+  }
+
+  const fields = Object.keys(updates);
+  if (fields.length > 0) {
+    await db.query(
+      `UPDATE partners
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+       WHERE id = $1`,
+      [survivor.id, ...fields.map((field) => updates[field])]
+    );
+  }
+
+  const orphanedAffiliate = duplicate.tapfiliate_affiliate_id
+    && survivor.tapfiliate_affiliate_id
+    && duplicate.tapfiliate_affiliate_id !== survivor.tapfiliate_affiliate_id
+    ? ` (its Tapfiliate affiliate ${duplicate.tapfiliate_affiliate_id} is no longer linked)`
+    : '';
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'merge_partners',
+    applicationId: survivor.application_id || duplicate.application_id,
+    details: `Merged partner ${duplicate.id} into ${survivor.id}${reason ? `: ${reason}` : ''}${orphanedAffiliate}`
+  }, db);
+
+  return survivor.id;
+}
+
+// Links a partner to an application, or merges it into the application's partner if there
+// already is one. Returns the id of the partner that is now linked. Must run inside a transaction.
+async function attachPartnerToApplication(partnerId, application, { adminIdentifier, reason }, db) {
+  const linkedRes = await db.query('SELECT id FROM partners WHERE application_id = $1', [application.id]);
+  const linked = linkedRes.rows[0];
+
+  let survivorId = partnerId;
+  if (linked && linked.id !== Number(partnerId)) {
+    survivorId = await mergePartners(linked.id, partnerId, { adminIdentifier, reason }, db);
+  } else if (!linked) {
+    await db.query('UPDATE partners SET application_id = $1 WHERE id = $2', [application.id, partnerId]);
+  }
+
+  // Keeps the approval sync from creating a second affiliate for a partner that already has one
+  await db.query(
+    `UPDATE partner_applications
+     SET tapfiliate_affiliate_id = (SELECT tapfiliate_affiliate_id FROM partners WHERE id = $1)
+     WHERE id = $2 AND tapfiliate_affiliate_id IS NULL`,
+    [survivorId, application.id]
+  );
+
+  return survivorId;
+}
+
+// A reviewer turned this person down, so reconcile doesn't link them to the partner with their
+// email. The application is flagged once per partner and the skip is logged for a reviewer to
+// deactivate the partner or reopen the application. Resolves to true when newly flagged.
+async function flagPartnerFromRejectedApplication(partner, application, { adminIdentifier }, db) {
+  const flag = {
+    code: 'partner_while_rejected',
+    label: 'A partner with this email exists although the application was rejected; deactivate or reopen',
+    points: 0,
+    partner_id: partner.id
+  };
+
+  const result = await db.query(
+    `UPDATE partner_applications
+     SET review_flags = COALESCE(review_flags, '[]'::jsonb) || $2::jsonb
+     WHERE id = $1 AND NOT (COALESCE(review_flags, '[]'::jsonb) @> $3::jsonb)`,
+    [application.id, JSON.stringify([flag]), JSON.stringify([{ code: flag.code, partner_id: partner.id }])]
+  );
+
+  if (result.rowCount === 0) return false;
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'partner_needs_review',
+    applicationId: application.id,
+    details: `Partner ${partner.id} (${partner.email}) not linked: application ${application.id} was rejected`
+  }, db);
+
+  return true;
+}
+
+// Cleans up partners that aren't linked to an application:
+//  1. unlinked partners sharing an email are merged into the oldest one;
+//  2. each remaining one is linked to the application with its email (or merged into that
+//     application's partner); Stripe members without any application get one approved by payment.
+//     Rejected applications are flagged for review instead of linked.
+// Partners with no email are left alone; a Tapfiliate partner sync fills most of them in.
+async function reconcilePartners({ adminIdentifier }) {
+  return withTransaction(async (client) => {
+    const summary = { merged: 0, linked: 0, applicationsCreated: 0, flagged: 0 };
+
+    const duplicatesRes = await client.query(
+      `SELECT p.id, MIN(o.id) AS survivor_id
+       FROM partners p
+       JOIN partners o ON LOWER(o.email) = LOWER(p.email) AND o.application_id IS NULL AND o.id < p.id
+       WHERE p.application_id IS NULL AND p.email IS NOT NULL
+       GROUP BY p.id
+       ORDER BY p.id`
+    );
+
+    for (const row of duplicatesRes.rows) {
+      await mergePartners(row.survivor_id, row.id, { adminIdentifier, reason: 'same email, no application' }, client);
+      summary.merged += 1;
+    }
+
+    const unlinkedRes = await client.query(
+      `SELECT * FROM partners
+       WHERE application_id IS NULL AND email IS NOT NULL
+       ORDER BY id`
+    );
+
+    for (const partner of unlinkedRes.rows) {
+      let application = await findApplicationByEmail(partner.email, client);
+
+      if (!application) {
+        if (!partner.stripe_customer_id) continue;
+        application = await createPaymentApplication({
+          name: partner.name,
+          email: partner.email,
+          country: partner.country,
+          checkoutSessionId: partner.stripe_checkout_session_id
+        }, client);
+        summary.applicationsCreated += 1;
+      }
+
+      if (application.status === 'rejected') {
+        if (await flagPartnerFromRejectedApplication(partner, application, { adminIdentifier }, client)) {
+          summary.flagged += 1;
+        }
+        continue;
+      }
+
+      const survivorId = await attachPartnerToApplication(
+        partner.id,
+        application,
+        { adminIdentifier, reason: `same email as application ${application.id}` },
+        client
+      );
+
+      if (survivorId === partner.id) {
+        summary.linked += 1;
+      } else {
+        summary.merged += 1;
+      }
+    }
+
+    return summary;
+  });
+}
+
+module.exports = {
+  PAYMENT_APPROVABLE_STATUSES,
+  findApplicationByEmail,
+  createPaymentApplication,
+  approveApplicationByPayment,
+  mergePartners,
+  attachPartnerToApplication,
+  reconcilePartners
+};
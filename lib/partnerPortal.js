@@ -0,0 +1,244 @@
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { generateToken, hashToken } = require('./tokens');
+const { sendEmail } = require('./email');
+const tapfiliate = require('./tapfiliate');
+
+const PARTNER_LOGIN_LINK_TTL_MINUTES = Number(process.env.PARTNER_LOGIN_LINK_TTL_MINUTES || '15');
+const PARTNER_SESSION_TTL_DAYS = Number(process.env.PARTNER_SESSION_TTL_DAYS || '30');
+
+// At most one sign-in email per partner in this many seconds
+const LOGIN_LINK_COOLDOWN_SECONDS = 60;
+
+// Payout rows a partner sees in their history (drafts and carry-forward markers are internal)
+const VISIBLE_PAYOUT_STATUSES = ['approved', 'sent', 'paid', 'failed'];
+
+async function findPartnerByEmail(email) {
+  const result = await pool.query(
+    `SELECT
+       p.id,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partners p
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     WHERE LOWER(COALESCE(p.email, pa.email)) = $1 AND p.status = 'active'
+     ORDER BY p.id
+     LIMIT 1`,
+    [email]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Emails a one-time sign-in link. Says nothing about whether the email belongs to a partner,
+// so callers should always show the same response.
+async function requestPortalLoginLink({ email, ip }) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized) return;
+
+  // The link must point at our own domain, never at whatever Host header the request carried
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    console.warn('PUBLIC_BASE_URL is not set; not sending a partner portal sign-in link');
+    return;
+  }
+
+  const partner = await findPartnerByEmail(normalized);
+  if (!partner) return;
+
+  const recent = await pool.query(
+    `SELECT 1 FROM partner_login_tokens
+     WHERE partner_id = $1 AND created_at > NOW() - make_interval(secs => $2::int)`,
+    [partner.id, LOGIN_LINK_COOLDOWN_SECONDS]
+  );
+  if (recent.rows.length > 0) return;
+
+  const token = generateToken();
+
+  await pool.query(
+    `INSERT INTO partner_login_tokens (token_hash, partner_id, ip, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::int))`,
+    [hashToken(token), partner.id, ip || null, PARTNER_LOGIN_LINK_TTL_MINUTES]
+  );
+
+  await sendEmail({
+    template: 'partner_portal_login',
+    to: partner.email,
+    data: {
+      name: partner.name,
+      link: `${baseUrl}/partners/portal?token=${token}`,
+      ttlMinutes: PARTNER_LOGIN_LINK_TTL_MINUTES
+    },
+    partnerId: partner.id
+  });
+}
+
+// Exchanges a one-time link token for a portal session token
+async function redeemPortalLoginToken(token) {
+  const result = await pool.query(
+    `UPDATE partner_login_tokens
+     SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       AND partner_id IN (SELECT id FROM partners WHERE status = 'active')
+     RETURNING partner_id`,
+    [hashToken(token || '')]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('This sign-in link is invalid or has expired. Please request a new one.', 401);
+  }
+
+  const sessionToken = generateToken();
+
+  await pool.query(
+    `INSERT INTO partner_sessions (token_hash, partner_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3::int))`,
+    [hashToken(sessionToken), result.rows[0].partner_id, PARTNER_SESSION_TTL_DAYS]
+  );
+
+  return sessionToken;
+}
+
+// Only active partners have portal access. A suspended or deactivated partner's sessions stop
+// working straight away, and work again if the membership is reactivated before they expire.
+async function getPartnerForSession(token) {
+  if (!token) return null;
+
+  const result = await pool.query(
+    `SELECT p.id
+     FROM partner_sessions s
+     JOIN partners p ON p.id = s.partner_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW() AND p.status = 'active'`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function logoutPartner(token) {
+  if (!token) return;
+  await pool.query('DELETE FROM partner_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+// Cached in partners.referral_link after the first successful Tapfiliate lookup
+async function getReferralLinkForPartner(partner) {
+  if (partner.referral_link || !partner.tapfiliate_affiliate_id || !tapfiliate.isTapfiliateConfigured()) {
+    return partner.referral_link || null;
+  }
+
+  try {
+    const link = await tapfiliate.getReferralLink(partner.tapfiliate_affiliate_id);
+    if (link) {
+      await pool.query('UPDATE partners SET referral_link = $1 WHERE id = $2', [link, partner.id]);
+    }
+    return link;
+  } catch (err) {
+    console.error('Error loading referral link for partner', partner.id, err);
+    return null;
+  }
+}
+
+async function getPortalOverview(partnerId) {
+  const partnerRes = await pool.query(
+    `SELECT
+       p.id,
+       p.application_id,
+       p.tier,
+       pt.label AS tier_label,
+       p.status,
+       p.tapfiliate_affiliate_id,
+       p.referral_link,
+       p.created_at,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partners p
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     LEFT JOIN partner_tiers pt ON pt.name = p.tier
+     WHERE p.id = $1`,
+    [partnerId]
+  );
+
+  const partner = partnerRes.rows[0];
+  if (!partner) {
+    throw new ServiceError('Partner not found.', 404);
+  }
+
+  const applicationRes = await pool.query(
+    `SELECT id, status, created_at, approved_at
+     FROM partner_applications
+     WHERE id = $1 OR LOWER(email) = LOWER($2)
+     ORDER BY (id = $1) DESC, created_at DESC
+     LIMIT 1`,
+    [partner.application_id, partner.email || '']
+  );
+
+  const earningsRes = await pool.query(
+    `SELECT period, currency, gross_revenue, net_revenue, commission_rate, commission_amount
+     FROM partner_earnings
+     WHERE partner_id = $1
+     ORDER BY period DESC, currency`,
+    [partnerId]
+  );
+
+  const payoutsRes = await pool.query(
+    `SELECT id, amount, currency, status, period_start, period_end, created_at, updated_at
+     FROM partner_payouts
+     WHERE partner_id = $1 AND status = ANY($2::text[])
+     ORDER BY created_at DESC`,
+    [partnerId, VISIBLE_PAYOUT_STATUSES]
+  );
+
+  // Per currency: everything earned, what has been paid, what is in an approved or sent payout, and
+  // the rest. Drafts aren't counted, matching the statements (COUNTED_PAYOUT_STATUSES).
+  const balancesRes = await pool.query(
+    `SELECT
+       e.currency,
+       e.earned,
+       COALESCE(p.paid, 0) AS paid,
+       COALESCE(p.in_progress, 0) AS in_progress,
+       e.earned - COALESCE(p.paid, 0) - COALESCE(p.in_progress, 0) AS balance
+     FROM (
+       SELECT currency, SUM(commission_amount) AS earned
+       FROM partner_earnings
+       WHERE partner_id = $1
+       GROUP BY currency
+     ) e
+     LEFT JOIN (
+       SELECT
+         currency,
+         SUM(amount) FILTER (WHERE status = 'paid') AS paid,
+         SUM(amount) FILTER (WHERE status IN ('approved', 'sent')) AS in_progress
+       FROM partner_payouts
+       WHERE partner_id = $1
+       GROUP BY currency
+     ) p ON p.currency = e.currency
+     ORDER BY e.currency`,
+    [partnerId]
+  );
+
+  return {
+    partner: {
+      id: partner.id,
+      name: partner.name,
+      email: partner.email,
+      tier: partner.tier,
+      tier_label: partner.tier_label,
+      status: partner.status,
+      created_at: partner.created_at,
+      referral_link: await getReferralLinkForPartner(partner)
+    },
+    application: applicationRes.rows[0] || null,
+    balances: balancesRes.rows,
+    earnings: earningsRes.rows,
+    payouts: payoutsRes.rows
+  };
+}
+
+module.exports = {
+  requestPortalLoginLink,
+  redeemPortalLoginToken,
+  getPartnerForSession,
+  logoutPartner,
+  getPortalOverview,
+  getReferralLinkForPartner
+};
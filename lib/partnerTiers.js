@@ -0,0 +1,240 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+const { REPORTING_CURRENCY } = require('./fx');
+
+// Automatic tier promotion/demotion. A partner's tier is the highest one in partner_tiers whose
+// thresholds they meet over the trailing window: net revenue and conversions summed over the last
+// TIER_EVALUATION_MONTHS full months of partner_earnings. The current month is left out because
+// it is still incomplete. Net is compared in the reporting currency, so thresholds are in it too.
+const TIER_EVALUATION_MONTHS = Number(process.env.TIER_EVALUATION_MONTHS || '3');
+
+// admin_logs / partner_tier_history identifier for automatic changes
+const TIER_ACTOR = 'tier_evaluation';
+
+async function listTiers(db = pool) {
+  const result = await db.query('SELECT * FROM partner_tiers ORDER BY rank');
+  return result.rows;
+}
+
+async function updateTier(name, { label, minTrailingNet, minTrailingConversions }, { adminIdentifier }) {
+  const sets = [];
+  const params = [];
+
+  if (label !== undefined) {
+    if (typeof label !== 'string' || !label.trim()) {
+      throw new ServiceError('label must not be empty.');
+    }
+    params.push(label.trim());
+    sets.push(`label = $${params.length}`);
+  }
+  if (minTrailingNet !== undefined) {
+    const value = Number(minTrailingNet);
+    if (minTrailingNet === null || minTrailingNet === '' || Number.isNaN(value) || value < 0) {
+      throw new ServiceError('min_trailing_net must be a non-negative number.');
+    }
+    params.push(value);
+    sets.push(`min_trailing_net = $${params.length}`);
+  }
+  if (minTrailingConversions !== undefined) {
+    const value = Number(minTrailingConversions);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ServiceError('min_trailing_conversions must be a non-negative whole number.');
+    }
+    params.push(value);
+    sets.push(`min_trailing_conversions = $${params.length}`);
+  }
+
+  if (sets.length === 0) {
+    throw new ServiceError('Nothing to update.');
+  }
+
+  params.push(name);
+  const result = await pool.query(
+    `UPDATE partner_tiers SET ${sets.join(', ')}, updated_at = NOW() WHERE name = $${params.length} RETURNING *`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('Tier not found.', 404);
+  }
+
+  const tier = result.rows[0];
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'tier_update',
+    details: `Tier ${tier.name} (${tier.label}): ${tier.min_trailing_net} net / ${tier.min_trailing_conversions} conversions over ${TIER_EVALUATION_MONTHS} months`
+  });
+
+  return tier;
+}
+
+// First day of the window and first day of the current month, as YYYY-MM-DD
+function trailingWindow(asOf = new Date()) {
+  const end = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), 1));
+  const start = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth() - TIER_EVALUATION_MONTHS, 1));
+  return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+}
+
+// Net is summed in the reporting currency. Rows without an FX rate can't be added up, so they are
+// counted in missing_rates instead
+async function loadTrailingPerformance(window, db = pool) {
+  const result = await db.query(
+    `SELECT
+       p.id,
+       p.tier,
+       p.status,
+       p.application_id,
+       p.tier_changed_at,
+       COALESCE(e.trailing_net, 0) AS trailing_net,
+       COALESCE(e.trailing_conversions, 0) AS trailing_conversions,
+       COALESCE(e.missing_rates, 0) AS missing_rates
+     FROM partners p
+     LEFT JOIN (
+       SELECT
+         partner_id,
+         SUM(net_revenue_reporting) AS trailing_net,
+         SUM(conversion_count)::int AS trailing_conversions,
+         COUNT(*) FILTER (WHERE net_revenue_reporting IS NULL)::int AS missing_rates
+       FROM partner_earnings
+       WHERE period >= $1::date AND period < $2::date
+       GROUP BY partner_id
+     ) e ON e.partner_id = p.id
+     ORDER BY p.id`,
+    [window.start, window.end]
+  );
+
+  return result.rows;
+}
+
+function qualifiesFor(tier, performance) {
+  return Number(performance.trailing_net) >= Number(tier.min_trailing_net)
+    && Number(performance.trailing_conversions) >= Number(tier.min_trailing_conversions);
+}
+
+// Tiers are ordered by rank; the lowest one is the floor everyone qualifies for
+function targetTier(tiers, performance) {
+  let target = tiers[0];
+  for (const tier of tiers) {
+    if (qualifiesFor(tier, performance)) target = tier;
+  }
+  return target;
+}
+
+async function changeTier(performance, fromTier, toTier, { triggeredBy }) {
+  const promoted = toTier.rank > fromTier.rank;
+  const reason = `${promoted ? 'Promoted' : 'Demoted'}: ${Number(performance.trailing_net).toFixed(2)} net and `
+    + `${performance.trailing_conversions} conversions over the last ${TIER_EVALUATION_MONTHS} months`;
+
+  await withTransaction(async (client) => {
+    await client.query(
+      'UPDATE partners SET tier = $1, tier_changed_at = NOW() WHERE id = $2',
+      [toTier.name, performance.id]
+    );
+
+    await client.query(
+      `INSERT INTO partner_tier_history (
+         partner_id, from_tier, to_tier, trailing_net, trailing_conversions, reason, changed_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [performance.id, fromTier.name, toTier.name, performance.trailing_net, performance.trailing_conversions, reason, TIER_ACTOR]
+    );
+
+    await logAdminAction({
+      adminIdentifier: TIER_ACTOR,
+      action: promoted ? 'tier_promotion' : 'tier_demotion',
+      applicationId: performance.application_id,
+      details: `Partner ${performance.id} ${fromTier.name} → ${toTier.name}. ${reason}${triggeredBy ? ` (run by ${triggeredBy})` : ''}`
+    }, client);
+  });
+
+  return promoted;
+}
+
+// Runs as a `tier_evaluation` job. Partners that aren't active are left where they are, and so
+// are partners on a tier that isn't in partner_tiers (set by hand for a special arrangement).
+// Partners with earnings that have no FX rate yet keep their tier too, listed in missing_rates,
+// until the rates are imported.
+async function evaluatePartnerTiers({ asOf = new Date(), triggeredBy = null } = {}) {
+  const tiers = await listTiers();
+  const window = trailingWindow(asOf);
+  const summary = { window, currency: REPORTING_CURRENCY, evaluated: 0, promoted: 0, demoted: 0, missing_rates: [] };
+
+  if (tiers.length === 0) return summary;
+
+  const tiersByName = Object.fromEntries(tiers.map((tier) => [tier.name, tier]));
+  const partners = await loadTrailingPerformance(window);
+
+  for (const performance of partners) {
+    const current = tiersByName[performance.tier];
+    if (!current || performance.status !== 'active') continue;
+
+    if (performance.missing_rates > 0) {
+      summary.missing_rates.push(performance.id);
+      continue;
+    }
+
+    summary.evaluated += 1;
+
+    const target = targetTier(tiers, performance);
+    if (target.name === current.name) continue;
+
+    const promoted = await changeTier(performance, current, target, { triggeredBy });
+    if (promoted) {
+      summary.promoted += 1;
+    } else {
+      summary.demoted += 1;
+    }
+  }
+
+  return summary;
+}
+
+// For the admin Partners tab: each partner's trailing numbers, the next tier up and their last
+// tier change, keyed by partner id
+async function getTierProgress() {
+  const tiers = await listTiers();
+  const window = trailingWindow();
+  const partners = await loadTrailingPerformance(window);
+
+  const lastChangeRes = await pool.query(
+    `SELECT DISTINCT ON (partner_id) partner_id, from_tier, to_tier, changed_by, created_at
+     FROM partner_tier_history
+     ORDER BY partner_id, created_at DESC, id DESC`
+  );
+  const lastChanges = Object.fromEntries(lastChangeRes.rows.map((row) => [row.partner_id, row]));
+
+  const progress = {};
+  for (const performance of partners) {
+    const current = tiers.find((tier) => tier.name === performance.tier);
+    const next = current ? tiers.find((tier) => tier.rank > current.rank) : null;
+
+    progress[performance.id] = {
+      currency: REPORTING_CURRENCY,
+      trailing_net: Number(performance.trailing_net),
+      trailing_conversions: performance.trailing_conversions,
+      missing_rates: performance.missing_rates,
+      tier_label: current ? current.label : performance.tier,
+      next_tier: next
+        ? {
+          name: next.name,
+          label: next.label,
+          min_trailing_net: Number(next.min_trailing_net),
+          min_trailing_conversions: next.min_trailing_conversions
+        }
+        : null,
+      last_tier_change: lastChanges[performance.id] || null
+    };
+  }
+
+  return { window, months: TIER_EVALUATION_MONTHS, progress };
+}
+
+module.exports = {
+  TIER_EVALUATION_MONTHS,
+  listTiers,
+  updateTier,
+  evaluatePartnerTiers,
+  getTierProgress
+};
@@ -0,0 +1,279 @@
+const { pool, withTransaction } = require('./db');
+const { logAdminAction } = require('./adminLogs');
+const { ServiceError } = require('./errors');
+const { REPORTING_CURRENCY, periodEndDate, convertPayoutAmount } = require('./fx');
+
+const PAYOUT_MINIMUM_AMOUNT = Number(process.env.PAYOUT_MINIMUM_AMOUNT || '50');
+
+// Arbitrary constant; serialises batch builds so two admins can't reserve the same balance twice
+const PAYOUT_BUILD_LOCK_ID = 7419002;
+
+// Allowed batch status transitions. paid, failed and cancelled are terminal.
+const PAYOUT_BATCH_TRANSITIONS = {
+  draft: ['approved', 'cancelled'],
+  approved: ['sent', 'cancelled'],
+  sent: ['paid', 'failed']
+};
+
+// Payout rows in these states don't count against a partner's balance, so the money is
+// picked up again by the next batch
+const UNRESERVED_PAYOUT_STATUSES = ['failed', 'cancelled', 'carried_forward'];
+
+function parsePeriodMonth(periodYm, field) {
+  if (typeof periodYm !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(periodYm)) {
+    throw new ServiceError(`${field} must be a month in YYYY-MM format.`);
+  }
+  return `${periodYm}-01`;
+}
+
+async function buildPayoutBatch({ periodStart, periodEnd, minimumAmount, notes, adminIdentifier }) {
+  const startDate = parsePeriodMonth(periodStart, 'period_start');
+  const endMonth = parsePeriodMonth(periodEnd || periodStart, 'period_end');
+
+  if (endMonth < startDate) {
+    throw new ServiceError('period_end must not be before period_start.');
+  }
+
+  const threshold = minimumAmount == null || minimumAmount === ''
+    ? PAYOUT_MINIMUM_AMOUNT
+    : Number(minimumAmount);
+
+  if (Number.isNaN(threshold) || threshold < 0) {
+    throw new ServiceError('minimum_amount must be a non-negative number.');
+  }
+
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [PAYOUT_BUILD_LOCK_ID]);
+
+    const batchRes = await client.query(
+      `INSERT INTO payout_batches (period_start, period_end, minimum_amount, created_by, notes)
+       VALUES ($1, ($2::date + INTERVAL '1 month - 1 day')::date, $3, $4, $5)
+       RETURNING *`,
+      [startDate, endMonth, threshold, adminIdentifier, notes || null]
+    );
+    const batch = batchRes.rows[0];
+
+    // Outstanding balance = all commission earned up to the end of the range minus everything
+    // already paid or reserved by another batch. Earlier amounts that stayed below the minimum
+    // are still in here, which is how carried-forward balances get paid eventually.
+    // Suspended or deactivated partners are held: their balance is carried forward, not paid.
+    const balancesRes = await client.query(
+      `WITH earned AS (
+         SELECT partner_id, currency, SUM(commission_amount) AS earned
+         FROM partner_earnings
+         WHERE period <= $1::date
+         GROUP BY partner_id, currency
+       ),
+       reserved AS (
+         SELECT partner_id, currency, SUM(amount) AS reserved
+         FROM partner_payouts
+         WHERE status <> ALL($2::text[])
+         GROUP BY partner_id, currency
+       )
+       SELECT
+         e.partner_id,
+         e.currency,
+         ROUND(e.earned - COALESCE(r.reserved, 0), 2) AS balance,
+         p.status AS partner_status
+       FROM earned e
+       JOIN partners p ON p.id = e.partner_id
+       LEFT JOIN reserved r ON r.partner_id = e.partner_id AND r.currency = e.currency
+       WHERE e.earned - COALESCE(r.reserved, 0) > 0
+       ORDER BY e.partner_id, e.currency`,
+      [endMonth, UNRESERVED_PAYOUT_STATUSES]
+    );
+
+    for (const row of balancesRes.rows) {
+      const balance = Number(row.balance);
+      const belowMinimum = balance < threshold;
+      const held = row.partner_status !== 'active';
+
+      let note = null;
+      if (held) {
+        note = `Partner is ${row.partner_status}; carried forward`;
+      } else if (belowMinimum) {
+        note = `Below minimum payout of ${threshold.toFixed(2)} ${row.currency.toUpperCase()}; carried forward`;
+      }
+
+      // Reported at the rate for the last day of the range
+      const reporting = await convertPayoutAmount(balance, row.currency, periodEndDate(endMonth), client);
+
+      await client.query(
+        `INSERT INTO partner_payouts (
+           partner_id, amount, currency, status, period_start, period_end, batch_id, notes,
+           reporting_currency, fx_rate, fx_rate_date, amount_reporting
+         )
+         SELECT $1::int, $2::numeric, $3, $4, period_start, period_end, id, $6, $7, $8::numeric, $9::date, $10::numeric
+         FROM payout_batches
+         WHERE id = $5`,
+        [
+          row.partner_id,
+          balance,
+          row.currency,
+          held || belowMinimum ? 'carried_forward' : 'draft',
+          batch.id,
+          note,
+          reporting.reporting_currency,
+          reporting.fx_rate,
+          reporting.fx_rate_date,
+          reporting.amount_reporting
+        ]
+      );
+    }
+
+    await logAdminAction({
+      adminIdentifier,
+      action: 'payout_batch_create',
+      details: `Payout batch ${batch.id} created for ${periodStart}..${periodEnd || periodStart} (minimum ${threshold.toFixed(2)})`
+    }, client);
+
+    return getPayoutBatch(batch.id, client);
+  });
+}
+
+async function getPayoutBatch(batchId, db = pool) {
+  const batchRes = await db.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+
+  if (batchRes.rows.length === 0) {
+    return null;
+  }
+
+  const itemsRes = await db.query(
+    `SELECT
+       pp.*,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partner_payouts pp
+     JOIN partners p ON p.id = pp.partner_id
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     WHERE pp.batch_id = $1
+     ORDER BY pp.status = 'carried_forward', pp.amount DESC`,
+    [batchId]
+  );
+
+  const payouts = itemsRes.rows.filter((row) => row.status !== 'carried_forward');
+  const carriedForward = itemsRes.rows.filter((row) => row.status === 'carried_forward');
+
+  return {
+    ...batchRes.rows[0],
+    totals: summariseByCurrency(payouts),
+    reporting_total: summariseReporting(payouts),
+    payouts,
+    carried_forward: carriedForward
+  };
+}
+
+async function listPayoutBatches() {
+  const result = await pool.query(
+    `SELECT
+       pb.*,
+       (SELECT COUNT(*) FROM partner_payouts
+        WHERE batch_id = pb.id AND status <> 'carried_forward') AS payout_count,
+       (SELECT COUNT(*) FROM partner_payouts
+        WHERE batch_id = pb.id AND status = 'carried_forward') AS carried_forward_count,
+       (SELECT COALESCE(json_agg(json_build_object('currency', t.currency, 'amount', t.amount)), '[]')
+        FROM (
+          SELECT currency, SUM(amount) AS amount
+          FROM partner_payouts
+          WHERE batch_id = pb.id AND status <> 'carried_forward'
+          GROUP BY currency
+        ) t) AS totals,
+       (SELECT COALESCE(SUM(amount_reporting), 0) FROM partner_payouts
+        WHERE batch_id = pb.id AND status <> 'carried_forward') AS reporting_amount,
+       (SELECT COUNT(*) FROM partner_payouts
+        WHERE batch_id = pb.id AND status <> 'carried_forward' AND amount_reporting IS NULL) AS missing_rates
+     FROM payout_batches pb
+     ORDER BY pb.created_at DESC`
+  );
+
+  return result.rows.map(({ reporting_amount: amount, missing_rates: missingRates, ...batch }) => ({
+    ...batch,
+    reporting_total: {
+      currency: REPORTING_CURRENCY,
+      amount: Number(Number(amount).toFixed(2)),
+      missing_rates: Number(missingRates)
+    }
+  }));
+}
+
+function summariseByCurrency(payouts) {
+  const totals = {};
+  for (const row of payouts) {
+    totals[row.currency] = (totals[row.currency] || 0) + Number(row.amount);
+  }
+  return Object.keys(totals).map((currency) => ({
+    currency,
+    amount: Number(totals[currency].toFixed(2))
+  }));
+}
+
+// Payouts without a rate are counted, not added
+function summariseReporting(payouts) {
+  const withRate = payouts.filter((row) => row.amount_reporting != null);
+  return {
+    currency: REPORTING_CURRENCY,
+    amount: Number(withRate.reduce((sum, row) => sum + Number(row.amount_reporting), 0).toFixed(2)),
+    missing_rates: payouts.length - withRate.length
+  };
+}
+
+async function transitionPayoutBatch(batchId, toStatus, { adminIdentifier, notes } = {}) {
+  return withTransaction(async (client) => {
+    const batchRes = await client.query(
+      'SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE',
+      [batchId]
+    );
+
+    if (batchRes.rows.length === 0) {
+      throw new ServiceError('Payout batch not found.', 404);
+    }
+
+    const batch = batchRes.rows[0];
+    const allowed = PAYOUT_BATCH_TRANSITIONS[batch.status] || [];
+
+    if (!allowed.includes(toStatus)) {
+      throw new ServiceError(`Cannot move payout batch from ${batch.status} to ${toStatus}.`, 409);
+    }
+
+    const timestampColumn = {
+      approved: 'approved_at',
+      sent: 'sent_at',
+      paid: 'completed_at',
+      failed: 'completed_at'
+    }[toStatus];
+
+    await client.query(
+      `UPDATE payout_batches
+       SET status = $1,
+           notes = COALESCE($2, notes)
+           ${timestampColumn ? `, ${timestampColumn} = NOW()` : ''}
+       WHERE id = $3`,
+      [toStatus, notes || null, batchId]
+    );
+
+    // Only rows still tracking the batch status move with it; payouts that were settled
+    // individually (e.g. by a Trolley webhook) keep their own status
+    await client.query(
+      `UPDATE partner_payouts
+       SET status = $1, updated_at = NOW()
+       WHERE batch_id = $2 AND status = $3`,
+      [toStatus, batchId, batch.status]
+    );
+
+    await logAdminAction({
+      adminIdentifier,
+      action: `payout_batch_${toStatus}`,
+      details: `Payout batch ${batchId}: ${batch.status} -> ${toStatus}${notes ? ` (${notes})` : ''}`
+    }, client);
+
+    return getPayoutBatch(batchId, client);
+  });
+}
+
+module.exports = {
+  PAYOUT_BATCH_TRANSITIONS,
+  buildPayoutBatch,
+  getPayoutBatch,
+  listPayoutBatches,
+  transitionPayoutBatch
+};
@@ -0,0 +1,217 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError } = require('./errors');
+const { logAdminAction } = require('./adminLogs');
+const { enqueueJob } = require('./jobs');
+
+// Built-in scheduler. Every instance checks once a minute whether a scheduled task is due; the
+// check runs under a Postgres advisory lock and claims a `scheduled_runs` row per task per day, so
+// with several instances each run is queued exactly once. The work itself runs as a job
+// (`scheduled_<task>`), which gives it the job queue's retries and the Jobs tab.
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || '60000');
+const SCHEDULER_LOCK_KEY = 'gib_scheduler';
+
+// Tasks run once a day, at or after their hour (UTC)
+const SCHEDULED_TASKS = ['partners_sync', 'earnings_sync'];
+
+// Env gives the defaults; finance can override them from the dashboard (stored in app_settings)
+const DEFAULT_SCHEDULE = {
+  partners_sync: {
+    enabled: process.env.PARTNERS_SYNC_ENABLED !== 'false',
+    hour: Number(process.env.PARTNERS_SYNC_HOUR || '2')
+  },
+  earnings_sync: {
+    enabled: process.env.EARNINGS_SYNC_ENABLED !== 'false',
+    hour: Number(process.env.EARNINGS_SYNC_HOUR || '3')
+  },
+  // Days into a month after which the previous month is closed
+  close_grace_days: Number(process.env.EARNINGS_CLOSE_GRACE_DAYS || '5')
+};
+
+const SCHEDULE_SETTING = 'sync_schedule';
+
+let tickTimer = null;
+
+async function getSchedule(db = pool) {
+  const result = await db.query('SELECT value FROM app_settings WHERE key = $1', [SCHEDULE_SETTING]);
+  const saved = result.rows[0] ? result.rows[0].value : {};
+
+  const schedule = {
+    close_grace_days: saved.close_grace_days !== undefined ? saved.close_grace_days : DEFAULT_SCHEDULE.close_grace_days
+  };
+  for (const task of SCHEDULED_TASKS) {
+    schedule[task] = { ...DEFAULT_SCHEDULE[task], ...(saved[task] || {}) };
+  }
+  return schedule;
+}
+
+// Accepts { partners_sync: { enabled, hour }, earnings_sync: { enabled, hour }, close_grace_days },
+// any part of it; what isn't given keeps its current value
+async function updateSchedule(changes, { adminIdentifier }) {
+  const schedule = await getSchedule();
+
+  for (const task of SCHEDULED_TASKS) {
+    const change = changes[task];
+    if (change === undefined) continue;
+
+    if (change.enabled !== undefined) {
+      if (typeof change.enabled !== 'boolean') {
+        throw new ServiceError(`${task}.enabled must be true or false.`);
+      }
+      schedule[task].enabled = change.enabled;
+    }
+    if (change.hour !== undefined) {
+      const hour = Number(change.hour);
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        throw new ServiceError(`${task}.hour must be a whole number from 0 to 23 (UTC).`);
+      }
+      schedule[task].hour = hour;
+    }
+  }
+
+  if (changes.close_grace_days !== undefined) {
+    const days = Number(changes.close_grace_days);
+    if (!Number.isInteger(days) || days < 1 || days > 27) {
+      throw new ServiceError('close_grace_days must be a whole number from 1 to 27.');
+    }
+    schedule.close_grace_days = days;
+  }
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO app_settings (key, value, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key)
+       DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [SCHEDULE_SETTING, JSON.stringify(schedule), adminIdentifier]
+    );
+
+    await logAdminAction({
+      adminIdentifier,
+      action: 'sync_schedule_update',
+      details: JSON.stringify(schedule)
+    }, client);
+  });
+
+  return schedule;
+}
+
+// Queues the tasks that are due and haven't been queued today. Returns the runs it queued (none
+// when another instance holds the lock).
+async function queueDueRuns(now = new Date()) {
+  return withTransaction(async (client) => {
+    const lockRes = await client.query('SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked', [SCHEDULER_LOCK_KEY]);
+    if (!lockRes.rows[0].locked) {
+      return [];
+    }
+
+    const schedule = await getSchedule(client);
+    const runDate = now.toISOString().slice(0, 10);
+    const queued = [];
+
+    for (const task of SCHEDULED_TASKS) {
+      const { enabled, hour } = schedule[task];
+      if (!enabled || now.getUTCHours() < hour) continue;
+
+      const result = await client.query(
+        `INSERT INTO scheduled_runs (task, run_date)
+         VALUES ($1, $2::date)
+         ON CONFLICT (task, run_date) DO NOTHING
+         RETURNING *`,
+        [task, runDate]
+      );
+      if (result.rows.length === 0) continue;
+
+      const run = result.rows[0];
+      const job = await enqueueJob(`scheduled_${task}`, { scheduledRunId: run.id, runDate }, { db: client });
+      await client.query('UPDATE scheduled_runs SET job_id = $2 WHERE id = $1', [run.id, job.id]);
+      queued.push({ ...run, run_date: runDate, job_id: job.id });
+    }
+
+    return queued;
+  });
+}
+
+// Wraps a scheduled job handler so the run's status, summary and last error are recorded.
+// Rethrows, so the job queue retries a failed run.
+async function runScheduledTask(scheduledRunId, fn) {
+  await pool.query(
+    `UPDATE scheduled_runs
+     SET status = 'running', started_at = NOW(), finished_at = NULL, details = NULL, error = NULL
+     WHERE id = $1`,
+    [scheduledRunId]
+  );
+
+  try {
+    const details = await fn();
+    await pool.query(
+      "UPDATE scheduled_runs SET status = 'succeeded', details = $2, finished_at = NOW() WHERE id = $1",
+      [scheduledRunId, JSON.stringify(details || {})]
+    );
+    return details;
+  } catch (err) {
+    await pool.query(
+      "UPDATE scheduled_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1",
+      [scheduledRunId, String((err && err.stack) || err).slice(0, 4000)]
+    );
+    throw err;
+  }
+}
+
+async function listScheduledRuns({ task, limit = 60 } = {}) {
+  const params = [];
+  let where = '';
+
+  if (task) {
+    if (!SCHEDULED_TASKS.includes(task)) {
+      throw new ServiceError(`task must be one of: ${SCHEDULED_TASKS.join(', ')}.`);
+    }
+    params.push(task);
+    where = 'WHERE task = $1';
+  }
+
+  params.push(Math.min(Number(limit) || 60, 500));
+
+  const result = await pool.query(
+    `SELECT * FROM scheduled_runs
+     ${where}
+     ORDER BY run_date DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
+
+function startScheduler({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  if (!SCHEDULER_ENABLED || tickTimer) return;
+
+  const tick = async () => {
+    try {
+      const queued = await queueDueRuns();
+      for (const run of queued) {
+        console.log(`Scheduler queued ${run.task} for ${run.run_date} (job ${run.job_id})`);
+      }
+    } catch (err) {
+      console.error('Error checking scheduled tasks:', err);
+    }
+  };
+
+  tick();
+  tickTimer = setInterval(tick, intervalMs);
+}
+
+function stopScheduler() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+module.exports = {
+  getSchedule,
+  updateSchedule,
+  queueDueRuns,
+  runScheduledTask,
+  listScheduledRuns,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,485 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { pool } = require('./db');
+const { ServiceError } = require('./errors');
+const { toPeriod } = require('./accountingPeriods');
+
+// Monthly partner statements. Per currency a statement runs from the balance brought forward,
+// through the month's earnings rows (and adjustments booked into it) and the payouts made for it,
+// to the balance carried forward. The same data is rendered as CSV and as PDF.
+
+// Payouts in these states count against the balance. Drafts aren't committed yet, and failed,
+// cancelled and carried-forward payouts hand the money back to it.
+const COUNTED_PAYOUT_STATUSES = ['approved', 'sent', 'paid'];
+
+const CSV_COLUMNS = [
+  'partner_id',
+  'partner_name',
+  'period',
+  'currency',
+  'section',
+  'date',
+  'description',
+  'gross',
+  'fees',
+  'refunds',
+  'net',
+  'rate',
+  'commission',
+  'amount'
+];
+
+function round(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// pg returns DATE columns as local-midnight Dates and timestamps as real instants
+function formatDate(value, { timestamp = false } = {}) {
+  if (!value) return '';
+  if (timestamp) return new Date(value).toISOString().slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function periodLabel(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1))
+    .toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
+// `period` is the first day of the month (YYYY-MM-01)
+async function getPartnerStatement(partnerId, period, db = pool) {
+  const partnerRes = await db.query(
+    `SELECT
+       p.id,
+       p.tier,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partners p
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     WHERE p.id = $1`,
+    [partnerId]
+  );
+
+  const partner = partnerRes.rows[0];
+  if (!partner) {
+    throw new ServiceError('Partner not found.', 404);
+  }
+
+  const earningsRes = await db.query(
+    `SELECT
+       pe.id,
+       pe.currency,
+       pe.entry_type,
+       pe.adjusts_period,
+       pe.gross_revenue,
+       pe.net_revenue,
+       pe.commission_rate,
+       pe.commission_amount,
+       pe.conversion_count,
+       cr.name AS commission_rule_name
+     FROM partner_earnings pe
+     LEFT JOIN commission_rules cr ON cr.id = pe.commission_rule_id
+     WHERE pe.partner_id = $1 AND pe.period = $2::date
+     ORDER BY pe.currency, pe.entry_type = 'adjustment', pe.adjusts_period`,
+    [partnerId, period]
+  );
+
+  const conversionsRes = await db.query(
+    `SELECT tapfiliate_conversion_id, converted_at, amount, currency, fee, fee_source, net_amount
+     FROM partner_conversions
+     WHERE partner_id = $1 AND period = $2::date
+     ORDER BY currency, converted_at, id`,
+    [partnerId, period]
+  );
+
+  // Refund and chargeback lines booked into this month, whichever month their conversion was in
+  const refundsRes = await db.query(
+    `SELECT a.kind, a.stripe_object_id, a.amount, a.currency, a.occurred_at, pc.tapfiliate_conversion_id
+     FROM partner_conversion_adjustments a
+     JOIN partner_conversions pc ON pc.id = a.conversion_id
+     WHERE pc.partner_id = $1 AND a.period = $2::date
+     ORDER BY a.currency, a.occurred_at, a.id`,
+    [partnerId, period]
+  );
+
+  // Payouts for a range ending in this month settle the balance up to it
+  const payoutsRes = await db.query(
+    `SELECT id, batch_id, amount, currency, status, period_start, period_end
+     FROM partner_payouts
+     WHERE partner_id = $1
+       AND status = ANY($3::text[])
+       AND period_end >= $2::date AND period_end < ($2::date + INTERVAL '1 month')
+     ORDER BY currency, period_end, id`,
+    [partnerId, period, COUNTED_PAYOUT_STATUSES]
+  );
+
+  const openingRes = await db.query(
+    `SELECT currency, SUM(amount) AS balance
+     FROM (
+       SELECT currency, commission_amount AS amount
+       FROM partner_earnings
+       WHERE partner_id = $1 AND period < $2::date
+       UNION ALL
+       SELECT currency, -amount AS amount
+       FROM partner_payouts
+       WHERE partner_id = $1 AND status = ANY($3::text[]) AND period_end < $2::date
+     ) movements
+     GROUP BY currency`,
+    [partnerId, period, COUNTED_PAYOUT_STATUSES]
+  );
+
+  const currencies = [...new Set([
+    ...openingRes.rows.filter((row) => round(row.balance) !== 0).map((row) => row.currency),
+    ...earningsRes.rows.map((row) => row.currency),
+    ...payoutsRes.rows.map((row) => row.currency)
+  ])].sort();
+
+  const sections = currencies.map((currency) => {
+    const opening = openingRes.rows.find((row) => row.currency === currency);
+    const conversions = conversionsRes.rows.filter((row) => row.currency === currency);
+    const refunds = round(refundsRes.rows
+      .filter((row) => row.currency === currency)
+      .reduce((sum, row) => sum + Number(row.amount), 0));
+
+    // net = gross - fees + refunds (refund lines are negative). Adjustment rows are differences
+    // for a closed month, so only their net and commission mean anything on their own.
+    const lines = earningsRes.rows.filter((row) => row.currency === currency).map((row) => {
+      const adjustment = row.entry_type === 'adjustment';
+      const gross = round(row.gross_revenue);
+      const net = round(row.net_revenue);
+      return {
+        id: row.id,
+        entry_type: row.entry_type,
+        adjusts_period: adjustment ? toPeriod(row.adjusts_period).slice(0, 7) : null,
+        description: adjustment
+          ? `Adjustment for ${periodLabel(toPeriod(row.adjusts_period))}`
+          : `Earnings ${periodLabel(period)}`,
+        gross,
+        fees: adjustment ? null : round(gross + refunds - net),
+        fees_estimated: !adjustment && conversions.some((c) => c.fee_source !== 'stripe'),
+        refunds: adjustment ? null : refunds,
+        net,
+        rate: row.commission_rate == null ? null : Number(row.commission_rate),
+        commission_rule_name: row.commission_rule_name,
+        commission: round(row.commission_amount),
+        conversions: row.conversion_count
+      };
+    });
+
+    const payouts = payoutsRes.rows.filter((row) => row.currency === currency).map((row) => ({
+      id: row.id,
+      batch_id: row.batch_id,
+      status: row.status,
+      period_start: formatDate(row.period_start),
+      period_end: formatDate(row.period_end),
+      amount: round(row.amount)
+    }));
+
+    const openingBalance = round(opening ? opening.balance : 0);
+    const commission = round(lines.reduce((sum, line) => sum + line.commission, 0));
+    const paidOut = round(payouts.reduce((sum, payout) => sum + payout.amount, 0));
+
+    return {
+      currency,
+      opening_balance: openingBalance,
+      lines,
+      totals: {
+        gross: round(lines.reduce((sum, line) => sum + line.gross, 0)),
+        net: round(lines.reduce((sum, line) => sum + line.net, 0)),
+        commission
+      },
+      payouts,
+      paid_out: paidOut,
+      closing_balance: round(openingBalance + commission - paidOut)
+    };
+  });
+
+  return {
+    partner,
+    period: period.slice(0, 7),
+    period_label: periodLabel(period),
+    generated_at: new Date().toISOString(),
+    currencies: sections,
+    conversions: conversionsRes.rows.map((row) => ({
+      tapfiliate_conversion_id: row.tapfiliate_conversion_id,
+      date: formatDate(row.converted_at, { timestamp: true }),
+      currency: row.currency,
+      amount: round(row.amount),
+      fee: round(row.fee),
+      fee_source: row.fee_source,
+      net: round(row.net_amount)
+    })),
+    refunds: refundsRes.rows.map((row) => ({
+      kind: row.kind,
+      stripe_object_id: row.stripe_object_id,
+      tapfiliate_conversion_id: row.tapfiliate_conversion_id,
+      date: formatDate(row.occurred_at, { timestamp: true }),
+      currency: row.currency,
+      amount: round(row.amount)
+    }))
+  };
+}
+
+// Partners with earnings or payouts in the month; these are the statements the zip contains
+async function listStatementPartnerIds(period, db = pool) {
+  const result = await db.query(
+    `SELECT partner_id FROM partner_earnings WHERE period = $1::date
+     UNION
+     SELECT partner_id FROM partner_payouts
+     WHERE status = ANY($2::text[])
+       AND period_end >= $1::date AND period_end < ($1::date + INTERVAL '1 month')
+     ORDER BY partner_id`,
+    [period, COUNTED_PAYOUT_STATUSES]
+  );
+  return result.rows.map((row) => row.partner_id);
+}
+
+function statementFilename(statement, extension) {
+  const slug = String(statement.partner.name || statement.partner.email || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return `statement-${statement.period}-${statement.partner.id}${slug ? `-${slug}` : ''}.${extension}`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  // Text starting with = + - @ would be run as a formula by spreadsheet apps
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function statementCsvRows(statement) {
+  const rows = [];
+  const push = (currency, section, fields) => {
+    const row = {
+      partner_id: statement.partner.id,
+      partner_name: statement.partner.name,
+      period: statement.period,
+      currency: currency.toUpperCase(),
+      section,
+      ...fields
+    };
+    rows.push(CSV_COLUMNS.map((column) => csvValue(row[column])).join(','));
+  };
+
+  for (const section of statement.currencies) {
+    const { currency } = section;
+    push(currency, 'opening_balance', { description: 'Balance brought forward', amount: section.opening_balance });
+
+    for (const line of section.lines) {
+      push(currency, line.entry_type === 'adjustment' ? 'adjustment' : 'earnings', {
+        description: `${line.description}${line.fees_estimated ? ' (fees estimated)' : ''}`,
+        gross: line.gross,
+        fees: line.fees,
+        refunds: line.refunds,
+        net: line.net,
+        rate: line.rate,
+        commission: line.commission,
+        amount: line.commission
+      });
+    }
+
+    for (const payout of section.payouts) {
+      push(currency, 'payout', {
+        date: payout.period_end,
+        description: `Payout ${payout.period_start} to ${payout.period_end} (${payout.status})`,
+        amount: -payout.amount
+      });
+    }
+
+    push(currency, 'closing_balance', { description: 'Balance carried forward', amount: section.closing_balance });
+  }
+
+  for (const conversion of statement.conversions) {
+    push(conversion.currency, 'conversion', {
+      date: conversion.date,
+      description: `Conversion ${conversion.tapfiliate_conversion_id}${conversion.fee_source === 'stripe' ? '' : ' (fee estimated)'}`,
+      gross: conversion.amount,
+      fees: conversion.fee,
+      net: conversion.net
+    });
+  }
+
+  for (const refund of statement.refunds) {
+    push(refund.currency, refund.kind, {
+      date: refund.date,
+      description: `${refund.kind.replace(/_/g, ' ')} on conversion ${refund.tapfiliate_conversion_id} (${refund.stripe_object_id})`,
+      refunds: refund.amount,
+      net: refund.amount
+    });
+  }
+
+  return rows;
+}
+
+function renderStatementCsv(statement) {
+  return `${[CSV_COLUMNS.join(','), ...statementCsvRows(statement)].join('\n')}\n`;
+}
+
+function money(amount, currency) {
+  if (amount === null || amount === undefined) return '–';
+  return `${Number(amount).toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+// Resolves to the PDF as a Buffer
+function renderStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Columns are given as fractions of the page width; the first is left-aligned, the rest right
+    const table = (columns, rows, { bold = false } = {}) => {
+      for (const row of rows) {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+        columns.forEach((fraction, i) => {
+          doc.text(String(row[i] === undefined ? '' : row[i]), x, y, {
+            width: width * fraction - 4,
+            align: i === 0 ? 'left' : 'right',
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += width * fraction;
+        });
+        doc.x = left;
+        doc.y = y + 13;
+      }
+    };
+
+    const heading = (text) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).text(text, left, doc.y).moveDown(0.3);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Grove Intelligence Bureau – Partner statement');
+    doc.font('Helvetica').fontSize(10).moveDown(0.5);
+    doc.text(`${statement.partner.name || 'Partner'} (partner ${statement.partner.id})`);
+    if (statement.partner.email) doc.text(statement.partner.email);
+    doc.text(`Period: ${statement.period_label}`);
+    doc.fillColor('#666').text(`Generated ${statement.generated_at.slice(0, 10)}`).fillColor('black');
+
+    if (statement.currencies.length === 0) {
+      doc.moveDown().text('No earnings, payouts or balance for this period.');
+    }
+
+    const earningsColumns = [0.31, 0.12, 0.11, 0.11, 0.12, 0.08, 0.15];
+
+    for (const section of statement.currencies) {
+      const { currency } = section;
+      heading(`${currency.toUpperCase()} – ${statement.period_label}`);
+
+      table(earningsColumns, [['', 'Gross', 'Fees', 'Refunds', 'Net', 'Rate', 'Commission']], { bold: true });
+      table(earningsColumns, section.lines.map((line) => [
+        line.description,
+        money(line.gross, currency),
+        line.fees === null ? '–' : `${money(line.fees, currency)}${line.fees_estimated ? '*' : ''}`,
+        money(line.refunds, currency),
+        money(line.net, currency),
+        line.rate === null ? '–' : `${(line.rate * 100).toFixed(1)}%`,
+        money(line.commission, currency)
+      ]));
+      if (section.lines.length === 0) {
+        table(earningsColumns, [['No earnings this month']]);
+      }
+
+      doc.moveDown(0.5);
+      const summaryColumns = [0.7, 0.3];
+      table(summaryColumns, [
+        ['Balance brought forward', money(section.opening_balance, currency)],
+        ['Commission this month', money(section.totals.commission, currency)],
+        ...section.payouts.map((payout) => [
+          `Payout ${payout.period_start} to ${payout.period_end} (${payout.status})`,
+          money(-payout.amount, currency)
+        ])
+      ]);
+      table(summaryColumns, [['Balance carried forward', money(section.closing_balance, currency)]], { bold: true });
+    }
+
+    if (statement.currencies.some((section) => section.lines.some((line) => line.fees_estimated))) {
+      doc.moveDown(0.5).font('Helvetica').fontSize(8).fillColor('#666')
+        .text('* Includes estimated payment processing fees for conversions not yet matched to a Stripe charge.', left, doc.y, { width })
+        .fillColor('black');
+    }
+
+    if (statement.conversions.length > 0) {
+      heading('Conversions');
+      const columns = [0.4, 0.15, 0.15, 0.15, 0.15];
+      table(columns, [['Conversion', 'Date', 'Amount', 'Fee', 'Net']], { bold: true });
+      table(columns, statement.conversions.map((c) => [
+        c.tapfiliate_conversion_id,
+        c.date,
+        money(c.amount, c.currency),
+        `${money(c.fee, c.currency)}${c.fee_source === 'stripe' ? '' : '*'}`,
+        money(c.net, c.currency)
+      ]));
+    }
+
+    if (statement.refunds.length > 0) {
+      heading('Refunds and chargebacks');
+      const columns = [0.45, 0.25, 0.15, 0.15];
+      table(columns, [['Conversion', 'Type', 'Date', 'Amount']], { bold: true });
+      table(columns, statement.refunds.map((r) => [
+        r.tapfiliate_conversion_id,
+        r.kind.replace(/_/g, ' '),
+        r.date,
+        money(r.amount, r.currency)
+      ]));
+    }
+
+    doc.end();
+  });
+}
+
+// Streams a zip with a PDF and a CSV statement per partner, plus all the CSV rows in one file.
+// Throws a 404 before anything is written if no partner has a statement for the month.
+async function writeStatementsZip(period, output) {
+  const partnerIds = await listStatementPartnerIds(period);
+  if (partnerIds.length === 0) {
+    throw new ServiceError(`No partner has earnings or payouts for ${period.slice(0, 7)}.`, 404);
+  }
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    archive.on('end', resolve);
+  });
+  archive.pipe(output);
+
+  const combined = [CSV_COLUMNS.join(',')];
+
+  for (const partnerId of partnerIds) {
+    const statement = await getPartnerStatement(partnerId, period);
+    archive.append(await renderStatementPdf(statement), { name: statementFilename(statement, 'pdf') });
+    archive.append(renderStatementCsv(statement), { name: statementFilename(statement, 'csv') });
+    combined.push(...statementCsvRows(statement));
+  }
+
+  archive.append(`${combined.join('\n')}\n`, { name: `statements-${period.slice(0, 7)}.csv` });
+  await archive.finalize();
+  await finished;
+
+  return partnerIds.length;
+}
+
+module.exports = {
+  getPartnerStatement,
+  listStatementPartnerIds,
+  statementFilename,
+  renderStatementCsv,
+  renderStatementPdf,
+  writeStatementsZip
+};
@@ -0,0 +1,23 @@
+const Stripe = require('stripe');
+
+// Stripe configuration
+const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const partnerPaymentLinkId = process.env.PARTNER_PAYMENT_LINK_ID; // e.g. plink_1SnHlRE9luIeYaIwoBVTCWDJ
+
+// Point STRIPE_API_URL at the fixture server (npm run mock:stripe) to reconcile against recorded data
+function apiHostConfig(apiUrl) {
+  if (!apiUrl) return {};
+  const url = new URL(apiUrl);
+  const config = { host: url.hostname, protocol: url.protocol.replace(':', '') };
+  if (url.port) config.port = Number(url.port);
+  return config;
+}
+
+const stripe = stripeSecretKey ? Stripe(stripeSecretKey, apiHostConfig(process.env.STRIPE_API_URL)) : null;
+
+module.exports = {
+  stripe,
+  stripeWebhookSecret,
+  partnerPaymentLinkId
+};
@@ -0,0 +1,406 @@
+const { pool, withTransaction } = require('./db');
+const { logAdminAction } = require('./adminLogs');
+const { enqueueJob } = require('./jobs');
+const tapfiliate = require('./tapfiliate');
+const {
+  PAYMENT_APPROVABLE_STATUSES,
+  findApplicationByEmail,
+  createPaymentApplication,
+  approveApplicationByPayment,
+  attachPartnerToApplication
+} = require('./partnerLinks');
+const { stripe, partnerPaymentLinkId } = require('./stripe');
+
+// Stripe webhook events for paid partner memberships. The webhook only records the event
+// (stripe_events.id is Stripe's event id, so a redelivered event is dropped) and queues a
+// `stripe_event` job; processStripeEvent() does the work.
+//
+// Partner status: active → suspended (payment failed, dispute opened) → active again once
+// resolved, or → deactivated (subscription ended, full refund, dispute lost). Anything other than
+// active disapproves the Tapfiliate affiliate and holds payouts. Only a new checkout reactivates a
+// deactivated partner.
+//
+// A checkout also links the partner to a partner_applications row (see lib/partnerLinks.js), so
+// Stripe members show up and are handled like everyone else. A checkout from someone whose
+// application was rejected creates no partner; the event is marked `needs_review` instead.
+const HANDLED_STRIPE_EVENTS = [
+  'checkout.session.completed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.deleted',
+  'charge.refunded',
+  'charge.dispute.created',
+  'charge.dispute.closed'
+];
+
+// admin_logs identifier for changes made in response to Stripe
+const STRIPE_ACTOR = 'stripe';
+
+const PARTNER_SELECT = `
+  SELECT p.*, COALESCE(p.tapfiliate_affiliate_id, pa.tapfiliate_affiliate_id) AS affiliate_id
+  FROM partners p
+  LEFT JOIN partner_applications pa ON pa.id = p.application_id`;
+
+function isHandledStripeEvent(type) {
+  return HANDLED_STRIPE_EVENTS.includes(type);
+}
+
+// Returns true the first time an event id is seen, false for a redelivery
+async function recordStripeEvent(event, db = pool) {
+  const result = await db.query(
+    `INSERT INTO stripe_events (id, type, payload)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id`,
+    [event.id, event.type, JSON.stringify(event)]
+  );
+
+  return result.rows.length > 0;
+}
+
+// Stripe fields are either an id or an expanded object
+function stripeId(value) {
+  if (!value) return null;
+  return typeof value === 'object' ? value.id : value;
+}
+
+// Subscription events match on the subscription (a partner may also be a customer of other
+// products under the same Stripe customer); everything else matches on the customer.
+async function findPartner({ subscriptionId, customerId }) {
+  if (subscriptionId) {
+    const result = await pool.query(`${PARTNER_SELECT} WHERE p.stripe_subscription_id = $1 ORDER BY p.id LIMIT 1`, [subscriptionId]);
+    return result.rows[0] || null;
+  }
+
+  if (customerId) {
+    const result = await pool.query(`${PARTNER_SELECT} WHERE p.stripe_customer_id = $1 ORDER BY p.id LIMIT 1`, [customerId]);
+    return result.rows[0] || null;
+  }
+
+  return null;
+}
+
+function invoiceSubscriptionId(invoice) {
+  const parent = invoice.parent && invoice.parent.subscription_details;
+  return stripeId(invoice.subscription) || stripeId(parent && parent.subscription);
+}
+
+// Tapfiliate first, then the DB: if Tapfiliate fails the job retries with the status unchanged
+async function setPartnerStatus(partner, { status, reason, event }) {
+  if (partner.affiliate_id && tapfiliate.isTapfiliateConfigured()) {
+    if (status === 'active') {
+      await tapfiliate.approveAffiliate(partner.affiliate_id);
+    } else {
+      await tapfiliate.disableAffiliate(partner.affiliate_id);
+    }
+  }
+
+  await pool.query(
+    `UPDATE partners
+     SET status = $1, status_reason = $2, status_changed_at = NOW()
+     WHERE id = $3`,
+    [status, reason, partner.id]
+  );
+
+  const action = status === 'active' ? 'partner_reactivated' : `partner_${status}`;
+
+  await logAdminAction({
+    adminIdentifier: STRIPE_ACTOR,
+    action,
+    applicationId: partner.application_id,
+    details: `Partner ${partner.id} ${status}${reason ? ` (${reason})` : ''} after Stripe ${event.type} ${event.id}`
+  });
+
+  return { partnerId: partner.id, outcome: action };
+}
+
+async function suspendPartner(partner, reason, event) {
+  if (partner.status !== 'active') {
+    return { partnerId: partner.id, outcome: `Already ${partner.status}` };
+  }
+  return setPartnerStatus(partner, { status: 'suspended', reason, event });
+}
+
+async function deactivatePartner(partner, reason, event) {
+  if (partner.status === 'deactivated') {
+    return { partnerId: partner.id, outcome: 'Already deactivated' };
+  }
+  return setPartnerStatus(partner, { status: 'deactivated', reason, event });
+}
+
+// Lifts a suspension, but only one caused by the same kind of problem that is now resolved
+async function resolveSuspension(partner, reason, event) {
+  if (partner.status !== 'suspended' || partner.status_reason !== reason) {
+    return { partnerId: partner.id, outcome: `No change (partner is ${partner.status})` };
+  }
+  return setPartnerStatus(partner, { status: 'active', reason: null, event });
+}
+
+// A reviewer turned this person down, and the payment doesn't overrule that: no partner is created
+// or activated. The payment is flagged on the application and logged for a reviewer to refund it
+// or reopen the application.
+async function flagPaymentFromRejectedApplication(application, { session, customerId, subscriptionId }, db) {
+  const flag = {
+    code: 'paid_while_rejected',
+    label: 'Paid for a membership after being rejected; refund or reopen',
+    points: 0,
+    checkout_session_id: session.id
+  };
+
+  await db.query(
+    `UPDATE partner_applications
+     SET review_flags = COALESCE(review_flags, '[]'::jsonb) || $2::jsonb
+     WHERE id = $1`,
+    [application.id, JSON.stringify([flag])]
+  );
+
+  await logAdminAction({
+    adminIdentifier: STRIPE_ACTOR,
+    action: 'payment_needs_review',
+    applicationId: application.id,
+    details: `Stripe checkout ${session.id} (customer ${customerId || 'none'}, subscription ${subscriptionId || 'none'}) paid by a rejected applicant; no partner created`
+  }, db);
+}
+
+// Paying for a membership counts as being approved: the checkout is matched to the partner and
+// application with the same Stripe customer or email, or gets a new application approved by the
+// payment. Newly approved applications go through the usual approval jobs (Tapfiliate affiliate,
+// Trolley recipient, approval email).
+async function handleCheckoutCompleted(session, event) {
+  if (partnerPaymentLinkId && session.payment_link && session.payment_link !== partnerPaymentLinkId) {
+    // This checkout is for a different product/payment link
+    return { partnerId: null, outcome: 'Not the partner payment link' };
+  }
+
+  const customerDetails = session.customer_details || {};
+  const email = customerDetails.email;
+  const name = customerDetails.name || null;
+  const country = (customerDetails.address && customerDetails.address.country) || null;
+  const customerId = stripeId(session.customer);
+  const subscriptionId = stripeId(session.subscription);
+
+  if (!email) {
+    return { partnerId: null, outcome: 'Checkout has no customer email' };
+  }
+
+  const { partner, outcome, status } = await withTransaction(async (client) => {
+    const byCustomerRes = customerId
+      ? await client.query('SELECT * FROM partners WHERE stripe_customer_id = $1 ORDER BY id LIMIT 1', [customerId])
+      : { rows: [] };
+    let partnerId = byCustomerRes.rows[0] ? byCustomerRes.rows[0].id : null;
+    let applicationId = byCustomerRes.rows[0] ? byCustomerRes.rows[0].application_id : null;
+    let result = 'Partner updated';
+    let approvedNow = false;
+
+    if (!applicationId) {
+      let application = await findApplicationByEmail(email, client);
+
+      if (!application) {
+        application = await createPaymentApplication({ name, email, country, checkoutSessionId: session.id }, client);
+        approvedNow = true;
+        result = 'Application created and approved by payment';
+      } else if (PAYMENT_APPROVABLE_STATUSES.includes(application.status)) {
+        await approveApplicationByPayment(application.id, { checkoutSessionId: session.id }, client);
+        approvedNow = true;
+        result = `Application ${application.id} approved by payment`;
+      } else if (application.status === 'rejected') {
+        await flagPaymentFromRejectedApplication(application, { session, customerId, subscriptionId }, client);
+        return {
+          partner: null,
+          outcome: `Payment from rejected application ${application.id}; needs a refund or a review`,
+          status: 'needs_review'
+        };
+      }
+
+      if (!partnerId) {
+        const unlinkedRes = await client.query(
+          `SELECT id FROM partners
+           WHERE application_id IS NULL AND LOWER(email) = LOWER($1)
+           ORDER BY id
+           LIMIT 1`,
+          [email]
+        );
+        partnerId = unlinkedRes.rows[0] ? unlinkedRes.rows[0].id : null;
+      }
+
+      if (partnerId) {
+        partnerId = await attachPartnerToApplication(
+          partnerId,
+          application,
+          { adminIdentifier: STRIPE_ACTOR, reason: `Stripe checkout ${session.id}` },
+          client
+        );
+      } else {
+        const linkedRes = await client.query('SELECT id FROM partners WHERE application_id = $1', [application.id]);
+        partnerId = linkedRes.rows[0] ? linkedRes.rows[0].id : null;
+      }
+
+      if (!partnerId) {
+        const inserted = await client.query(
+          'INSERT INTO partners (application_id) VALUES ($1) RETURNING id',
+          [application.id]
+        );
+        partnerId = inserted.rows[0].id;
+      }
+
+      applicationId = application.id;
+    }
+
+    await client.query(
+      `UPDATE partners
+       SET name = COALESCE(name, $2),
+           email = COALESCE(email, $3),
+           country = COALESCE(country, $4),
+           stripe_customer_id = COALESCE($5, stripe_customer_id),
+           stripe_subscription_id = COALESCE($6, stripe_subscription_id),
+           stripe_checkout_session_id = $7
+       WHERE id = $1`,
+      [partnerId, name, email, country, customerId, subscriptionId, session.id]
+    );
+
+    if (approvedNow) {
+      await enqueueJob('tapfiliate_sync', { applicationId, adminIdentifier: STRIPE_ACTOR }, { db: client });
+      await enqueueJob('trolley_recipient', { applicationId }, { db: client });
+    }
+
+    const partnerRes = await client.query(`${PARTNER_SELECT} WHERE p.id = $1`, [partnerId]);
+    return { partner: partnerRes.rows[0], outcome: result };
+  });
+
+  if (!partner) {
+    return { partnerId: null, outcome, status };
+  }
+
+  if (partner.status !== 'active') {
+    return setPartnerStatus(partner, { status: 'active', reason: null, event });
+  }
+
+  return { partnerId: partner.id, outcome };
+}
+
+async function retrieveCharge(chargeOrId) {
+  if (chargeOrId && typeof chargeOrId === 'object') return chargeOrId;
+  if (!chargeOrId || !stripe) return null;
+
+  return stripe.charges.retrieve(chargeOrId);
+}
+
+// Older API versions put the invoice on the charge; newer ones only link them through invoice payments
+async function chargeInvoice(charge) {
+  let invoice = charge.invoice;
+
+  if (!invoice && charge.payment_intent) {
+    const payments = await stripe.invoicePayments.list({
+      payment: { type: 'payment_intent', payment_intent: stripeId(charge.payment_intent) },
+      limit: 1
+    });
+    invoice = payments.data[0] ? payments.data[0].invoice : null;
+  }
+
+  if (!invoice) return null;
+  return typeof invoice === 'object' ? invoice : stripe.invoices.retrieve(invoice);
+}
+
+// Refunds and disputes are matched on the Stripe customer, who may also have paid for other
+// products. Only a charge for the membership itself (an invoice of the partner's subscription, or
+// the payment of their checkout when there is no subscription) affects the partner.
+async function isMembershipCharge(charge, partner) {
+  if (!stripe) return false;
+
+  if (partner.stripe_subscription_id) {
+    const invoice = await chargeInvoice(charge);
+    return Boolean(invoice) && invoiceSubscriptionId(invoice) === partner.stripe_subscription_id;
+  }
+
+  if (partner.stripe_checkout_session_id && charge.payment_intent) {
+    const session = await stripe.checkout.sessions.retrieve(partner.stripe_checkout_session_id);
+    return stripeId(session.payment_intent) === stripeId(charge.payment_intent);
+  }
+
+  return false;
+}
+
+async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  if (event.type === 'checkout.session.completed') {
+    return handleCheckoutCompleted(object, event);
+  }
+
+  let partner = null;
+  let charge = null;
+  if (event.type.startsWith('invoice.')) {
+    partner = await findPartner({ subscriptionId: invoiceSubscriptionId(object), customerId: stripeId(object.customer) });
+  } else if (event.type === 'customer.subscription.deleted') {
+    partner = await findPartner({ subscriptionId: object.id });
+  } else if (event.type === 'charge.refunded') {
+    charge = object;
+  } else if (event.type.startsWith('charge.dispute.')) {
+    charge = await retrieveCharge(object.charge);
+  }
+
+  if (charge) {
+    partner = await findPartner({ customerId: stripeId(charge.customer) });
+  }
+
+  if (!partner) {
+    return { partnerId: null, outcome: 'No matching partner' };
+  }
+
+  if (charge && !(await isMembershipCharge(charge, partner))) {
+    return { partnerId: partner.id, outcome: `Charge ${charge.id} is not for the membership; no change` };
+  }
+
+  switch (event.type) {
+    case 'invoice.payment_failed':
+      return suspendPartner(partner, 'payment_failed', event);
+    case 'invoice.paid':
+      return resolveSuspension(partner, 'payment_failed', event);
+    case 'customer.subscription.deleted':
+      return deactivatePartner(partner, 'subscription_deleted', event);
+    case 'charge.refunded':
+      // Partial refunds leave the membership in place
+      return object.refunded
+        ? deactivatePartner(partner, 'refunded', event)
+        : { partnerId: partner.id, outcome: 'Partial refund; no change' };
+    case 'charge.dispute.created':
+      return suspendPartner(partner, 'dispute', event);
+    case 'charge.dispute.closed':
+      return object.status === 'lost'
+        ? deactivatePartner(partner, 'dispute_lost', event)
+        : resolveSuspension(partner, 'dispute', event);
+    default:
+      return { partnerId: partner.id, outcome: 'Unhandled event type' };
+  }
+}
+
+// Runs as a `stripe_event` job. Already processed events are skipped, so it is safe to re-run.
+async function processStripeEvent(eventId) {
+  const result = await pool.query('SELECT * FROM stripe_events WHERE id = $1', [eventId]);
+  const row = result.rows[0];
+
+  if (!row || row.status !== 'pending') {
+    return;
+  }
+
+  try {
+    const { partnerId, outcome, status } = await handleStripeEvent(row.payload);
+
+    await pool.query(
+      `UPDATE stripe_events
+       SET status = $2, partner_id = $3, outcome = $4, error = NULL, processed_at = NOW()
+       WHERE id = $1`,
+      [eventId, status || (partnerId ? 'processed' : 'ignored'), partnerId, outcome]
+    );
+  } catch (err) {
+    await pool.query('UPDATE stripe_events SET error = $2 WHERE id = $1', [eventId, String(err.message || err)]);
+    throw err;
+  }
+}
+
+module.exports = {
+  HANDLED_STRIPE_EVENTS,
+  isHandledStripeEvent,
+  recordStripeEvent,
+  processStripeEvent
+};
@@ -0,0 +1,253 @@
+const { pool } = require('./db');
+const { stripe: defaultStripe } = require('./stripe');
+const { firstOpenPeriod } = require('./accountingPeriods');
+
+// Matches ledger conversions to their Stripe charges so net revenue uses the fee Stripe actually
+// took, and books refunds and chargebacks as adjustment lines. A conversion that can't be matched
+// keeps the estimated fee from lib/conversions.js.
+
+// Refunds and chargebacks arrive well after the sale, so every earnings sync re-checks conversions
+// from this many earlier months as well as the month being synced
+const REFUND_LOOKBACK_MONTHS = Number(process.env.REFUND_LOOKBACK_MONTHS || '4');
+
+// How far either side of the Tapfiliate conversion time to look for the customer's charge
+const CHARGE_MATCH_WINDOW_SECONDS = 3 * 24 * 60 * 60;
+
+// Stripe amounts are in the currency's smallest unit, except for these
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+function fromMinorUnits(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? amount : amount / 100;
+}
+
+function toMinorUnits(amount, currency) {
+  return Math.round(ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? amount : amount * 100);
+}
+
+// Balance transactions are in the account's settlement currency. When that isn't the charge
+// currency, Stripe sets exchange_rate (charge amount * exchange_rate = settlement amount).
+function toChargeCurrency(balanceTransaction, amount) {
+  const settled = fromMinorUnits(amount, balanceTransaction.currency);
+  const converted = balanceTransaction.exchange_rate ? settled / balanceTransaction.exchange_rate : settled;
+  return Math.round(converted * 100) / 100;
+}
+
+async function retrieveOrNull(request) {
+  try {
+    return await request;
+  } catch (err) {
+    if (err && err.code === 'resource_missing') return null;
+    throw err;
+  }
+}
+
+async function chargeForPaymentIntent(stripe, paymentIntentId) {
+  const paymentIntent = await retrieveOrNull(stripe.paymentIntents.retrieve(paymentIntentId));
+  if (!paymentIntent || !paymentIntent.latest_charge) return null;
+  return retrieveOrNull(stripe.charges.retrieve(paymentIntent.latest_charge));
+}
+
+async function isChargeTaken(chargeId, conversionId) {
+  const result = await pool.query(
+    'SELECT 1 FROM partner_conversions WHERE stripe_charge_id = $1 AND id <> $2',
+    [chargeId, conversionId]
+  );
+  return result.rows.length > 0;
+}
+
+// Tapfiliate's Stripe integration puts the charge, payment intent or invoice in external_id. Failing
+// that, look for a charge to the same customer, for the same amount, around the conversion time,
+// that `isTaken` (by default: another ledger conversion has it) doesn't rule out.
+async function findCharge(stripe, conversion, isTaken = isChargeTaken) {
+  if (conversion.stripe_charge_id) {
+    return retrieveOrNull(stripe.charges.retrieve(conversion.stripe_charge_id));
+  }
+
+  const externalId = conversion.external_id || '';
+
+  if (/^(ch|py)_/.test(externalId)) {
+    return retrieveOrNull(stripe.charges.retrieve(externalId));
+  }
+
+  if (/^pi_/.test(externalId)) {
+    return chargeForPaymentIntent(stripe, externalId);
+  }
+
+  if (/^in_/.test(externalId)) {
+    const payments = await stripe.invoicePayments.list({ invoice: externalId, limit: 10 });
+    const paid = payments.data.find((p) => p.status === 'paid' && p.payment);
+    if (!paid) return null;
+    if (paid.payment.charge) return retrieveOrNull(stripe.charges.retrieve(paid.payment.charge));
+    return paid.payment.payment_intent ? chargeForPaymentIntent(stripe, paid.payment.payment_intent) : null;
+  }
+
+  if (!conversion.customer_id || !conversion.customer_id.startsWith('cus_') || !conversion.converted_at) {
+    return null;
+  }
+
+  const convertedAt = Math.floor(new Date(conversion.converted_at).getTime() / 1000);
+  const amount = toMinorUnits(Number(conversion.amount), conversion.currency);
+  const charges = await stripe.charges.list({
+    customer: conversion.customer_id,
+    created: { gte: convertedAt - CHARGE_MATCH_WINDOW_SECONDS, lte: convertedAt + CHARGE_MATCH_WINDOW_SECONDS },
+    limit: 100
+  });
+
+  const candidates = charges.data
+    .filter((c) => c.status === 'succeeded' && c.currency === conversion.currency && c.amount === amount)
+    .sort((a, b) => Math.abs(a.created - convertedAt) - Math.abs(b.created - convertedAt));
+
+  for (const charge of candidates) {
+    if (!(await isTaken(charge.id, conversion.id))) return charge;
+  }
+
+  return null;
+}
+
+// null until the charge has settled into a balance transaction
+async function chargeFee(stripe, charge) {
+  if (!charge.balance_transaction) return null;
+
+  const balanceTransaction = typeof charge.balance_transaction === 'string'
+    ? await stripe.balanceTransactions.retrieve(charge.balance_transaction)
+    : charge.balance_transaction;
+
+  return toChargeCurrency(balanceTransaction, balanceTransaction.fee);
+}
+
+// Succeeded refunds, plus every balance movement on the charge's disputes: the withdrawal
+// (amount plus dispute fee) and, if the dispute was won, the reinstatement. Amounts are signed
+// changes to net, in the charge currency.
+async function reversalLines(stripe, charge) {
+  const lines = [];
+
+  if (charge.amount_refunded > 0) {
+    const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+    for (const refund of refunds.data) {
+      if (refund.status !== 'succeeded') continue;
+      lines.push({
+        kind: 'refund',
+        stripeObjectId: refund.id,
+        amount: -fromMinorUnits(refund.amount, refund.currency),
+        occurredAt: refund.created
+      });
+    }
+  }
+
+  if (charge.disputed) {
+    const disputes = await stripe.disputes.list({ charge: charge.id, limit: 100 });
+    for (const dispute of disputes.data) {
+      for (const balanceTransaction of dispute.balance_transactions || []) {
+        const amount = toChargeCurrency(balanceTransaction, balanceTransaction.net);
+        lines.push({
+          kind: amount < 0 ? 'chargeback' : 'chargeback_reversal',
+          stripeObjectId: balanceTransaction.id,
+          amount,
+          occurredAt: balanceTransaction.created
+        });
+      }
+    }
+  }
+
+  return lines;
+}
+
+// An adjustment counts in the month it happened, or the conversion's own month if that is later,
+// moved on to the next open month if that one is closed. Each Stripe refund / balance transaction
+// is booked once, so a refund that comes in after its month was synced lands in a later month
+// instead of changing the one already synced.
+async function bookAdjustment(conversion, line) {
+  const occurredAt = new Date(line.occurredAt * 1000).toISOString();
+  const periodRes = await pool.query(
+    `SELECT GREATEST(period, DATE_TRUNC('month', $2::timestamp)::date) AS period
+     FROM partner_conversions
+     WHERE id = $1`,
+    [conversion.id, occurredAt]
+  );
+  const period = await firstOpenPeriod(periodRes.rows[0].period);
+
+  const result = await pool.query(
+    `INSERT INTO partner_conversion_adjustments (
+       conversion_id, period, kind, stripe_object_id, amount, currency, occurred_at
+     )
+     SELECT pc.id, $6::date, $2::text, $3::text, $5::numeric, pc.currency, $4::timestamp
+     FROM partner_conversions pc
+     WHERE pc.id = $1
+     ON CONFLICT (stripe_object_id) DO NOTHING
+     RETURNING id`,
+    [conversion.id, line.kind, line.stripeObjectId, occurredAt, line.amount, period]
+  );
+
+  return result.rows.length > 0;
+}
+
+async function reconcileConversion(stripe, conversion) {
+  const charge = await findCharge(stripe, conversion);
+
+  if (!charge || charge.currency !== conversion.currency) {
+    await pool.query('UPDATE partner_conversions SET stripe_checked_at = NOW() WHERE id = $1', [conversion.id]);
+    return { matched: false, adjustments: 0 };
+  }
+
+  const knownFee = conversion.fee_source === 'stripe' && conversion.stripe_charge_id === charge.id;
+  const fee = knownFee ? null : await chargeFee(stripe, charge);
+
+  await pool.query(
+    `UPDATE partner_conversions
+     SET stripe_charge_id = $2,
+         fee = COALESCE($3::numeric, fee),
+         fee_source = CASE WHEN $3::numeric IS NULL THEN fee_source ELSE 'stripe' END,
+         net_amount = GREATEST(amount - COALESCE($3::numeric, fee), 0),
+         stripe_checked_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [conversion.id, charge.id, fee]
+  );
+
+  let adjustments = 0;
+  for (const line of await reversalLines(stripe, charge)) {
+    if (await bookAdjustment(conversion, line)) adjustments += 1;
+  }
+
+  return { matched: true, adjustments };
+}
+
+// Runs during the earnings sync for `period` (YYYY-MM-DD, first of the month), before the month's
+// totals are built. `stripeClient` can be swapped for one pointed at recorded fixtures.
+async function reconcileStripeConversions({ period, stripeClient = defaultStripe }) {
+  const summary = { checked: 0, matched: 0, estimated: 0, adjustments: 0 };
+
+  if (!stripeClient) {
+    return { ...summary, note: 'Stripe is not configured; fees are estimated.' };
+  }
+
+  const result = await pool.query(
+    `SELECT *
+     FROM partner_conversions
+     WHERE amount > 0
+       AND period <= $1::date
+       AND period >= ($1::date - make_interval(months => $2::int))::date
+     ORDER BY id`,
+    [period, REFUND_LOOKBACK_MONTHS]
+  );
+
+  for (const conversion of result.rows) {
+    const { matched, adjustments } = await reconcileConversion(stripeClient, conversion);
+    summary.checked += 1;
+    summary[matched ? 'matched' : 'estimated'] += 1;
+    summary.adjustments += adjustments;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  REFUND_LOOKBACK_MONTHS,
+  reconcileStripeConversions,
+  // The Stripe side of reconciliation, without the ledger; scripts/check-fixtures.js runs these
+  findCharge,
+  chargeFee,
+  reversalLines
+};
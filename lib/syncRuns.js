@@ -0,0 +1,140 @@
+const { pool, withTransaction } = require('./db');
+const { ServiceError } = require('./errors');
+
+// Bookkeeping for Tapfiliate syncs. A run checkpoints the last page it fully processed; if it
+// fails (or its process dies), the next sync of the same kind and period carries on from the page
+// after that instead of starting over. Runs move running → succeeded | failed.
+const SYNC_KINDS = ['partners', 'earnings'];
+const SYNC_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+// A running run that hasn't checkpointed or sent a heartbeat in this long is assumed lost (e.g. a
+// restart). The heartbeat covers the steps after the last page, such as Stripe reconciliation,
+// which can take longer than this.
+const SYNC_RUN_STALE_MINUTES = 10;
+const SYNC_RUN_HEARTBEAT_SECONDS = 60;
+
+// Returns { run, startPage }. Resumes the latest run for this kind and period if it failed or went
+// stale; refuses to start while another one is still making progress. The check holds an advisory
+// lock per kind, so two instances (or the scheduler and an admin) can't both start a run.
+async function startSyncRun({ kind, period = null, triggeredBy = null }) {
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`sync_runs:${kind}`]);
+
+    const latestRes = await client.query(
+      `SELECT *, updated_at < NOW() - make_interval(mins => $3::int) AS stale
+       FROM sync_runs
+       WHERE kind = $1 AND period IS NOT DISTINCT FROM $2::date
+       ORDER BY started_at DESC, id DESC
+       LIMIT 1`,
+      [kind, period, SYNC_RUN_STALE_MINUTES]
+    );
+    const latest = latestRes.rows[0];
+
+    if (latest && latest.status === 'running' && !latest.stale) {
+      throw new ServiceError(`Another ${kind} sync is already running (run ${latest.id}).`, 409);
+    }
+
+    if (latest && (latest.status === 'failed' || latest.status === 'running')) {
+      const result = await client.query(
+        `UPDATE sync_runs
+         SET status = 'running', attempts = attempts + 1, error = NULL, triggered_by = COALESCE($2, triggered_by),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [latest.id, triggeredBy]
+      );
+      return { run: result.rows[0], startPage: latest.last_page + 1 };
+    }
+
+    const result = await client.query(
+      `INSERT INTO sync_runs (kind, period, triggered_by)
+       VALUES ($1, $2::date, $3)
+       RETURNING *`,
+      [kind, period, triggeredBy]
+    );
+    return { run: result.rows[0], startPage: 1 };
+  });
+}
+
+async function checkpointSyncRun(runId, { page, itemsFetched }) {
+  await pool.query(
+    'UPDATE sync_runs SET last_page = $2, items_fetched = $3, updated_at = NOW() WHERE id = $1',
+    [runId, page, itemsFetched]
+  );
+}
+
+// Keeps the run fresh until the returned function is called. Keyed on the attempt, so a process
+// whose run was taken over after going stale doesn't keep the new attempt alive.
+function startSyncRunHeartbeat(run) {
+  const timer = setInterval(() => {
+    pool.query(
+      `UPDATE sync_runs SET updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND attempts = $2`,
+      [run.id, run.attempts]
+    ).catch((err) => console.error(`Heartbeat for sync run ${run.id} failed:`, err));
+  }, SYNC_RUN_HEARTBEAT_SECONDS * 1000);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+async function finishSyncRun(runId, { itemsFetched, counts }) {
+  await pool.query(
+    `UPDATE sync_runs
+     SET status = 'succeeded', items_fetched = $2, counts = $3, updated_at = NOW(), finished_at = NOW()
+     WHERE id = $1`,
+    [runId, itemsFetched, JSON.stringify(counts || {})]
+  );
+}
+
+// The checkpoint is kept so the next run resumes from it
+async function failSyncRun(runId, err) {
+  await pool.query(
+    `UPDATE sync_runs
+     SET status = 'failed', error = $2, updated_at = NOW(), finished_at = NOW()
+     WHERE id = $1`,
+    [runId, err && err.stack ? err.stack : String(err)]
+  );
+}
+
+async function listSyncRuns({ kind, status, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (kind) {
+    if (!SYNC_KINDS.includes(kind)) {
+      throw new ServiceError(`kind must be one of: ${SYNC_KINDS.join(', ')}.`);
+    }
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+
+  if (status) {
+    if (!SYNC_RUN_STATUSES.includes(status)) {
+      throw new ServiceError(`status must be one of: ${SYNC_RUN_STATUSES.join(', ')}.`);
+    }
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  params.push(Math.min(Number(limit) || 100, 500));
+
+  const result = await pool.query(
+    `SELECT * FROM sync_runs
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY started_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  startSyncRun,
+  checkpointSyncRun,
+  startSyncRunHeartbeat,
+  finishSyncRun,
+  failSyncRun,
+  listSyncRuns
+};
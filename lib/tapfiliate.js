@@ -0,0 +1,259 @@
+const fetch = require('./fetch');
+
+// Tapfiliate configuration. Point TAPFILIATE_API_URL at the mock server (npm run mock:tapfiliate) to work offline.
+const TAPFILIATE_API_KEY = process.env.TAPFILIATE_API_KEY;
+const TAPFILIATE_PROGRAM_ID = process.env.TAPFILIATE_PROGRAM_ID;
+const TAPFILIATE_API_URL = (process.env.TAPFILIATE_API_URL || 'https://api.tapfiliate.com/1.6').replace(/\/+$/, '');
+
+// 429s are retried after the Retry-After the response asks for (or with backoff if it doesn't),
+// up to this many times per request
+const TAPFILIATE_MAX_RETRIES = Number(process.env.TAPFILIATE_MAX_RETRIES || '5');
+const RETRY_MAX_WAIT_MS = 60000;
+
+// Every failed Tapfiliate call throws one of these. `status` is the HTTP status (0 when the
+// request never got a response) and `body` whatever Tapfiliate sent back.
+class TapfiliateError extends Error {
+  constructor(message, { status = 0, method, path, body = '' } = {}) {
+    super(message);
+    this.name = 'TapfiliateError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+function isTapfiliateConfigured() {
+  return Boolean(TAPFILIATE_API_KEY && TAPFILIATE_PROGRAM_ID);
+}
+
+function programPath(suffix = '') {
+  return `/programs/${encodeURIComponent(TAPFILIATE_PROGRAM_ID)}/affiliates/${suffix}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryDelayMs(res, attempt) {
+  const header = res.headers.get('retry-after');
+  let delay = 1000 * 2 ** attempt;
+
+  if (header && !Number.isNaN(Number(header))) {
+    delay = Number(header) * 1000;
+  } else if (header && !Number.isNaN(Date.parse(header))) {
+    delay = Date.parse(header) - Date.now();
+  }
+
+  return Math.min(Math.max(delay, 0), RETRY_MAX_WAIT_MS);
+}
+
+// Throws a TapfiliateError on non-2xx responses (after retrying 429s); returns the response
+async function tapfiliateFetch(method, path, body, errorMessage) {
+  if (!isTapfiliateConfigured()) {
+    throw new TapfiliateError('Tapfiliate API not fully configured. Please set TAPFILIATE_API_KEY and TAPFILIATE_PROGRAM_ID.', {
+      method,
+      path
+    });
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res;
+    try {
+      res = await fetch(`${TAPFILIATE_API_URL}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Api-Key': TAPFILIATE_API_KEY
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new TapfiliateError(`${errorMessage}: ${err.message}`, { method, path });
+    }
+
+    if (res.status === 429 && attempt < TAPFILIATE_MAX_RETRIES) {
+      const delay = retryDelayMs(res, attempt);
+      console.warn(`Tapfiliate rate limit hit on ${method} ${path}; retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new TapfiliateError(`${errorMessage}: ${res.status} ${text}`, { status: res.status, method, path, body: text });
+    }
+
+    return res;
+  }
+}
+
+// Returns the parsed JSON body (or null when there is none)
+async function tapfiliateRequest(method, path, body, errorMessage) {
+  const res = await tapfiliateFetch(method, path, body, errorMessage);
+  return res.json().catch(() => null);
+}
+
+// Calls onPage(items, page) for each page from startPage to the end of the listing, and resolves
+// to the last page processed. Tapfiliate sends a Link header with rel="next" while there are more
+// pages; without a Link header the listing ends at the first empty page.
+async function eachPage(path, params, { startPage = 1, onPage }, errorMessage) {
+  let lastPage = startPage - 1;
+
+  for (let page = startPage; ; page += 1) {
+    const query = new URLSearchParams({ ...params, page: String(page) });
+    const res = await tapfiliateFetch('GET', `${path}?${query}`, undefined, errorMessage);
+    const items = await res.json().catch(() => []);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return lastPage;
+    }
+
+    await onPage(items, page);
+    lastPage = page;
+
+    const link = res.headers.get('link');
+    if (link !== null && !/rel="next"/.test(link)) {
+      return lastPage;
+    }
+  }
+}
+
+// Every affiliate in the program, a page at a time
+function listAffiliates({ startPage, onPage }) {
+  return eachPage(
+    '/affiliates/',
+    { program: TAPFILIATE_PROGRAM_ID },
+    { startPage, onPage },
+    'Failed to fetch affiliates from Tapfiliate'
+  );
+}
+
+// Conversions between two ISO timestamps, a page at a time
+function listConversions({ from, to, startPage, onPage }) {
+  return eachPage(
+    '/conversions/',
+    { program: TAPFILIATE_PROGRAM_ID, from, to },
+    { startPage, onPage },
+    'Failed to fetch conversions from Tapfiliate'
+  );
+}
+
+// The affiliate with this email (in any program), or null
+async function findAffiliateByEmail(email) {
+  const affiliates = await tapfiliateRequest(
+    'GET',
+    `/affiliates/?email=${encodeURIComponent(email)}`,
+    undefined,
+    'Tapfiliate affiliate lookup failed'
+  );
+
+  const wanted = String(email).toLowerCase();
+  return (Array.isArray(affiliates) ? affiliates : [])
+    .find((a) => String(a.email || '').toLowerCase() === wanted) || null;
+}
+
+// Returns the new affiliate id
+async function createAffiliate({ email, name }) {
+  const [firstname, ...rest] = (name || '').trim().split(' ');
+  const lastname = rest.join(' ');
+
+  const created = await tapfiliateRequest(
+    'POST',
+    '/affiliates/',
+    { email, firstname: firstname || undefined, lastname: lastname || undefined },
+    'Tapfiliate create affiliate failed'
+  );
+
+  if (!created || !created.id) {
+    throw new TapfiliateError('Tapfiliate create affiliate: missing id in response', { method: 'POST', path: '/affiliates/' });
+  }
+
+  return created.id;
+}
+
+// Reuses the affiliate that already has this email (e.g. one set up by hand in Tapfiliate), so
+// approving the same person twice never creates a second affiliate. Returns { id, created }.
+async function findOrCreateAffiliate({ email, name }) {
+  const existing = await findAffiliateByEmail(email);
+  if (existing) {
+    return { id: existing.id, created: false };
+  }
+
+  return { id: await createAffiliate({ email, name }), created: true };
+}
+
+// The affiliate's membership of our program, or null if they aren't in it
+async function getProgramAffiliate(affiliateId) {
+  try {
+    return await tapfiliateRequest(
+      'GET',
+      programPath(`${encodeURIComponent(affiliateId)}/`),
+      undefined,
+      'Failed to fetch program affiliate from Tapfiliate'
+    );
+  } catch (err) {
+    if (err instanceof TapfiliateError && err.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Adds and approves the affiliate; one that is already in the program is just approved
+async function addAffiliateToProgram(affiliateId) {
+  if (await getProgramAffiliate(affiliateId)) {
+    await approveAffiliate(affiliateId);
+    return;
+  }
+
+  await tapfiliateRequest(
+    'POST',
+    programPath(),
+    { affiliate: { id: affiliateId }, approved: true },
+    'Tapfiliate add affiliate to program failed'
+  );
+}
+
+// Lets the affiliate earn commission in our program again
+async function approveAffiliate(affiliateId) {
+  await tapfiliateRequest(
+    'PUT',
+    programPath(`${encodeURIComponent(affiliateId)}/approved/`),
+    undefined,
+    'Tapfiliate approve affiliate failed'
+  );
+}
+
+// Stops the affiliate earning commission in our program; their history stays in Tapfiliate
+async function disableAffiliate(affiliateId) {
+  await tapfiliateRequest(
+    'DELETE',
+    programPath(`${encodeURIComponent(affiliateId)}/approved/`),
+    undefined,
+    'Tapfiliate disapprove affiliate failed'
+  );
+}
+
+// The affiliate's referral link for our program, or null if Tapfiliate doesn't have one
+async function getReferralLink(affiliateId) {
+  const data = await getProgramAffiliate(affiliateId);
+  return (data && data.referral_link && data.referral_link.link) || null;
+}
+
+module.exports = {
+  TAPFILIATE_PROGRAM_ID,
+  TapfiliateError,
+  isTapfiliateConfigured,
+  findAffiliateByEmail,
+  createAffiliate,
+  findOrCreateAffiliate,
+  getProgramAffiliate,
+  addAffiliateToProgram,
+  approveAffiliate,
+  disableAffiliate,
+  getReferralLink,
+  listAffiliates,
+  listConversions
+};
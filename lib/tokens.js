@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Bearer/session/link tokens are random hex; only their SHA-256 is stored in the database
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fetch = require('./fetch');
+
+// Trolley configuration. Point TROLLEY_API_URL at the mock server (npm run mock:trolley) to work offline.
+const TROLLEY_ACCESS_KEY = process.env.TROLLEY_ACCESS_KEY;
+const TROLLEY_SECRET_KEY = process.env.TROLLEY_SECRET_KEY;
+const TROLLEY_WEBHOOK_SECRET = process.env.TROLLEY_WEBHOOK_SECRET;
+const TROLLEY_API_URL = (process.env.TROLLEY_API_URL || 'https://api.trolley.com').replace(/\/+$/, '');
+
+// Webhooks signed longer ago than this (or this far in the future) are refused, so a captured
+// webhook can't be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+function isTrolleyConfigured() {
+  return Boolean(TROLLEY_ACCESS_KEY && TROLLEY_SECRET_KEY);
+}
+
+function isTrolleyWebhookConfigured() {
+  return Boolean(TROLLEY_WEBHOOK_SECRET);
+}
+
+// Trolley authenticates every call with an HMAC of timestamp, method, path and body
+function signRequest(timestamp, method, requestPath, body) {
+  return crypto
+    .createHmac('sha256', TROLLEY_SECRET_KEY)
+    .update(`${timestamp}\n${method}\n${requestPath}\n${body}\n`)
+    .digest('hex');
+}
+
+async function trolleyRequest(method, requestPath, payload) {
+  if (!isTrolleyConfigured()) {
+    throw new Error('Trolley API not configured. Please set TROLLEY_ACCESS_KEY and TROLLEY_SECRET_KEY.');
+  }
+
+  const body = payload ? JSON.stringify(payload) : '';
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const res = await fetch(`${TROLLEY_API_URL}${requestPath}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-PR-Timestamp': String(timestamp),
+      Authorization: `prsign ${TROLLEY_ACCESS_KEY}:${signRequest(timestamp, method, requestPath, body)}`
+    },
+    body: body || undefined
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    console.error(`Trolley ${method} ${requestPath} failed:`, res.status, text);
+    throw new Error(`Trolley request failed (${res.status}).`);
+  }
+
+  return res.json().catch(() => ({}));
+}
+
+async function findRecipientByEmail(email) {
+  const data = await trolleyRequest('GET', `/v1/recipients?search=${encodeURIComponent(email)}`);
+  const recipients = data.recipients || [];
+  return recipients.find((r) => (r.email || '').toLowerCase() === email.toLowerCase()) || null;
+}
+
+async function createRecipient({ email, name, referenceId }) {
+  const [firstName, ...rest] = (name || '').trim().split(' ');
+
+  const data = await trolleyRequest('POST', '/v1/recipients', {
+    type: 'individual',
+    email,
+    firstName: firstName || undefined,
+    lastName: rest.join(' ') || undefined,
+    referenceId
+  });
+
+  return data.recipient;
+}
+
+function paymentPayload(currency, { recipientId, amount, memo, externalId }) {
+  return {
+    recipient: { id: recipientId },
+    sourceAmount: Number(amount).toFixed(2),
+    sourceCurrency: currency.toUpperCase(),
+    memo,
+    externalId
+  };
+}
+
+// payments: [{ recipientId, amount, memo, externalId }] – Trolley batches are single-currency.
+// Leave payments out to create an empty batch and add them with addBatchPayment().
+async function createBatch({ currency, description, payments = [] }) {
+  const data = await trolleyRequest('POST', '/v1/batches', {
+    sourceCurrency: currency.toUpperCase(),
+    description,
+    payments: payments.map((p) => paymentPayload(currency, p))
+  });
+
+  return data.batch;
+}
+
+async function getBatch(trolleyBatchId) {
+  const data = await trolleyRequest('GET', `/v1/batches/${encodeURIComponent(trolleyBatchId)}`);
+  return data.batch;
+}
+
+async function addBatchPayment(trolleyBatchId, currency, payment) {
+  const data = await trolleyRequest(
+    'POST',
+    `/v1/batches/${encodeURIComponent(trolleyBatchId)}/payments`,
+    paymentPayload(currency, payment)
+  );
+  return data.payment;
+}
+
+async function startBatchProcessing(trolleyBatchId) {
+  const data = await trolleyRequest('POST', `/v1/batches/${encodeURIComponent(trolleyBatchId)}/start-processing`);
+  return data.batch;
+}
+
+async function listBatchPayments(trolleyBatchId) {
+  const payments = [];
+
+  for (let page = 1; ; page += 1) {
+    const data = await trolleyRequest(
+      'GET',
+      `/v1/batches/${encodeURIComponent(trolleyBatchId)}/payments?page=${page}&pageSize=100`
+    );
+
+    payments.push(...(data.payments || []));
+
+    const pages = data.meta && data.meta.pages ? Number(data.meta.pages) : 1;
+    if (page >= pages) break;
+  }
+
+  return payments;
+}
+
+// Header looks like "t=1700000000,v1=<hex hmac of t + raw body>"; t must be recent
+function verifyWebhookSignature(rawBody, signatureHeader) {
+  if (!TROLLEY_WEBHOOK_SECRET || !signatureHeader) {
+    return false;
+  }
+
+  const parts = {};
+  for (const piece of String(signatureHeader).split(',')) {
+    const [key, value] = piece.split('=');
+    parts[key && key.trim()] = value && value.trim();
+  }
+
+  if (!parts.t || !parts.v1) {
+    return false;
+  }
+
+  const signedAt = Number(parts.t);
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() / 1000 - signedAt) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', TROLLEY_WEBHOOK_SECRET)
+    .update(`${parts.t}${rawBody}`)
+    .digest('hex');
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(parts.v1);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  isTrolleyConfigured,
+  isTrolleyWebhookConfigured,
+  findRecipientByEmail,
+  createRecipient,
+  createBatch,
+  getBatch,
+  addBatchPayment,
+  startBatchProcessing,
+  listBatchPayments,
+  verifyWebhookSignature
+};
@@ -0,0 +1,312 @@
+const { pool } = require('./db');
+const trolley = require('./trolley');
+const { logAdminAction } = require('./adminLogs');
+const { ServiceError } = require('./errors');
+const { transitionPayoutBatch, getPayoutBatch } = require('./payouts');
+
+// Trolley payment statuses that settle one of our payouts
+const TROLLEY_STATUS_TO_PAYOUT_STATUS = {
+  processed: 'paid',
+  failed: 'failed',
+  returned: 'failed',
+  cancelled: 'failed'
+};
+
+async function ensureTrolleyRecipient(partnerId) {
+  const result = await pool.query(
+    `SELECT
+       p.id,
+       p.trolley_recipient_id,
+       COALESCE(p.name, pa.name) AS name,
+       COALESCE(p.email, pa.email) AS email
+     FROM partners p
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     WHERE p.id = $1`,
+    [partnerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError(`Partner ${partnerId} not found.`, 404);
+  }
+
+  const partner = result.rows[0];
+  if (partner.trolley_recipient_id) {
+    return partner.trolley_recipient_id;
+  }
+
+  if (!partner.email) {
+    throw new ServiceError(`Partner ${partnerId} has no email, so no Trolley recipient can be created.`);
+  }
+
+  // Reuse an existing Trolley recipient for this email before creating a new one
+  const recipient = (await trolley.findRecipientByEmail(partner.email))
+    || (await trolley.createRecipient({
+      email: partner.email,
+      name: partner.name,
+      referenceId: `partner-${partner.id}`
+    }));
+
+  if (!recipient || !recipient.id) {
+    throw new Error('Trolley recipient response is missing an id.');
+  }
+
+  await pool.query(
+    'UPDATE partners SET trolley_recipient_id = $1 WHERE id = $2',
+    [recipient.id, partner.id]
+  );
+
+  return recipient.id;
+}
+
+// Runs as a `trolley_recipient` job after an application is approved
+async function ensureTrolleyRecipientForApplication(applicationId) {
+  if (!trolley.isTrolleyConfigured()) {
+    console.warn('Trolley not configured (missing access or secret key). Skipping recipient creation.');
+    return;
+  }
+
+  const result = await pool.query('SELECT id FROM partners WHERE application_id = $1', [applicationId]);
+  if (result.rows.length === 0) {
+    console.warn('Trolley recipient: no partner row for application', applicationId);
+    return;
+  }
+
+  await ensureTrolleyRecipient(result.rows[0].id);
+}
+
+// One send per payout batch at a time. A session-level advisory lock on its own connection, so
+// it is held across the Trolley calls without keeping a transaction open, and is released if the
+// process dies mid-send.
+async function withPayoutBatchSendLock(batchId, fn) {
+  const lockKey = `payout_batch_send:${batchId}`;
+  const client = await pool.connect();
+
+  try {
+    const lockRes = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockKey]);
+    if (!lockRes.rows[0].locked) {
+      throw new ServiceError('This payout batch is already being sent.', 409);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function recordTrolleyPayment(batchId, trolleyBatchId, payment) {
+  const match = /^payout-(\d+)$/.exec(payment.externalId || '');
+  if (!match) return;
+
+  await pool.query(
+    `UPDATE partner_payouts
+     SET trolley_payout_id = $1, trolley_batch_id = $2, trolley_status = $3, updated_at = NOW()
+     WHERE id = $4 AND batch_id = $5`,
+    [payment.id, trolleyBatchId, payment.status || null, Number(match[1]), batchId]
+  );
+}
+
+// Gets one currency's payouts into a started Trolley batch. The Trolley batch id is stored on the
+// payouts before any payment is added, so a retry reuses that batch instead of creating a second
+// one. Payments already in it (matched by externalId) aren't added again, and a batch that was
+// never started is started.
+async function sendCurrencyToTrolley(batchId, currency, items) {
+  let trolleyBatchId = (items.find((item) => item.trolley_batch_id) || {}).trolley_batch_id;
+
+  if (!trolleyBatchId) {
+    const created = await trolley.createBatch({
+      currency,
+      description: `GIB partner payouts – batch ${batchId}`
+    });
+
+    if (!created || !created.id) {
+      throw new Error('Trolley batch response is missing an id.');
+    }
+
+    trolleyBatchId = created.id;
+    await pool.query(
+      `UPDATE partner_payouts
+       SET trolley_batch_id = $1, updated_at = NOW()
+       WHERE batch_id = $2 AND currency = $3 AND status = 'approved'`,
+      [trolleyBatchId, batchId, currency]
+    );
+  }
+
+  const existing = await trolley.listBatchPayments(trolleyBatchId);
+  for (const payment of existing) {
+    await recordTrolleyPayment(batchId, trolleyBatchId, payment);
+  }
+
+  const trolleyBatch = await trolley.getBatch(trolleyBatchId);
+  if (trolleyBatch.status !== 'open') {
+    // Started by an earlier attempt that failed afterwards
+    return trolleyBatchId;
+  }
+
+  const added = new Set(existing.map((payment) => payment.externalId));
+  for (const item of items) {
+    if (added.has(`payout-${item.id}`)) continue;
+
+    const payment = await trolley.addBatchPayment(trolleyBatchId, currency, {
+      recipientId: await ensureTrolleyRecipient(item.partner_id),
+      amount: item.amount,
+      memo: 'GIB Partner Program commission',
+      externalId: `payout-${item.id}`
+    });
+    await recordTrolleyPayment(batchId, trolleyBatchId, payment);
+  }
+
+  await trolley.startBatchProcessing(trolleyBatchId);
+  return trolleyBatchId;
+}
+
+// Submits every approved payout in the batch to Trolley (one Trolley batch per currency) and
+// marks the batch as sent. Safe to retry after a failure part-way: see sendCurrencyToTrolley().
+async function submitPayoutBatchToTrolley(batchId, { adminIdentifier } = {}) {
+  if (!trolley.isTrolleyConfigured()) {
+    throw new ServiceError('Trolley is not configured.', 503);
+  }
+
+  return withPayoutBatchSendLock(batchId, async () => {
+    const batchRes = await pool.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+    if (batchRes.rows.length === 0) {
+      throw new ServiceError('Payout batch not found.', 404);
+    }
+
+    if (batchRes.rows[0].status !== 'approved') {
+      throw new ServiceError(`Only approved payout batches can be sent (batch is ${batchRes.rows[0].status}).`, 409);
+    }
+
+    const itemsRes = await pool.query(
+      `SELECT id, partner_id, amount, currency, trolley_batch_id
+       FROM partner_payouts
+       WHERE batch_id = $1 AND status = 'approved'
+       ORDER BY currency, id`,
+      [batchId]
+    );
+
+    const byCurrency = {};
+    for (const item of itemsRes.rows) {
+      (byCurrency[item.currency] = byCurrency[item.currency] || []).push(item);
+    }
+
+    const trolleyBatchIds = [];
+    for (const [currency, items] of Object.entries(byCurrency)) {
+      trolleyBatchIds.push(await sendCurrencyToTrolley(batchId, currency, items));
+    }
+
+    await transitionPayoutBatch(batchId, 'sent', {
+      adminIdentifier,
+      notes: trolleyBatchIds.length > 0 ? `Submitted to Trolley: ${trolleyBatchIds.join(', ')}` : null
+    });
+
+    await applyEarlyTrolleyStatuses(batchId);
+    return getPayoutBatch(batchId);
+  });
+}
+
+// A webhook can arrive between starting the Trolley batch and marking our batch sent. Its status
+// is stored in trolley_status either way; once the payouts are sent it is applied here.
+async function applyEarlyTrolleyStatuses(batchId) {
+  for (const [trolleyStatus, payoutStatus] of Object.entries(TROLLEY_STATUS_TO_PAYOUT_STATUS)) {
+    await pool.query(
+      `UPDATE partner_payouts
+       SET status = $1, updated_at = NOW()
+       WHERE batch_id = $2 AND status = 'sent' AND trolley_status = $3`,
+      [payoutStatus, batchId, trolleyStatus]
+    );
+  }
+
+  await settlePayoutBatchIfComplete(batchId);
+}
+
+// Applies a Trolley payment status to the matching payout, then settles the batch once no
+// payouts are still in flight: paid if everything was paid, failed if anything failed. A payout
+// that isn't sent yet only keeps the status in trolley_status (see applyEarlyTrolleyStatuses).
+async function applyTrolleyPaymentStatus({ paymentId, status }) {
+  const result = await pool.query(
+    `UPDATE partner_payouts
+     SET trolley_status = $1,
+         status = CASE WHEN status = 'sent' AND $2::text IS NOT NULL THEN $2 ELSE status END,
+         updated_at = NOW()
+     WHERE trolley_payout_id = $3
+     RETURNING id, batch_id, status`,
+    [status, TROLLEY_STATUS_TO_PAYOUT_STATUS[status] || null, paymentId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const payout = result.rows[0];
+  await settlePayoutBatchIfComplete(payout.batch_id);
+  return payout;
+}
+
+async function settlePayoutBatchIfComplete(batchId) {
+  if (!batchId) return;
+
+  const result = await pool.query(
+    `SELECT
+       pb.status,
+       COUNT(*) FILTER (WHERE pp.status = 'sent') AS in_flight,
+       COUNT(*) FILTER (WHERE pp.status = 'failed') AS failed
+     FROM payout_batches pb
+     JOIN partner_payouts pp ON pp.batch_id = pb.id
+     WHERE pb.id = $1
+     GROUP BY pb.status`,
+    [batchId]
+  );
+
+  const row = result.rows[0];
+  if (!row || row.status !== 'sent' || Number(row.in_flight) > 0) {
+    return;
+  }
+
+  await transitionPayoutBatch(batchId, Number(row.failed) > 0 ? 'failed' : 'paid', {
+    adminIdentifier: 'trolley'
+  });
+}
+
+// Polling fallback for when webhooks are not configured or were missed
+async function refreshPayoutBatchFromTrolley(batchId, { adminIdentifier } = {}) {
+  if (!trolley.isTrolleyConfigured()) {
+    throw new ServiceError('Trolley is not configured.', 503);
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT trolley_batch_id
+     FROM partner_payouts
+     WHERE batch_id = $1 AND trolley_batch_id IS NOT NULL`,
+    [batchId]
+  );
+
+  let updated = 0;
+  for (const row of result.rows) {
+    const payments = await trolley.listBatchPayments(row.trolley_batch_id);
+    for (const payment of payments) {
+      if (await applyTrolleyPaymentStatus({ paymentId: payment.id, status: payment.status })) {
+        updated += 1;
+      }
+    }
+  }
+
+  await logAdminAction({
+    adminIdentifier,
+    action: 'payout_batch_trolley_refresh',
+    details: `Payout batch ${batchId}: refreshed ${updated} payment status(es) from Trolley`
+  });
+
+  return { updated };
+}
+
+module.exports = {
+  ensureTrolleyRecipient,
+  ensureTrolleyRecipientForApplication,
+  submitPayoutBatchToTrolley,
+  applyTrolleyPaymentStatus,
+  refreshPayoutBatchFromTrolley
+};
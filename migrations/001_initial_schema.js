@@ -0,0 +1,108 @@
+// Baseline schema: everything server.js used to create on the fly. Uses IF NOT EXISTS throughout
+// so it can be applied to the existing production database without touching data.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS partner_applications (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      whatsapp VARCHAR(50),
+      country VARCHAR(100) NOT NULL,
+      audience_size VARCHAR(50),
+      platform VARCHAR(255),
+      motivation TEXT NOT NULL,
+      terms_accepted BOOLEAN DEFAULT false,
+      status VARCHAR(50) DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `ALTER TABLE partner_applications
+       ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+       ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255),
+       ADD COLUMN IF NOT EXISTS notes TEXT,
+       ADD COLUMN IF NOT EXISTS tapfiliate_affiliate_id VARCHAR(255)`
+  );
+
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS admin_logs (
+      id SERIAL PRIMARY KEY,
+      admin_identifier VARCHAR(255),
+      action VARCHAR(50),
+      application_id INT,
+      details TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS partners (
+      id SERIAL PRIMARY KEY,
+      application_id INT UNIQUE,
+      tapfiliate_affiliate_id VARCHAR(255),
+      trolley_recipient_id VARCHAR(255),
+      tier VARCHAR(50) DEFAULT 'basic',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `ALTER TABLE partners
+       ADD COLUMN IF NOT EXISTS name VARCHAR(255),
+       ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+       ADD COLUMN IF NOT EXISTS country VARCHAR(100)`
+  );
+
+  await client.query(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_partners_tapfiliate_affiliate_id
+     ON partners(tapfiliate_affiliate_id)`
+  );
+
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS partner_earnings (
+      id SERIAL PRIMARY KEY,
+      partner_id INT REFERENCES partners(id),
+      period DATE NOT NULL,
+      currency VARCHAR(10) NOT NULL,
+      gross_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      net_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      commission_rate NUMERIC(5, 4) NOT NULL DEFAULT 0,
+      commission_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      source VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_partner_earnings_partner_period_currency
+     ON partner_earnings(partner_id, period, currency)`
+  );
+
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS partner_payouts (
+      id SERIAL PRIMARY KEY,
+      partner_id INT REFERENCES partners(id),
+      amount NUMERIC(12, 2) NOT NULL,
+      currency VARCHAR(10) NOT NULL,
+      status VARCHAR(50) NOT NULL DEFAULT 'pending',
+      method VARCHAR(50) NOT NULL DEFAULT 'trolley',
+      period_start DATE,
+      period_end DATE,
+      trolley_payout_id VARCHAR(255),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS partner_payouts');
+  await client.query('DROP TABLE IF EXISTS partner_earnings');
+  await client.query('DROP TABLE IF EXISTS partners');
+  await client.query('DROP TABLE IF EXISTS admin_logs');
+  await client.query('DROP TABLE IF EXISTS partner_applications');
+}
+
+module.exports = { up, down };
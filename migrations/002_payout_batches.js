@@ -0,0 +1,42 @@
+// Payout runs: a batch groups one partner_payouts row per partner/currency for a period range
+// and moves through draft -> approved -> sent -> paid/failed.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE payout_batches (
+      id SERIAL PRIMARY KEY,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      status VARCHAR(50) NOT NULL DEFAULT 'draft',
+      minimum_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      created_by VARCHAR(255),
+      notes TEXT,
+      approved_at TIMESTAMP,
+      sent_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `ALTER TABLE partner_payouts
+       ADD COLUMN batch_id INT REFERENCES payout_batches(id),
+       ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_partner_payouts_batch_id ON partner_payouts(batch_id)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_partner_payouts_batch_id');
+  await client.query(
+    `ALTER TABLE partner_payouts
+       DROP COLUMN IF EXISTS batch_id,
+       DROP COLUMN IF EXISTS updated_at`
+  );
+  await client.query('DROP TABLE IF EXISTS payout_batches');
+}
+
+module.exports = { up, down };
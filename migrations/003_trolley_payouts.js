@@ -0,0 +1,25 @@
+// Track which Trolley batch/payment each payout was submitted as, and Trolley's own status for it.
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partner_payouts
+       ADD COLUMN trolley_batch_id VARCHAR(255),
+       ADD COLUMN trolley_status VARCHAR(50)`
+  );
+
+  await client.query(
+    `CREATE UNIQUE INDEX idx_partner_payouts_trolley_payout_id
+     ON partner_payouts(trolley_payout_id)`
+  );
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_partner_payouts_trolley_payout_id');
+  await client.query(
+    `ALTER TABLE partner_payouts
+       DROP COLUMN IF EXISTS trolley_batch_id,
+       DROP COLUMN IF EXISTS trolley_status`
+  );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Individual admin accounts (replacing the shared ADMIN_API_TOKEN) and their login sessions.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE admin_users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      role VARCHAR(50) NOT NULL CHECK (role IN ('reviewer', 'finance', 'owner')),
+      password_hash VARCHAR(255) NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `CREATE TABLE admin_sessions (
+      id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      admin_user_id INT NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      ip VARCHAR(100),
+      user_agent VARCHAR(255),
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_admin_sessions_admin_user_id ON admin_sessions(admin_user_id)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS admin_sessions');
+  await client.query('DROP TABLE IF EXISTS admin_users');
+}
+
+module.exports = { up, down };
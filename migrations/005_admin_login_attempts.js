@@ -0,0 +1,29 @@
+// Persistent sign-in attempt log backing the admin brute-force lockout (replaces the in-memory counter).
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE admin_login_attempts (
+      id SERIAL PRIMARY KEY,
+      ip VARCHAR(100),
+      email VARCHAR(255),
+      success BOOLEAN NOT NULL,
+      cleared_at TIMESTAMP,
+      cleared_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_admin_login_attempts_ip_created ON admin_login_attempts(ip, created_at)'
+  );
+
+  await client.query(
+    'CREATE INDEX idx_admin_login_attempts_email_created ON admin_login_attempts(email, created_at)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS admin_login_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// Partner self-service portal: one-time emailed sign-in links, portal sessions, and a cached
+// Tapfiliate referral link per partner.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE partner_login_tokens (
+      id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      partner_id INT NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+      ip VARCHAR(100),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `CREATE TABLE partner_sessions (
+      id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      partner_id INT NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_partner_login_tokens_partner_id ON partner_login_tokens(partner_id)'
+  );
+
+  await client.query(
+    'ALTER TABLE partners ADD COLUMN referral_link VARCHAR(500)'
+  );
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE partners DROP COLUMN IF EXISTS referral_link');
+  await client.query('DROP TABLE IF EXISTS partner_sessions');
+  await client.query('DROP TABLE IF EXISTS partner_login_tokens');
+}
+
+module.exports = { up, down };
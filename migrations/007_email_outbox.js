@@ -0,0 +1,31 @@
+// Record of every transactional email the app sends (or tried to send).
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE email_outbox (
+      id SERIAL PRIMARY KEY,
+      template VARCHAR(100) NOT NULL,
+      to_email VARCHAR(255) NOT NULL,
+      subject VARCHAR(255),
+      payload JSONB,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      transport VARCHAR(20),
+      provider_message_id VARCHAR(255),
+      error TEXT,
+      dedupe_key VARCHAR(255),
+      application_id INT REFERENCES partner_applications(id) ON DELETE SET NULL,
+      partner_id INT REFERENCES partners(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP
+    )`
+  );
+
+  await client.query('CREATE INDEX idx_email_outbox_dedupe_key ON email_outbox(dedupe_key)');
+  await client.query('CREATE INDEX idx_email_outbox_status_created ON email_outbox(status, created_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS email_outbox');
+}
+
+module.exports = { up, down };
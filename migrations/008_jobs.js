@@ -0,0 +1,30 @@
+// Durable background jobs (Tapfiliate sync, waitlist forwarding, emails, ...) with retries.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE jobs (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 8,
+      run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      locked_by VARCHAR(100),
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )`
+  );
+
+  await client.query('CREATE INDEX idx_jobs_status_run_at ON jobs(status, run_at)');
+  await client.query('CREATE INDEX idx_jobs_type ON jobs(type)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS jobs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// Stripe membership lifecycle: partner status, the Stripe customer/subscription behind each
+// paid membership, and a log of processed webhook events so retries are idempotent.
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partners
+       ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active',
+       ADD COLUMN status_reason VARCHAR(50),
+       ADD COLUMN status_changed_at TIMESTAMP,
+       ADD COLUMN stripe_customer_id VARCHAR(255),
+       ADD COLUMN stripe_subscription_id VARCHAR(255)`
+  );
+
+  await client.query('CREATE INDEX idx_partners_stripe_customer_id ON partners(stripe_customer_id)');
+  await client.query('CREATE INDEX idx_partners_stripe_subscription_id ON partners(stripe_subscription_id)');
+
+  await client.query(
+    `CREATE TABLE stripe_events (
+      id VARCHAR(255) PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      payload JSONB NOT NULL,
+      partner_id INT REFERENCES partners(id) ON DELETE SET NULL,
+      outcome TEXT,
+      error TEXT,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    )`
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS stripe_events');
+  await client.query('DROP INDEX IF EXISTS idx_partners_stripe_subscription_id');
+  await client.query('DROP INDEX IF EXISTS idx_partners_stripe_customer_id');
+  await client.query(
+    `ALTER TABLE partners
+       DROP COLUMN IF EXISTS status,
+       DROP COLUMN IF EXISTS status_reason,
+       DROP COLUMN IF EXISTS status_changed_at,
+       DROP COLUMN IF EXISTS stripe_customer_id,
+       DROP COLUMN IF EXISTS stripe_subscription_id`
+  );
+}
+
+module.exports = { up, down };
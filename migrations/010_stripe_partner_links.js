@@ -0,0 +1,25 @@
+// Stripe signups become regular applications: applications record where they came from, and
+// partners keep the Stripe checkout session that created or renewed them.
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partner_applications
+       ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'form'`
+  );
+
+  await client.query('ALTER TABLE partners ADD COLUMN stripe_checkout_session_id VARCHAR(255)');
+
+  await client.query(
+    'CREATE INDEX idx_partner_applications_lower_email ON partner_applications(LOWER(email))'
+  );
+  await client.query('CREATE INDEX idx_partners_lower_email ON partners(LOWER(email))');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_partners_lower_email');
+  await client.query('DROP INDEX IF EXISTS idx_partner_applications_lower_email');
+  await client.query('ALTER TABLE partners DROP COLUMN IF EXISTS stripe_checkout_session_id');
+  await client.query('ALTER TABLE partner_applications DROP COLUMN IF EXISTS source');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Commission rules: rates by tier or for a single partner, valid for a date range and optionally
+// only once a partner's monthly net revenue passes a threshold. Earnings record the rule they used.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE commission_rules (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      partner_id INT REFERENCES partners(id) ON DELETE CASCADE,
+      tier VARCHAR(50),
+      currency VARCHAR(10),
+      min_monthly_net NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      rate NUMERIC(5, 4) NOT NULL CHECK (rate >= 0 AND rate <= 1),
+      effective_from DATE,
+      effective_to DATE,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (partner_id IS NULL OR tier IS NULL),
+      CHECK (effective_to IS NULL OR effective_from IS NULL OR effective_to >= effective_from)
+    )`
+  );
+
+  await client.query('CREATE INDEX idx_commission_rules_partner_id ON commission_rules(partner_id)');
+
+  await client.query(
+    `ALTER TABLE partner_earnings
+       ADD COLUMN commission_rule_id INT REFERENCES commission_rules(id) ON DELETE SET NULL`
+  );
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE partner_earnings DROP COLUMN IF EXISTS commission_rule_id');
+  await client.query('DROP TABLE IF EXISTS commission_rules');
+}
+
+module.exports = { up, down };
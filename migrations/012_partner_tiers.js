@@ -0,0 +1,76 @@
+// Partner tiers: thresholds for automatic promotion/demotion, a history of every tier change, and
+// conversion counts on earnings so the evaluation can look at them. Seeds the three tiers from the
+// public partners page, plus commission rules for the two upper tiers (40% / 50%).
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE partner_tiers (
+      name VARCHAR(50) PRIMARY KEY,
+      label VARCHAR(255) NOT NULL,
+      rank INT NOT NULL UNIQUE,
+      min_trailing_net NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      min_trailing_conversions INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `INSERT INTO partner_tiers (name, label, rank, min_trailing_net, min_trailing_conversions)
+     VALUES
+       ('basic', 'Partner', 0, 0, 0),
+       ('elite', 'Elite Partner', 1, 1000, 25),
+       ('strategic', 'Strategic Partner', 2, 5000, 100)`
+  );
+
+  await client.query(
+    `CREATE TABLE partner_tier_history (
+      id SERIAL PRIMARY KEY,
+      partner_id INT NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+      from_tier VARCHAR(50),
+      to_tier VARCHAR(50) NOT NULL,
+      trailing_net NUMERIC(12, 2),
+      trailing_conversions INT,
+      reason TEXT,
+      changed_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_partner_tier_history_partner_id ON partner_tier_history(partner_id, created_at)'
+  );
+
+  await client.query('ALTER TABLE partners ADD COLUMN tier_changed_at TIMESTAMP');
+
+  await client.query(
+    'ALTER TABLE partner_earnings ADD COLUMN conversion_count INT NOT NULL DEFAULT 0'
+  );
+
+  const tierRates = [
+    ['Elite Partner tier', 'elite', 0.4],
+    ['Strategic Partner tier', 'strategic', 0.5]
+  ];
+
+  for (const [name, tier, rate] of tierRates) {
+    await client.query(
+      `INSERT INTO commission_rules (name, tier, rate, created_by)
+       SELECT $1::text, $2::text, $3::numeric, 'migration'
+       WHERE NOT EXISTS (SELECT 1 FROM commission_rules WHERE tier = $2::text)`,
+      [name, tier, rate]
+    );
+  }
+}
+
+async function down(client) {
+  await client.query(
+    `DELETE FROM commission_rules
+     WHERE created_by = 'migration' AND tier IN ('elite', 'strategic')
+       AND NOT EXISTS (SELECT 1 FROM partner_earnings pe WHERE pe.commission_rule_id = commission_rules.id)`
+  );
+  await client.query('ALTER TABLE partner_earnings DROP COLUMN IF EXISTS conversion_count');
+  await client.query('ALTER TABLE partners DROP COLUMN IF EXISTS tier_changed_at');
+  await client.query('DROP TABLE IF EXISTS partner_tier_history');
+  await client.query('DROP TABLE IF EXISTS partner_tiers');
+}
+
+module.exports = { up, down };
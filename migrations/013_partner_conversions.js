@@ -0,0 +1,38 @@
+// Conversion-level ledger: every Tapfiliate conversion the earnings sync sees, keyed by its
+// Tapfiliate id so re-syncing a month updates rows instead of duplicating them. Monthly
+// partner_earnings are totals over this table.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE partner_conversions (
+      id SERIAL PRIMARY KEY,
+      tapfiliate_conversion_id VARCHAR(255) NOT NULL UNIQUE,
+      partner_id INT REFERENCES partners(id) ON DELETE SET NULL,
+      tapfiliate_affiliate_id VARCHAR(255),
+      period DATE NOT NULL,
+      amount NUMERIC(12, 2) NOT NULL,
+      currency VARCHAR(10) NOT NULL,
+      estimated_fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      net_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      customer_id VARCHAR(255),
+      external_id VARCHAR(255),
+      converted_at TIMESTAMP,
+      payload JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_partner_conversions_partner_period ON partner_conversions(partner_id, period, currency)'
+  );
+  await client.query(
+    'CREATE INDEX idx_partner_conversions_affiliate ON partner_conversions(tapfiliate_affiliate_id)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS partner_conversions');
+}
+
+module.exports = { up, down };
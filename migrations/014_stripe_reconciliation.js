@@ -0,0 +1,43 @@
+// Actual Stripe fees and refunds/chargebacks for ledger conversions. `estimated_fee` becomes `fee`,
+// with `fee_source` saying whether it came from the Stripe balance transaction or the estimate.
+// Refunds and dispute movements are adjustment lines, each booked once into a period.
+
+async function up(client) {
+  await client.query('ALTER TABLE partner_conversions RENAME COLUMN estimated_fee TO fee');
+  await client.query(
+    "ALTER TABLE partner_conversions ADD COLUMN fee_source VARCHAR(20) NOT NULL DEFAULT 'estimate'"
+  );
+  await client.query('ALTER TABLE partner_conversions ADD COLUMN stripe_charge_id VARCHAR(255)');
+  await client.query('ALTER TABLE partner_conversions ADD COLUMN stripe_checked_at TIMESTAMP');
+
+  await client.query(
+    `CREATE TABLE partner_conversion_adjustments (
+      id SERIAL PRIMARY KEY,
+      conversion_id INT NOT NULL REFERENCES partner_conversions(id) ON DELETE CASCADE,
+      period DATE NOT NULL,
+      kind VARCHAR(20) NOT NULL,
+      stripe_object_id VARCHAR(255) NOT NULL UNIQUE,
+      amount NUMERIC(12, 2) NOT NULL,
+      currency VARCHAR(10) NOT NULL,
+      occurred_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_partner_conversion_adjustments_period ON partner_conversion_adjustments(period, currency)'
+  );
+  await client.query(
+    'CREATE INDEX idx_partner_conversion_adjustments_conversion ON partner_conversion_adjustments(conversion_id)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS partner_conversion_adjustments');
+  await client.query('ALTER TABLE partner_conversions DROP COLUMN IF EXISTS stripe_checked_at');
+  await client.query('ALTER TABLE partner_conversions DROP COLUMN IF EXISTS stripe_charge_id');
+  await client.query('ALTER TABLE partner_conversions DROP COLUMN IF EXISTS fee_source');
+  await client.query('ALTER TABLE partner_conversions RENAME COLUMN fee TO estimated_fee');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Daily FX rates and reporting-currency amounts. A rate is the amount of `base_currency` (the
+// reporting currency when it was imported) for one unit of `currency` on `rate_date`. Earnings
+// and payouts keep their own currency and also record the converted amount, the rate and its date.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE fx_rates (
+      base_currency VARCHAR(10) NOT NULL,
+      currency VARCHAR(10) NOT NULL,
+      rate_date DATE NOT NULL,
+      rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+      source VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (base_currency, currency, rate_date)
+    )`
+  );
+
+  await client.query(
+    `ALTER TABLE partner_earnings
+       ADD COLUMN reporting_currency VARCHAR(10),
+       ADD COLUMN fx_rate NUMERIC(18, 8),
+       ADD COLUMN fx_rate_date DATE,
+       ADD COLUMN gross_revenue_reporting NUMERIC(12, 2),
+       ADD COLUMN net_revenue_reporting NUMERIC(12, 2),
+       ADD COLUMN commission_amount_reporting NUMERIC(12, 2)`
+  );
+
+  await client.query(
+    `ALTER TABLE partner_payouts
+       ADD COLUMN reporting_currency VARCHAR(10),
+       ADD COLUMN fx_rate NUMERIC(18, 8),
+       ADD COLUMN fx_rate_date DATE,
+       ADD COLUMN amount_reporting NUMERIC(12, 2)`
+  );
+}
+
+async function down(client) {
+  await client.query(
+    `ALTER TABLE partner_payouts
+       DROP COLUMN IF EXISTS amount_reporting,
+       DROP COLUMN IF EXISTS fx_rate_date,
+       DROP COLUMN IF EXISTS fx_rate,
+       DROP COLUMN IF EXISTS reporting_currency`
+  );
+  await client.query(
+    `ALTER TABLE partner_earnings
+       DROP COLUMN IF EXISTS commission_amount_reporting,
+       DROP COLUMN IF EXISTS net_revenue_reporting,
+       DROP COLUMN IF EXISTS gross_revenue_reporting,
+       DROP COLUMN IF EXISTS fx_rate_date,
+       DROP COLUMN IF EXISTS fx_rate,
+       DROP COLUMN IF EXISTS reporting_currency`
+  );
+  await client.query('DROP TABLE IF EXISTS fx_rates');
+}
+
+module.exports = { up, down };
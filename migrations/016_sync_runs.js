@@ -0,0 +1,30 @@
+// One row per Tapfiliate sync run (partners, or one month of earnings) with counts, the last
+// page fully processed (the checkpoint an interrupted run resumes from) and the error if it failed.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE sync_runs (
+      id SERIAL PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL,
+      period DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      last_page INT NOT NULL DEFAULT 0,
+      items_fetched INT NOT NULL DEFAULT 0,
+      counts JSONB,
+      error TEXT,
+      attempts INT NOT NULL DEFAULT 1,
+      triggered_by VARCHAR(255),
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP
+    )`
+  );
+
+  await client.query('CREATE INDEX idx_sync_runs_kind_period ON sync_runs(kind, period, started_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS sync_runs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Built-in scheduler: admin-editable settings (the sync schedule lives under the `sync_schedule`
+// key), one `scheduled_runs` row per task per day so a run is only ever queued once, and
+// `accounting_periods` recording which months are closed.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    `CREATE TABLE scheduled_runs (
+      id SERIAL PRIMARY KEY,
+      task VARCHAR(50) NOT NULL,
+      run_date DATE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      job_id INT REFERENCES jobs(id) ON DELETE SET NULL,
+      details JSONB,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      UNIQUE (task, run_date)
+    )`
+  );
+
+  await client.query(
+    `CREATE TABLE accounting_periods (
+      period DATE PRIMARY KEY,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      closed_at TIMESTAMP,
+      closed_by VARCHAR(255)
+    )`
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS accounting_periods');
+  await client.query('DROP TABLE IF EXISTS scheduled_runs');
+  await client.query('DROP TABLE IF EXISTS app_settings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Locked accounting periods. A closed month's partner_earnings rows are never overwritten; a later
+// difference becomes an `adjustment` row in the next open month, pointing back at the month it
+// corrects through `adjusts_period`. Sync rows stay unique per partner, month and currency;
+// adjustment rows are unique per booking month and corrected month.
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partner_earnings
+       ADD COLUMN entry_type VARCHAR(20) NOT NULL DEFAULT 'sync',
+       ADD COLUMN adjusts_period DATE`
+  );
+
+  await client.query('DROP INDEX IF EXISTS idx_partner_earnings_partner_period_currency');
+  await client.query(
+    `CREATE UNIQUE INDEX idx_partner_earnings_partner_period_currency
+     ON partner_earnings(partner_id, period, currency)
+     WHERE entry_type = 'sync'`
+  );
+  await client.query(
+    `CREATE UNIQUE INDEX idx_partner_earnings_adjustment
+     ON partner_earnings(partner_id, period, currency, adjusts_period)
+     WHERE entry_type = 'adjustment'`
+  );
+
+  await client.query(
+    `ALTER TABLE accounting_periods
+       ADD COLUMN reopened_at TIMESTAMP,
+       ADD COLUMN reopened_by VARCHAR(255)`
+  );
+}
+
+async function down(client) {
+  await client.query(
+    `ALTER TABLE accounting_periods
+       DROP COLUMN IF EXISTS reopened_by,
+       DROP COLUMN IF EXISTS reopened_at`
+  );
+
+  await client.query("DELETE FROM partner_earnings WHERE entry_type = 'adjustment'");
+  await client.query('DROP INDEX IF EXISTS idx_partner_earnings_adjustment');
+  await client.query('DROP INDEX IF EXISTS idx_partner_earnings_partner_period_currency');
+  await client.query(
+    `CREATE UNIQUE INDEX idx_partner_earnings_partner_period_currency
+     ON partner_earnings(partner_id, period, currency)`
+  );
+  await client.query(
+    `ALTER TABLE partner_earnings
+       DROP COLUMN IF EXISTS adjusts_period,
+       DROP COLUMN IF EXISTS entry_type`
+  );
+}
+
+module.exports = { up, down };
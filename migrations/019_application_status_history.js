@@ -0,0 +1,51 @@
+// Application review workflow: every status change is a row in application_status_history.
+// Existing applications get their history reconstructed from what the row still tells us: submitted
+// as pending, then (for decided ones) moved to their current status when they were decided.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE application_status_history (
+      id SERIAL PRIMARY KEY,
+      application_id INT NOT NULL REFERENCES partner_applications(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      changed_by VARCHAR(255),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_application_status_history_application ON application_status_history(application_id, created_at)'
+  );
+
+  await client.query("UPDATE partner_applications SET status = 'pending' WHERE status IS NULL");
+  await client.query("ALTER TABLE partner_applications ALTER COLUMN status SET NOT NULL");
+
+  await client.query(
+    `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, created_at)
+     SELECT id, NULL, 'pending', NULL, created_at
+     FROM partner_applications
+     WHERE source IS DISTINCT FROM 'stripe_payment'`
+  );
+
+  await client.query(
+    `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, reason, created_at)
+     SELECT
+       id,
+       CASE WHEN source = 'stripe_payment' THEN NULL ELSE 'pending' END,
+       status,
+       approved_by,
+       CASE WHEN status = 'rejected' THEN notes END,
+       COALESCE(approved_at, created_at)
+     FROM partner_applications
+     WHERE status <> 'pending'`
+  );
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE partner_applications ALTER COLUMN status DROP NOT NULL');
+  await client.query('DROP TABLE IF EXISTS application_status_history');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Application intake: normalized email / WhatsApp and the parsed audience size used for duplicate
+// checks, the review score with the flags behind it, and a log of submissions per IP for the rate
+// limit. Existing rows get their normalized email and WhatsApp; they keep no score.
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partner_applications
+       ADD COLUMN email_normalized VARCHAR(255),
+       ADD COLUMN whatsapp_normalized VARCHAR(50),
+       ADD COLUMN audience_count INT,
+       ADD COLUMN review_score INT,
+       ADD COLUMN review_flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+       ADD COLUMN submitted_ip VARCHAR(100)`
+  );
+
+  // Same rules as normalizeWhatsapp: digits only, no leading 00, and nothing under 7 digits
+  await client.query(
+    `UPDATE partner_applications
+     SET email_normalized = regexp_replace(LOWER(TRIM(email)), '\\+[^@]*@', '@'),
+         whatsapp_normalized = regexp_replace(regexp_replace(COALESCE(whatsapp, ''), '[^0-9]', '', 'g'), '^00', '')`
+  );
+  await client.query('UPDATE partner_applications SET whatsapp_normalized = NULL WHERE LENGTH(whatsapp_normalized) < 7');
+
+  await client.query('CREATE INDEX idx_partner_applications_email_normalized ON partner_applications(email_normalized)');
+  await client.query('CREATE INDEX idx_partner_applications_whatsapp_normalized ON partner_applications(whatsapp_normalized)');
+
+  await client.query(
+    `CREATE TABLE application_submissions (
+      id SERIAL PRIMARY KEY,
+      ip VARCHAR(100),
+      email_normalized VARCHAR(255),
+      outcome VARCHAR(30) NOT NULL,
+      application_id INT REFERENCES partner_applications(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_application_submissions_ip_created ON application_submissions(ip, created_at)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS application_submissions');
+  await client.query('DROP INDEX IF EXISTS idx_partner_applications_whatsapp_normalized');
+  await client.query('DROP INDEX IF EXISTS idx_partner_applications_email_normalized');
+  await client.query(
+    `ALTER TABLE partner_applications
+       DROP COLUMN IF EXISTS submitted_ip,
+       DROP COLUMN IF EXISTS review_flags,
+       DROP COLUMN IF EXISTS review_score,
+       DROP COLUMN IF EXISTS audience_count,
+       DROP COLUMN IF EXISTS whatsapp_normalized,
+       DROP COLUMN IF EXISTS email_normalized`
+  );
+}
+
+module.exports = { up, down };
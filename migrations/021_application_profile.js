@@ -0,0 +1,375 @@
+// Structured application profile: the ISO country code next to the country name, and the
+// platforms as [{ platform, url, audience }]. Existing rows are parsed with the same rules the
+// form uses: a recognisable country gets its code, an international WhatsApp number is rewritten
+// to E.164, and the platforms named in the free-text `platform` become entries (without a profile
+// URL; with the audience when only one platform is named). Whatever can't be parsed stays as it was.
+
+// The parsers below are copied from lib/applicationSchema.js as it was when this migration was
+// written, so later changes to the form don't change what the migration does to existing rows
+
+// ISO 3166-1 alpha-2
+const COUNTRIES = {
+  AD: 'Andorra',
+  AE: 'United Arab Emirates',
+  AF: 'Afghanistan',
+  AG: 'Antigua and Barbuda',
+  AI: 'Anguilla',
+  AL: 'Albania',
+  AM: 'Armenia',
+  AO: 'Angola',
+  AQ: 'Antarctica',
+  AR: 'Argentina',
+  AS: 'American Samoa',
+  AT: 'Austria',
+  AU: 'Australia',
+  AW: 'Aruba',
+  AX: 'Åland Islands',
+  AZ: 'Azerbaijan',
+  BA: 'Bosnia and Herzegovina',
+  BB: 'Barbados',
+  BD: 'Bangladesh',
+  BE: 'Belgium',
+  BF: 'Burkina Faso',
+  BG: 'Bulgaria',
+  BH: 'Bahrain',
+  BI: 'Burundi',
+  BJ: 'Benin',
+  BL: 'St. Barthélemy',
+  BM: 'Bermuda',
+  BN: 'Brunei',
+  BO: 'Bolivia',
+  BQ: 'Caribbean Netherlands',
+  BR: 'Brazil',
+  BS: 'Bahamas',
+  BT: 'Bhutan',
+  BV: 'Bouvet Island',
+  BW: 'Botswana',
+  BY: 'Belarus',
+  BZ: 'Belize',
+  CA: 'Canada',
+  CC: 'Cocos (Keeling) Islands',
+  CD: 'Congo (DRC)',
+  CF: 'Central African Republic',
+  CG: 'Congo',
+  CH: 'Switzerland',
+  CI: 'Côte d\'Ivoire',
+  CK: 'Cook Islands',
+  CL: 'Chile',
+  CM: 'Cameroon',
+  CN: 'China',
+  CO: 'Colombia',
+  CR: 'Costa Rica',
+  CU: 'Cuba',
+  CV: 'Cape Verde',
+  CW: 'Curaçao',
+  CX: 'Christmas Island',
+  CY: 'Cyprus',
+  CZ: 'Czechia',
+  DE: 'Germany',
+  DJ: 'Djibouti',
+  DK: 'Denmark',
+  DM: 'Dominica',
+  DO: 'Dominican Republic',
+  DZ: 'Algeria',
+  EC: 'Ecuador',
+  EE: 'Estonia',
+  EG: 'Egypt',
+  EH: 'Western Sahara',
+  ER: 'Eritrea',
+  ES: 'Spain',
+  ET: 'Ethiopia',
+  FI: 'Finland',
+  FJ: 'Fiji',
+  FK: 'Falkland Islands',
+  FM: 'Micronesia',
+  FO: 'Faroe Islands',
+  FR: 'France',
+  GA: 'Gabon',
+  GB: 'United Kingdom',
+  GD: 'Grenada',
+  GE: 'Georgia',
+  GF: 'French Guiana',
+  GG: 'Guernsey',
+  GH: 'Ghana',
+  GI: 'Gibraltar',
+  GL: 'Greenland',
+  GM: 'Gambia',
+  GN: 'Guinea',
+  GP: 'Guadeloupe',
+  GQ: 'Equatorial Guinea',
+  GR: 'Greece',
+  GS: 'South Georgia and South Sandwich Islands',
+  GT: 'Guatemala',
+  GU: 'Guam',
+  GW: 'Guinea-Bissau',
+  GY: 'Guyana',
+  HK: 'Hong Kong',
+  HM: 'Heard and McDonald Islands',
+  HN: 'Honduras',
+  HR: 'Croatia',
+  HT: 'Haiti',
+  HU: 'Hungary',
+  ID: 'Indonesia',
+  IE: 'Ireland',
+  IL: 'Israel',
+  IM: 'Isle of Man',
+  IN: 'India',
+  IO: 'British Indian Ocean Territory',
+  IQ: 'Iraq',
+  IR: 'Iran',
+  IS: 'Iceland',
+  IT: 'Italy',
+  JE: 'Jersey',
+  JM: 'Jamaica',
+  JO: 'Jordan',
+  JP: 'Japan',
+  KE: 'Kenya',
+  KG: 'Kyrgyzstan',
+  KH: 'Cambodia',
+  KI: 'Kiribati',
+  KM: 'Comoros',
+  KN: 'St. Kitts and Nevis',
+  KP: 'North Korea',
+  KR: 'South Korea',
+  KW: 'Kuwait',
+  KY: 'Cayman Islands',
+  KZ: 'Kazakhstan',
+  LA: 'Laos',
+  LB: 'Lebanon',
+  LC: 'St. Lucia',
+  LI: 'Liechtenstein',
+  LK: 'Sri Lanka',
+  LR: 'Liberia',
+  LS: 'Lesotho',
+  LT: 'Lithuania',
+  LU: 'Luxembourg',
+  LV: 'Latvia',
+  LY: 'Libya',
+  MA: 'Morocco',
+  MC: 'Monaco',
+  MD: 'Moldova',
+  ME: 'Montenegro',
+  MF: 'St. Martin',
+  MG: 'Madagascar',
+  MH: 'Marshall Islands',
+  MK: 'North Macedonia',
+  ML: 'Mali',
+  MM: 'Myanmar',
+  MN: 'Mongolia',
+  MO: 'Macao',
+  MP: 'Northern Mariana Islands',
+  MQ: 'Martinique',
+  MR: 'Mauritania',
+  MS: 'Montserrat',
+  MT: 'Malta',
+  MU: 'Mauritius',
+  MV: 'Maldives',
+  MW: 'Malawi',
+  MX: 'Mexico',
+  MY: 'Malaysia',
+  MZ: 'Mozambique',
+  NA: 'Namibia',
+  NC: 'New Caledonia',
+  NE: 'Niger',
+  NF: 'Norfolk Island',
+  NG: 'Nigeria',
+  NI: 'Nicaragua',
+  NL: 'Netherlands',
+  NO: 'Norway',
+  NP: 'Nepal',
+  NR: 'Nauru',
+  NU: 'Niue',
+  NZ: 'New Zealand',
+  OM: 'Oman',
+  PA: 'Panama',
+  PE: 'Peru',
+  PF: 'French Polynesia',
+  PG: 'Papua New Guinea',
+  PH: 'Philippines',
+  PK: 'Pakistan',
+  PL: 'Poland',
+  PM: 'St. Pierre and Miquelon',
+  PN: 'Pitcairn Islands',
+  PR: 'Puerto Rico',
+  PS: 'Palestinian Territories',
+  PT: 'Portugal',
+  PW: 'Palau',
+  PY: 'Paraguay',
+  QA: 'Qatar',
+  RE: 'Réunion',
+  RO: 'Romania',
+  RS: 'Serbia',
+  RU: 'Russia',
+  RW: 'Rwanda',
+  SA: 'Saudi Arabia',
+  SB: 'Solomon Islands',
+  SC: 'Seychelles',
+  SD: 'Sudan',
+  SE: 'Sweden',
+  SG: 'Singapore',
+  SH: 'St. Helena',
+  SI: 'Slovenia',
+  SJ: 'Svalbard and Jan Mayen',
+  SK: 'Slovakia',
+  SL: 'Sierra Leone',
+  SM: 'San Marino',
+  SN: 'Senegal',
+  SO: 'Somalia',
+  SR: 'Suriname',
+  SS: 'South Sudan',
+  ST: 'São Tomé and Príncipe',
+  SV: 'El Salvador',
+  SX: 'Sint Maarten',
+  SY: 'Syria',
+  SZ: 'Eswatini',
+  TC: 'Turks and Caicos Islands',
+  TD: 'Chad',
+  TF: 'French Southern Territories',
+  TG: 'Togo',
+  TH: 'Thailand',
+  TJ: 'Tajikistan',
+  TK: 'Tokelau',
+  TL: 'Timor-Leste',
+  TM: 'Turkmenistan',
+  TN: 'Tunisia',
+  TO: 'Tonga',
+  TR: 'Türkiye',
+  TT: 'Trinidad and Tobago',
+  TV: 'Tuvalu',
+  TW: 'Taiwan',
+  TZ: 'Tanzania',
+  UA: 'Ukraine',
+  UG: 'Uganda',
+  UM: 'U.S. Outlying Islands',
+  US: 'United States',
+  UY: 'Uruguay',
+  UZ: 'Uzbekistan',
+  VA: 'Vatican City',
+  VC: 'St. Vincent and Grenadines',
+  VE: 'Venezuela',
+  VG: 'British Virgin Islands',
+  VI: 'U.S. Virgin Islands',
+  VN: 'Vietnam',
+  VU: 'Vanuatu',
+  WF: 'Wallis and Futuna',
+  WS: 'Samoa',
+  YE: 'Yemen',
+  YT: 'Mayotte',
+  ZA: 'South Africa',
+  ZM: 'Zambia',
+  ZW: 'Zimbabwe'
+};
+
+// Platform keys and the words that name them in free text
+const PLATFORM_ALIASES = {
+  tiktok: ['tiktok', 'tik tok'],
+  instagram: ['instagram', 'insta', 'ig'],
+  youtube: ['youtube', 'yt'],
+  facebook: ['facebook', 'fb'],
+  x: ['twitter', 'x'],
+  whatsapp: ['whatsapp'],
+  telegram: ['telegram'],
+  linkedin: ['linkedin'],
+  website: ['website', 'blog']
+};
+
+const MAX_AUDIENCE = 2000000000;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// An ISO code or an English country name, in any case; null if it is neither
+function parseCountry(value) {
+  const input = text(value);
+  if (!input) return null;
+
+  const code = input.toUpperCase();
+  if (Object.prototype.hasOwnProperty.call(COUNTRIES, code)) return code;
+
+  const name = input.toLowerCase();
+  return Object.keys(COUNTRIES).find((key) => COUNTRIES[key].toLowerCase() === name) || null;
+}
+
+// E.164 (+ and 8 to 15 digits, no leading zero) from a number written with spaces, dashes,
+// brackets or a 00 prefix; null if it isn't an international number
+function parseWhatsapp(value) {
+  const compact = text(value).replace(/[\s().-]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{7,14}$/.test(compact) ? compact : null;
+}
+
+// The first number in free text such as "2,000 followers", "about 15k", "1.2M" or "5 000 - 10 000",
+// or null. Ranges give their lower end. For applications from before the structured form.
+function parseAudienceText(value) {
+  const input = String(value || '').toLowerCase();
+  const match = input.match(/(\d+(?:[.,\s]\d+)*)\s*(k|m|thousand|million)?\b/);
+  if (!match) return null;
+
+  const digits = match[1].trim();
+  const number = /^\d{1,3}([.,\s]\d{3})+$/.test(digits)
+    ? Number(digits.replace(/[.,\s]/g, ''))
+    : Number(digits.replace(/\s/g, '').replace(',', '.'));
+
+  const multiplier = { k: 1000, thousand: 1000, m: 1000000, million: 1000000 }[match[2]] || 1;
+  const count = Math.round(number * multiplier);
+
+  return Number.isFinite(count) && count <= MAX_AUDIENCE ? count : null;
+}
+
+// Platform keys named in free text such as "TikTok, IG and a blog"
+function detectPlatforms(value) {
+  const words = ` ${String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  return Object.keys(PLATFORM_ALIASES).filter((key) => PLATFORM_ALIASES[key].some((alias) => words.includes(` ${alias} `)));
+}
+
+async function up(client) {
+  await client.query(
+    `ALTER TABLE partner_applications
+       ADD COLUMN country_code VARCHAR(2),
+       ADD COLUMN platforms JSONB NOT NULL DEFAULT '[]'::jsonb`
+  );
+
+  const result = await client.query(
+    'SELECT id, country, whatsapp, platform, audience_size, audience_count FROM partner_applications'
+  );
+
+  for (const row of result.rows) {
+    const whatsapp = parseWhatsapp(row.whatsapp);
+    const audience = parseAudienceText(row.audience_size);
+    const platformKeys = detectPlatforms(row.platform);
+    const platforms = platformKeys.map((platform) => ({
+      platform,
+      url: null,
+      audience: platformKeys.length === 1 ? audience : null
+    }));
+
+    await client.query(
+      `UPDATE partner_applications
+       SET country_code = $2,
+           whatsapp = COALESCE($3, whatsapp),
+           whatsapp_normalized = COALESCE($4, whatsapp_normalized),
+           platforms = $5::jsonb,
+           audience_count = COALESCE(audience_count, $6)
+       WHERE id = $1`,
+      [
+        row.id,
+        parseCountry(row.country),
+        whatsapp,
+        whatsapp ? whatsapp.slice(1) : null,
+        JSON.stringify(platforms),
+        audience
+      ]
+    );
+  }
+}
+
+// Rewritten WhatsApp numbers stay in E.164
+async function down(client) {
+  await client.query(
+    `ALTER TABLE partner_applications
+       DROP COLUMN IF EXISTS platforms,
+       DROP COLUMN IF EXISTS country_code`
+  );
+}
+
+module.exports = { up, down };
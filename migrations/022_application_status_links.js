@@ -0,0 +1,41 @@
+// Applicant status links and application edits. A status link carries a random token (only its
+// SHA-256 is stored) that lets the applicant see their application and, while it is pending,
+// change their motivation and platforms. Every such change is a row in application_edits.
+
+async function up(client) {
+  await client.query(
+    `CREATE TABLE application_status_tokens (
+      id SERIAL PRIMARY KEY,
+      application_id INT NOT NULL REFERENCES partner_applications(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_application_status_tokens_application ON application_status_tokens(application_id, created_at)'
+  );
+
+  await client.query(
+    `CREATE TABLE application_edits (
+      id SERIAL PRIMARY KEY,
+      application_id INT NOT NULL REFERENCES partner_applications(id) ON DELETE CASCADE,
+      changes JSONB NOT NULL,
+      ip VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  await client.query(
+    'CREATE INDEX idx_application_edits_application ON application_edits(application_id, created_at)'
+  );
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS application_edits');
+  await client.query('DROP TABLE IF EXISTS application_status_tokens');
+}
+
+module.exports = { up, down };
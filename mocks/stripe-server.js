@@ -0,0 +1,106 @@
+// Serves recorded Stripe responses (mocks/fixtures/stripe.json) so fee and refund reconciliation
+// can be checked without a Stripe account. Read-only: only the endpoints the earnings sync uses.
+//
+//   npm run mock:stripe
+//
+// Then point the app at it in .env:
+//   STRIPE_SECRET_KEY=sk_test_mock
+//   STRIPE_API_URL=http://localhost:4020
+//
+// STRIPE_MOCK_FIXTURES loads a different recording. The fixture charges cover a domestic card, an
+// EUR charge settled in USD, a refund in the month after the sale, a partial refund in the same
+// month, a charge found by customer and amount, and a lost dispute. Tapfiliate conversions match
+// them through external_id (ch_..., pi_..., in_...) or customer id. The refunded charge belongs to
+// an invoice of subscription sub_PfxRefund03, for the charge.refunded membership check.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = Number(process.env.STRIPE_MOCK_PORT || '4020');
+const FIXTURES_PATH = process.env.STRIPE_MOCK_FIXTURES || path.join(__dirname, 'fixtures', 'stripe.json');
+
+const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+
+const app = express();
+
+app.use('/v1', (req, res, next) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return res.status(401).json({ error: { type: 'invalid_request_error', message: 'You did not provide an API key.' } });
+  }
+  next();
+});
+
+function list(req, data) {
+  const limit = Math.min(Number(req.query.limit) || 10, 100);
+  return { object: 'list', data: data.slice(0, limit), has_more: data.length > limit, url: req.path };
+}
+
+function retrieve(collection, objectName) {
+  return (req, res) => {
+    const object = (fixtures[collection] || []).find((o) => o.id === req.params.id);
+    if (!object) {
+      return res.status(404).json({
+        error: {
+          type: 'invalid_request_error',
+          code: 'resource_missing',
+          param: 'id',
+          message: `No such ${objectName}: '${req.params.id}'`
+        }
+      });
+    }
+    res.json(object);
+  };
+}
+
+function inRange(created, range) {
+  if (!range) return true;
+  if (range.gte && created < Number(range.gte)) return false;
+  if (range.lte && created > Number(range.lte)) return false;
+  return true;
+}
+
+app.get('/v1/charges', (req, res) => {
+  const charges = (fixtures.charges || [])
+    .filter((c) => !req.query.customer || c.customer === req.query.customer)
+    .filter((c) => inRange(c.created, req.query.created))
+    .sort((a, b) => b.created - a.created);
+  res.json(list(req, charges));
+});
+
+app.get('/v1/charges/:id', retrieve('charges', 'charge'));
+app.get('/v1/payment_intents/:id', retrieve('payment_intents', 'payment_intent'));
+app.get('/v1/balance_transactions/:id', retrieve('balance_transactions', 'balance_transaction'));
+
+app.get('/v1/invoices/:id', retrieve('invoices', 'invoice'));
+
+// By invoice (reconciliation) or by payment intent (refunds of a membership charge)
+app.get('/v1/invoice_payments', (req, res) => {
+  const paymentIntent = req.query.payment && req.query.payment.payment_intent;
+  res.json(list(req, (fixtures.invoice_payments || []).filter((p) => (paymentIntent
+    ? p.payment.payment_intent === paymentIntent
+    : p.invoice === req.query.invoice))));
+});
+
+app.get('/v1/refunds', (req, res) => {
+  res.json(list(req, (fixtures.refunds || []).filter((r) => !req.query.charge || r.charge === req.query.charge)));
+});
+
+app.get('/v1/disputes', (req, res) => {
+  res.json(list(req, (fixtures.disputes || []).filter((d) => !req.query.charge || d.charge === req.query.charge)));
+});
+
+app.use((req, res) => {
+  res.status(404).json({
+    error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${req.path}).` }
+  });
+});
+
+// scripts/check-fixtures.js starts it on a port of its own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Stripe fixture server on http://localhost:${PORT} (${FIXTURES_PATH})`);
+  });
+}
+
+module.exports = app;
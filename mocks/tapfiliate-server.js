@@ -0,0 +1,204 @@
+// Local stand-in for the Tapfiliate API so the approval and sync flows can be exercised offline.
+// State lives in memory, seeded from mocks/fixtures/tapfiliate.json (or TAPFILIATE_MOCK_FIXTURES).
+//
+//   npm run mock:tapfiliate
+//
+// Then point the app at it in .env:
+//   TAPFILIATE_API_URL=http://localhost:4030/1.6
+//   TAPFILIATE_API_KEY=mock-key
+//   TAPFILIATE_PROGRAM_ID=grove-intelligence-bureau-partners-program
+//
+// The fixture has affiliates in the program (ava@, cleo@), one that exists in Tapfiliate but not in
+// the program (ben@, so approving that email reuses it), and August 2026 conversions that match
+// the charges in the Stripe fixtures, plus one for an affiliate we have no partner for.
+//
+// Listings return TAPFILIATE_MOCK_PAGE_SIZE items per page (default 25) with a Link header.
+// TAPFILIATE_MOCK_RATE_LIMIT=n answers every nth request with 429 and Retry-After: 1.
+// POST /mock/fail { count } makes the next `count` requests fail with 500, to interrupt a sync.
+// GET /mock/state shows everything the mock holds.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = Number(process.env.TAPFILIATE_MOCK_PORT || '4030');
+const PAGE_SIZE = Math.max(Number(process.env.TAPFILIATE_MOCK_PAGE_SIZE) || 25, 1);
+const RATE_LIMIT_EVERY = Number(process.env.TAPFILIATE_MOCK_RATE_LIMIT || '0');
+const FIXTURES_PATH = process.env.TAPFILIATE_MOCK_FIXTURES || path.join(__dirname, 'fixtures', 'tapfiliate.json');
+const { TAPFILIATE_API_KEY } = process.env;
+
+const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+
+const affiliates = new Map((fixtures.affiliates || []).map((a) => [a.id, a]));
+// affiliate id -> { approved, created_at }; the mock has a single program
+const programAffiliates = new Map(
+  (fixtures.program_affiliates || []).map((p) => [p.affiliate, { approved: p.approved !== false, created_at: new Date().toISOString() }])
+);
+const conversions = fixtures.conversions || [];
+
+let sequence = 0;
+let requestCount = 0;
+let failNext = 0;
+
+function nextId(firstname) {
+  sequence += 1;
+  return `${String(firstname || 'affiliate').toLowerCase().replace(/[^a-z0-9]+/g, '')}-mock${sequence}`;
+}
+
+function error(res, status, message) {
+  return res.status(status).json({ errors: [{ message }] });
+}
+
+const app = express();
+app.use(express.json());
+
+app.get('/mock/state', (req, res) => {
+  res.json({
+    affiliates: [...affiliates.values()],
+    program_affiliates: Object.fromEntries(programAffiliates),
+    conversions: conversions.length
+  });
+});
+
+app.post('/mock/fail', (req, res) => {
+  failNext = Math.max(Number((req.body || {}).count) || 1, 0);
+  res.json({ fail_next: failNext });
+});
+
+app.use('/1.6', (req, res, next) => {
+  if (!req.headers['api-key'] || (TAPFILIATE_API_KEY && req.headers['api-key'] !== TAPFILIATE_API_KEY)) {
+    return error(res, 401, 'Invalid API key');
+  }
+
+  requestCount += 1;
+  if (RATE_LIMIT_EVERY > 0 && requestCount % RATE_LIMIT_EVERY === 0) {
+    res.set('Retry-After', '1');
+    return error(res, 429, 'Too many requests');
+  }
+
+  if (failNext > 0) {
+    failNext -= 1;
+    return error(res, 500, 'Mock failure');
+  }
+
+  next();
+});
+
+// Tapfiliate pages listings and links the next page while there is one
+function sendPage(req, res, list) {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const pages = Math.max(Math.ceil(list.length / PAGE_SIZE), 1);
+  const link = (n) => {
+    const query = new URLSearchParams({ ...req.query, page: String(n) });
+    return `<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query}>`;
+  };
+
+  const links = [`${link(1)}; rel="first"`, `${link(pages)}; rel="last"`];
+  if (page < pages) links.push(`${link(page + 1)}; rel="next"`);
+
+  res.set('Link', links.join(', '));
+  res.json(list.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE));
+}
+
+function withProgram(affiliate) {
+  const membership = programAffiliates.get(affiliate.id);
+  return {
+    ...affiliate,
+    affiliate: { id: affiliate.id, email: affiliate.email },
+    approved: membership.approved,
+    referral_link: { link: `https://grove.example/?ref=${affiliate.id}` },
+    created_at: membership.created_at
+  };
+}
+
+app.get('/1.6/affiliates/', (req, res) => {
+  const email = String(req.query.email || '').toLowerCase();
+  const list = [...affiliates.values()]
+    .filter((a) => !email || String(a.email).toLowerCase() === email)
+    .filter((a) => !req.query.program || programAffiliates.has(a.id));
+  sendPage(req, res, list);
+});
+
+app.post('/1.6/affiliates/', (req, res) => {
+  const { email, firstname, lastname } = req.body || {};
+  if (!email) {
+    return error(res, 400, 'email is required');
+  }
+  if ([...affiliates.values()].some((a) => String(a.email).toLowerCase() === String(email).toLowerCase())) {
+    return error(res, 409, 'An affiliate with this email already exists');
+  }
+
+  const affiliate = {
+    id: nextId(firstname),
+    firstname: firstname || '',
+    lastname: lastname || '',
+    email,
+    country: null,
+    created_at: new Date().toISOString()
+  };
+  affiliates.set(affiliate.id, affiliate);
+  res.status(201).json(affiliate);
+});
+
+app.get('/1.6/affiliates/:id/', (req, res) => {
+  const affiliate = affiliates.get(req.params.id);
+  if (!affiliate) return error(res, 404, 'Affiliate not found');
+  res.json(affiliate);
+});
+
+app.post('/1.6/programs/:program/affiliates/', (req, res) => {
+  const affiliateId = req.body && req.body.affiliate && req.body.affiliate.id;
+  const affiliate = affiliates.get(affiliateId);
+  if (!affiliate) {
+    return error(res, 400, 'Unknown affiliate');
+  }
+  if (programAffiliates.has(affiliateId)) {
+    return error(res, 409, 'Affiliate is already in this program');
+  }
+
+  programAffiliates.set(affiliateId, { approved: req.body.approved !== false, created_at: new Date().toISOString() });
+  res.status(201).json(withProgram(affiliate));
+});
+
+app.get('/1.6/programs/:program/affiliates/:id/', (req, res) => {
+  const affiliate = affiliates.get(req.params.id);
+  if (!affiliate || !programAffiliates.has(affiliate.id)) {
+    return error(res, 404, 'Affiliate not found in program');
+  }
+  res.json(withProgram(affiliate));
+});
+
+function setApproval(approved) {
+  return (req, res) => {
+    const membership = programAffiliates.get(req.params.id);
+    if (!membership) {
+      return error(res, 404, 'Affiliate not found in program');
+    }
+    membership.approved = approved;
+    res.status(204).end();
+  };
+}
+
+app.put('/1.6/programs/:program/affiliates/:id/approved/', setApproval(true));
+app.delete('/1.6/programs/:program/affiliates/:id/approved/', setApproval(false));
+
+app.get('/1.6/conversions/', (req, res) => {
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+  const list = conversions.filter((c) => {
+    const created = Date.parse(c.created_at);
+    return created >= from && created < to;
+  });
+  sendPage(req, res, list);
+});
+
+app.use((req, res) => error(res, 404, `No mock for ${req.method} ${req.path}`));
+
+// scripts/check-fixtures.js starts it on a port of its own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Tapfiliate mock on http://localhost:${PORT}/1.6 (${FIXTURES_PATH}, ${PAGE_SIZE} per page)`);
+  });
+}
+
+module.exports = app;
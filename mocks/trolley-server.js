@@ -0,0 +1,241 @@
+// Local stand-in for the Trolley API so the payout flow can be exercised offline.
+//
+//   npm run mock:trolley
+//
+// Then point the app at it in .env:
+//   TROLLEY_API_URL=http://localhost:4010
+//   TROLLEY_ACCESS_KEY=mock-access
+//   TROLLEY_SECRET_KEY=mock-secret
+//   TROLLEY_WEBHOOK_SECRET=mock-webhook-secret
+//   TROLLEY_MOCK_WEBHOOK_URL=http://localhost:3000/webhooks/trolley
+//
+// Payments settle TROLLEY_MOCK_SETTLE_MS after start-processing: "processed", or "failed" when the
+// recipient email contains "+fail". POST /mock/payments/:id/status { status } forces a status.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('../lib/fetch');
+
+const PORT = Number(process.env.TROLLEY_MOCK_PORT || '4010');
+const SETTLE_MS = Number(process.env.TROLLEY_MOCK_SETTLE_MS || '2000');
+const WEBHOOK_URL = process.env.TROLLEY_MOCK_WEBHOOK_URL;
+const { TROLLEY_ACCESS_KEY, TROLLEY_SECRET_KEY, TROLLEY_WEBHOOK_SECRET } = process.env;
+
+const recipients = new Map();
+const batches = new Map();
+const payments = new Map();
+let sequence = 0;
+
+function nextId(prefix) {
+  sequence += 1;
+  return `${prefix}-mock${String(sequence).padStart(6, '0')}`;
+}
+
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+
+// Check the prsign header the same way Trolley does, so signing bugs show up locally
+app.use('/v1', (req, res, next) => {
+  if (!TROLLEY_SECRET_KEY) return next();
+
+  const timestamp = req.headers['x-pr-timestamp'];
+  const expected = crypto
+    .createHmac('sha256', TROLLEY_SECRET_KEY)
+    .update(`${timestamp}\n${req.method}\n${req.originalUrl}\n${req.rawBody || ''}\n`)
+    .digest('hex');
+
+  if (req.headers.authorization !== `prsign ${TROLLEY_ACCESS_KEY}:${expected}`) {
+    return res.status(401).json({ ok: false, errors: [{ code: 'invalid_signature', message: 'Invalid signature' }] });
+  }
+
+  next();
+});
+
+function paginate(list, query) {
+  const page = Math.max(Number(query.page) || 1, 1);
+  const pageSize = Math.max(Number(query.pageSize) || 10, 1);
+  return {
+    items: list.slice((page - 1) * pageSize, page * pageSize),
+    meta: { page, pages: Math.max(Math.ceil(list.length / pageSize), 1), records: list.length }
+  };
+}
+
+function notFound(res, what) {
+  return res.status(404).json({ ok: false, errors: [{ code: 'not_found', message: `${what} not found` }] });
+}
+
+app.get('/v1/recipients', (req, res) => {
+  const term = String(req.query.search || '').toLowerCase();
+  const matches = [...recipients.values()].filter((r) => !term || r.email.toLowerCase().includes(term));
+  const { items, meta } = paginate(matches, req.query);
+  res.json({ ok: true, recipients: items, meta });
+});
+
+app.post('/v1/recipients', (req, res) => {
+  const { email, firstName, lastName, referenceId, type } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ ok: false, errors: [{ field: 'email', message: 'email is required' }] });
+  }
+
+  const recipient = {
+    id: nextId('R'),
+    type: type || 'individual',
+    email,
+    firstName: firstName || '',
+    lastName: lastName || '',
+    referenceId: referenceId || null,
+    status: 'active',
+    createdAt: new Date().toISOString()
+  };
+  recipients.set(recipient.id, recipient);
+  res.json({ ok: true, recipient });
+});
+
+app.get('/v1/recipients/:id', (req, res) => {
+  const recipient = recipients.get(req.params.id);
+  if (!recipient) return notFound(res, 'Recipient');
+  res.json({ ok: true, recipient });
+});
+
+app.post('/v1/batches', (req, res) => {
+  const { sourceCurrency, description, payments: requested = [] } = req.body || {};
+  const batch = {
+    id: nextId('B'),
+    status: 'open',
+    currency: sourceCurrency || 'USD',
+    description: description || '',
+    paymentIds: [],
+    createdAt: new Date().toISOString()
+  };
+
+  for (const p of requested) {
+    if (!recipients.has(p.recipient && p.recipient.id)) {
+      return res.status(400).json({ ok: false, errors: [{ field: 'recipient', message: 'Unknown recipient' }] });
+    }
+  }
+
+  requested.forEach((p) => addPayment(batch, p));
+  batches.set(batch.id, batch);
+  res.json({ ok: true, batch: serializeBatch(batch) });
+});
+
+app.post('/v1/batches/:id/payments', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) return notFound(res, 'Batch');
+  if (batch.status !== 'open') {
+    return res.status(400).json({ ok: false, errors: [{ code: 'invalid_status', message: 'Batch is not open' }] });
+  }
+  if (!recipients.has(req.body && req.body.recipient && req.body.recipient.id)) {
+    return res.status(400).json({ ok: false, errors: [{ field: 'recipient', message: 'Unknown recipient' }] });
+  }
+
+  res.json({ ok: true, payment: addPayment(batch, req.body) });
+});
+
+app.get('/v1/batches/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) return notFound(res, 'Batch');
+  res.json({ ok: true, batch: serializeBatch(batch) });
+});
+
+app.get('/v1/batches/:id/payments', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) return notFound(res, 'Batch');
+  const { items, meta } = paginate(batch.paymentIds.map((id) => payments.get(id)), req.query);
+  res.json({ ok: true, payments: items, meta });
+});
+
+app.post('/v1/batches/:id/start-processing', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) return notFound(res, 'Batch');
+  if (batch.status !== 'open') {
+    return res.status(400).json({ ok: false, errors: [{ code: 'invalid_status', message: 'Batch is not open' }] });
+  }
+
+  batch.status = 'processing';
+  for (const id of batch.paymentIds) {
+    payments.get(id).status = 'processing';
+  }
+
+  setTimeout(() => {
+    for (const id of batch.paymentIds) {
+      const payment = payments.get(id);
+      if (payment.status !== 'processing') continue;
+      setPaymentStatus(payment, payment.recipient.email.includes('+fail') ? 'failed' : 'processed');
+    }
+    batch.status = 'complete';
+  }, SETTLE_MS);
+
+  res.json({ ok: true, batch: serializeBatch(batch) });
+});
+
+// Test helper, not part of the real API
+app.post('/mock/payments/:id/status', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return notFound(res, 'Payment');
+  setPaymentStatus(payment, (req.body && req.body.status) || 'processed');
+  res.json({ ok: true, payment });
+});
+
+function addPayment(batch, p) {
+  const recipient = recipients.get(p.recipient.id);
+  const payment = {
+    id: nextId('P'),
+    batchId: batch.id,
+    recipient: { id: recipient.id, email: recipient.email },
+    status: 'pending',
+    sourceAmount: String(p.sourceAmount),
+    sourceCurrency: p.sourceCurrency || batch.currency,
+    memo: p.memo || '',
+    externalId: p.externalId || null
+  };
+  payments.set(payment.id, payment);
+  batch.paymentIds.push(payment.id);
+  return payment;
+}
+
+function serializeBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    currency: batch.currency,
+    description: batch.description,
+    createdAt: batch.createdAt,
+    payments: { payments: batch.paymentIds.map((id) => payments.get(id)) }
+  };
+}
+
+function setPaymentStatus(payment, status) {
+  payment.status = status;
+  console.log(`Payment ${payment.id} (${payment.externalId}) -> ${status}`);
+  sendWebhook({ model: 'payment', action: 'updated', body: { payment } });
+}
+
+async function sendWebhook(event) {
+  if (!WEBHOOK_URL) return;
+
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac('sha256', TROLLEY_WEBHOOK_SECRET || '')
+    .update(`${timestamp}${body}`)
+    .digest('hex');
+
+  try {
+    const res = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-PaymentRails-Signature': `t=${timestamp},v1=${signature}`
+      },
+      body
+    });
+    console.log(`Webhook ${event.model}.${event.action} -> ${res.status}`);
+  } catch (err) {
+    console.error('Mock Trolley webhook delivery failed:', err.message);
+  }
+}
+
+app.listen(PORT, () => {
+  console.log(`Mock Trolley API running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,216 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const statusMessageEl = document.getElementById('status-message');
+  const statusEl = document.getElementById('application-status');
+  const form = document.getElementById('application-edit-form');
+  const editMessageEl = document.getElementById('edit-message');
+  const saveBtn = document.getElementById('save-btn');
+  const platformList = document.getElementById('platform-list');
+  const editHistoryEl = document.getElementById('edit-history');
+
+  // Loaded from /js/application-schema.js, the same rules the server checks
+  const { COUNTRIES, PLATFORMS, validateApplication } = window.ApplicationSchema;
+
+  const STATUS_TEXT = {
+    pending: {
+      label: 'Pending',
+      explanation: "We've received your application and will start reviewing it soon. Until then you can update it below."
+    },
+    under_review: {
+      label: 'In review',
+      explanation: "We're reviewing your application. You'll hear from us by email once a decision has been made."
+    },
+    approved: {
+      label: 'Approved',
+      explanation: 'Welcome to the GIB Partner Program! Check your email for your partner details and sign in to the partner portal.'
+    },
+    rejected: {
+      label: 'Not approved',
+      explanation: "We weren't able to approve your application this time."
+    },
+    waitlisted: {
+      label: 'Waitlisted',
+      explanation: "We've put your application on our waitlist and will be in touch when a place opens up."
+    }
+  };
+
+  platformList.innerHTML = Object.keys(PLATFORMS).map((key) => `
+    <div class="platform-row">
+      <label>
+        <input type="checkbox" data-platform="${key}" />
+        <span>${PLATFORMS[key].label}</span>
+      </label>
+      <div>
+        <input type="url" id="platform-${key}-url" disabled
+          placeholder="${PLATFORMS[key].hosts ? `https://${PLATFORMS[key].hosts[0]}/...` : 'https://...'}" />
+        <p class="field-error" data-error-for="platforms.${key}.url"></p>
+      </div>
+      <div>
+        <input type="number" id="platform-${key}-audience" min="0" step="1" disabled placeholder="Followers" />
+        <p class="field-error" data-error-for="platforms.${key}.audience"></p>
+      </div>
+    </div>
+  `).join('');
+
+  function setPlatformEnabled(key, enabled) {
+    ['url', 'audience'].forEach((part) => {
+      document.getElementById(`platform-${key}-${part}`).disabled = !enabled;
+    });
+  }
+
+  platformList.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-platform');
+    if (!key) return;
+    setPlatformEnabled(key, e.target.checked);
+  });
+
+  function showMessage(el, text, type) {
+    el.textContent = text;
+    el.className = type ? `form-message ${type}` : 'form-message';
+  }
+
+  function inputFor(field) {
+    const platformField = field.match(/^platforms\.(\w+)\.(url|audience)$/);
+    if (platformField) return document.getElementById(`platform-${platformField[1]}-${platformField[2]}`);
+    return document.getElementById(field);
+  }
+
+  function showFieldErrors(errors) {
+    form.querySelectorAll('[data-error-for]').forEach((el) => {
+      el.textContent = errors[el.getAttribute('data-error-for')] || '';
+    });
+    form.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+
+    Object.keys(errors).forEach((field) => {
+      const input = inputFor(field);
+      if (input) input.classList.add('invalid');
+    });
+  }
+
+  function readPlatforms() {
+    return Array.from(platformList.querySelectorAll('[data-platform]:checked')).map((checkbox) => {
+      const key = checkbox.getAttribute('data-platform');
+      const audience = document.getElementById(`platform-${key}-audience`).value.trim();
+      return {
+        platform: key,
+        url: document.getElementById(`platform-${key}-url`).value.trim(),
+        audience: audience === '' ? null : Number(audience)
+      };
+    });
+  }
+
+  function fillEditForm(application) {
+    document.getElementById('motivation').value = application.motivation || '';
+
+    Object.keys(PLATFORMS).forEach((key) => {
+      const entry = (application.platforms || []).find((p) => p.platform === key);
+      platformList.querySelector(`[data-platform="${key}"]`).checked = Boolean(entry);
+      document.getElementById(`platform-${key}-url`).value = entry && entry.url ? entry.url : '';
+      document.getElementById(`platform-${key}-audience`).value =
+        entry && entry.audience !== null && entry.audience !== undefined ? entry.audience : '';
+      setPlatformEnabled(key, Boolean(entry));
+    });
+  }
+
+  function render(application) {
+    const text = STATUS_TEXT[application.status] || { label: application.status, explanation: '' };
+    const badge = document.getElementById('status-badge');
+    badge.textContent = text.label;
+    badge.className = `status-badge ${application.status}`;
+    document.getElementById('status-explanation').textContent = text.explanation;
+
+    const reasonEl = document.getElementById('status-reason');
+    reasonEl.hidden = !application.reason;
+    reasonEl.textContent = application.reason ? `Reason: ${application.reason}` : '';
+
+    document.getElementById('summary-name').textContent = application.name || '';
+    document.getElementById('summary-email').textContent = application.email || '';
+    document.getElementById('summary-country').textContent =
+      COUNTRIES[application.country_code] || application.country || '';
+    document.getElementById('summary-submitted').textContent = new Date(application.submitted_at).toLocaleString();
+    document.getElementById('summary-updated').textContent = new Date(application.updated_at).toLocaleString();
+
+    form.hidden = !application.can_edit;
+    if (application.can_edit) fillEditForm(application);
+
+    editHistoryEl.hidden = application.edits.length === 0;
+    document.getElementById('edit-list').innerHTML = application.edits.map((edit) => `
+      <li>${new Date(edit.created_at).toLocaleString()}: updated ${edit.fields.join(' and ')}</li>
+    `).join('');
+
+    statusEl.hidden = false;
+  }
+
+  async function load() {
+    if (!token) {
+      showMessage(statusMessageEl, 'This page needs the link from your confirmation email.', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/partner-application/status?token=${encodeURIComponent(token)}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error loading your application.');
+      }
+
+      showMessage(statusMessageEl, '');
+      render(data.application);
+    } catch (err) {
+      console.error('Status error:', err);
+      showMessage(statusMessageEl, err.message || 'Error loading your application.', 'error');
+    }
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showMessage(editMessageEl, '');
+
+    const payload = {
+      motivation: document.getElementById('motivation').value.trim(),
+      platforms: readPlatforms()
+    };
+
+    const { errors } = validateApplication(payload, { only: ['motivation', 'platforms'] });
+    showFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      showMessage(editMessageEl, 'Please correct the highlighted fields.', 'error');
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      const response = await fetch('/api/partner-application/status', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, ...payload })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        if (data.errors) showFieldErrors(data.errors);
+        // Reviewed in the meantime: show the current status instead of the form
+        if (response.status === 409) {
+          await load();
+          showMessage(statusMessageEl, data.message, 'error');
+          return;
+        }
+        throw new Error(data.message || 'Something went wrong. Please try again.');
+      }
+
+      render(data.application);
+      showMessage(editMessageEl, data.message, 'success');
+    } catch (err) {
+      console.error('Update error:', err);
+      showMessage(editMessageEl, err.message || 'Error updating your application.', 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  load();
+});
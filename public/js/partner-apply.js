@@ -3,6 +3,47 @@ document.addEventListener('DOMContentLoaded', () => {
   const messageEl = document.getElementById('form-message');
   const termsCheckbox = document.getElementById('terms');
   const submitBtn = document.getElementById('submit-btn');
+  const countrySelect = document.getElementById('country');
+  const platformList = document.getElementById('platform-list');
+
+  // Loaded from /js/application-schema.js, the same rules the server checks
+  const { COUNTRIES, PLATFORMS, validateApplication } = window.ApplicationSchema;
+
+  Object.keys(COUNTRIES)
+    .sort((a, b) => COUNTRIES[a].localeCompare(COUNTRIES[b]))
+    .forEach((code) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = COUNTRIES[code];
+      countrySelect.appendChild(option);
+    });
+
+  platformList.innerHTML = Object.keys(PLATFORMS).map((key) => `
+    <div class="platform-row">
+      <label>
+        <input type="checkbox" data-platform="${key}" />
+        <span>${PLATFORMS[key].label}</span>
+      </label>
+      <div>
+        <input type="url" id="platform-${key}-url" disabled
+          placeholder="${PLATFORMS[key].hosts ? `https://${PLATFORMS[key].hosts[0]}/...` : 'https://...'}" />
+        <p class="field-error" data-error-for="platforms.${key}.url"></p>
+      </div>
+      <div>
+        <input type="number" id="platform-${key}-audience" min="0" step="1" disabled placeholder="Followers" />
+        <p class="field-error" data-error-for="platforms.${key}.audience"></p>
+      </div>
+    </div>
+  `).join('');
+
+  platformList.addEventListener('change', (e) => {
+    const key = e.target.getAttribute('data-platform');
+    if (!key) return;
+
+    ['url', 'audience'].forEach((part) => {
+      document.getElementById(`platform-${key}-${part}`).disabled = !e.target.checked;
+    });
+  });
 
   if (termsCheckbox && submitBtn) {
     submitBtn.disabled = !termsCheckbox.checked;
@@ -12,30 +53,63 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Field name in the schema's errors -> the input to mark
+  function inputFor(field) {
+    const platformField = field.match(/^platforms\.(\w+)\.(url|audience)$/);
+    if (platformField) return document.getElementById(`platform-${platformField[1]}-${platformField[2]}`);
+    if (field === 'termsAccepted') return termsCheckbox;
+    return document.getElementById(field);
+  }
+
+  function showFieldErrors(errors) {
+    form.querySelectorAll('[data-error-for]').forEach((el) => {
+      el.textContent = errors[el.getAttribute('data-error-for')] || '';
+    });
+    form.querySelectorAll('.invalid').forEach((el) => el.classList.remove('invalid'));
+
+    Object.keys(errors).forEach((field) => {
+      const input = inputFor(field);
+      if (input) input.classList.add('invalid');
+    });
+  }
+
+  function readPlatforms() {
+    return Array.from(platformList.querySelectorAll('[data-platform]:checked')).map((checkbox) => {
+      const key = checkbox.getAttribute('data-platform');
+      const audience = document.getElementById(`platform-${key}-audience`).value.trim();
+      return {
+        platform: key,
+        url: document.getElementById(`platform-${key}-url`).value.trim(),
+        audience: audience === '' ? null : Number(audience)
+      };
+    });
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     messageEl.textContent = '';
     messageEl.className = 'form-message';
 
-    const termsAccepted = termsCheckbox ? termsCheckbox.checked : false;
-    if (!termsAccepted) {
-      messageEl.textContent = 'You must agree to the partnership terms to apply.';
-      messageEl.classList.add('error');
-      return;
-    }
-
     const payload = {
       name: document.getElementById('name').value.trim(),
       email: document.getElementById('email').value.trim(),
       whatsapp: document.getElementById('whatsapp').value.trim(),
-      country: document.getElementById('country').value.trim(),
-      audience: document.getElementById('audience').value.trim(),
-      platform: document.getElementById('platform').value.trim(),
+      country: countrySelect.value,
+      platforms: readPlatforms(),
       motivation: document.getElementById('motivation').value.trim(),
-      termsAccepted: true
+      website: document.getElementById('website').value,
+      termsAccepted: termsCheckbox ? termsCheckbox.checked : false
     };
 
+    const { errors } = validateApplication(payload);
+    showFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      messageEl.textContent = 'Please correct the highlighted fields.';
+      messageEl.classList.add('error');
+      return;
+    }
+
     try {
       const response = await fetch('/api/partner-application', {
         method: 'POST',
@@ -48,12 +122,22 @@ document.addEventListener('DOMContentLoaded', () => {
       const data = await response.json();
 
       if (!response.ok || !data.success) {
+        if (data.errors) showFieldErrors(data.errors);
         throw new Error(data.message || 'Something went wrong. Please try again.');
       }
 
       messageEl.textContent = data.message || 'Application submitted successfully.';
       messageEl.classList.add('success');
+      if (data.status_url) {
+        const link = document.createElement('a');
+        link.href = data.status_url;
+        link.textContent = 'Check or update your application';
+        messageEl.append(' ', link, ' (we have emailed you this link too).');
+      }
       form.reset();
+      platformList.querySelectorAll('input[type="url"], input[type="number"]').forEach((input) => {
+        input.disabled = true;
+      });
     } catch (err) {
       console.error('Application error:', err);
       messageEl.textContent = err.message || 'Error submitting application.';
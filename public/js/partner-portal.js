@@ -0,0 +1,289 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const SESSION_KEY = 'gibPartnerPortalToken';
+
+  const signinSection = document.getElementById('portal-signin');
+  const dashboardSection = document.getElementById('portal-dashboard');
+  const signinForm = document.getElementById('portal-signin-form');
+  const signinBtn = document.getElementById('portal-signin-btn');
+  const signinMessageEl = document.getElementById('portal-signin-message');
+  const signoutBtn = document.getElementById('portal-signout-btn');
+  const messageEl = document.getElementById('portal-message');
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatMoney(amount, currency) {
+    return `${Number(amount || 0).toFixed(2)} ${String(currency || '').toUpperCase()}`;
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString() : '–';
+  }
+
+  function formatPeriod(value) {
+    if (!value) return '–';
+    const d = new Date(value);
+    return d.toLocaleDateString(undefined, { year: 'numeric', month: 'long', timeZone: 'UTC' });
+  }
+
+  function setMessage(el, text, type) {
+    el.textContent = text || '';
+    el.className = 'form-message';
+    if (type) el.classList.add(type);
+  }
+
+  function showSignin(message, type) {
+    signinSection.hidden = false;
+    dashboardSection.hidden = true;
+    if (message) setMessage(signinMessageEl, message, type);
+  }
+
+  async function portalFetch(url, options = {}) {
+    const token = localStorage.getItem(SESSION_KEY);
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers || {});
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(url, Object.assign({}, options, { headers }));
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      localStorage.removeItem(SESSION_KEY);
+      showSignin(data.message || 'Please sign in again.', 'error');
+      throw new Error(data.message || 'Please sign in again.');
+    }
+
+    if (!response.ok || data.success === false) {
+      throw new Error(data.message || 'Something went wrong. Please try again.');
+    }
+
+    return data;
+  }
+
+  // Statements are files, so they are fetched with the session token and saved from a blob
+  async function downloadStatement(period, format) {
+    const token = localStorage.getItem(SESSION_KEY);
+    const response = await fetch(`/api/partner-portal/statement?period=${encodeURIComponent(period)}&format=${format}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        localStorage.removeItem(SESSION_KEY);
+        showSignin(data.message || 'Please sign in again.', 'error');
+      }
+      throw new Error(data.message || 'Could not download your statement. Please try again.');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `statement-${period}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function renderTable(headers, rows) {
+    return `
+      <table class="portal-table">
+        <thead><tr>${headers.map((h) => `<th>${h}</th>`).join('')}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+  }
+
+  function renderReferral(link) {
+    const el = document.getElementById('portal-referral');
+
+    if (!link) {
+      el.innerHTML = '<p class="portal-empty">Your referral link will appear here once your affiliate account is set up.</p>';
+      return;
+    }
+
+    el.innerHTML = `
+      <input type="text" id="portal-referral-link" value="${escapeHtml(link)}" readonly />
+      <button type="button" class="btn-secondary" id="portal-copy-btn">Copy</button>
+    `;
+
+    document.getElementById('portal-copy-btn').addEventListener('click', async () => {
+      const input = document.getElementById('portal-referral-link');
+      try {
+        await navigator.clipboard.writeText(input.value);
+      } catch (err) {
+        input.select();
+        document.execCommand('copy');
+      }
+      setMessage(messageEl, 'Referral link copied.', 'success');
+    });
+  }
+
+  function renderOverview(data) {
+    const { partner, application, balances, earnings, payouts } = data;
+
+    document.getElementById('portal-name').textContent = partner.name ? `Welcome, ${partner.name}` : 'Partner Portal';
+
+    const meta = [
+      partner.tier ? `Tier: ${partner.tier_label || partner.tier}` : null,
+      partner.status && partner.status !== 'active' ? `Account ${partner.status}` : null,
+      application ? `Application: ${application.status}` : null,
+      `Partner since ${formatDate(partner.created_at)}`
+    ].filter(Boolean);
+    document.getElementById('portal-meta').textContent = meta.join(' · ');
+
+    renderReferral(partner.referral_link);
+
+    document.getElementById('portal-balances').innerHTML = balances.length
+      ? renderTable(
+        ['Currency', 'Earned', 'Paid', 'In progress', 'Balance'],
+        balances.map((b) => `
+          <tr>
+            <td>${escapeHtml(String(b.currency).toUpperCase())}</td>
+            <td>${formatMoney(b.earned, b.currency)}</td>
+            <td>${formatMoney(b.paid, b.currency)}</td>
+            <td>${formatMoney(b.in_progress, b.currency)}</td>
+            <td><strong>${formatMoney(b.balance, b.currency)}</strong></td>
+          </tr>
+        `)
+      )
+      : '<p class="portal-empty">No commissions yet.</p>';
+
+    document.getElementById('portal-earnings').innerHTML = earnings.length
+      ? renderTable(
+        ['Month', 'Net revenue', 'Rate', 'Commission', 'Statement'],
+        earnings.map((e) => `
+          <tr>
+            <td>${formatPeriod(e.period)}</td>
+            <td>${formatMoney(e.net_revenue, e.currency)}</td>
+            <td>${e.commission_rate != null ? (Number(e.commission_rate) * 100).toFixed(1) + '%' : '–'}</td>
+            <td>${formatMoney(e.commission_amount, e.currency)}</td>
+            <td>
+              <button type="button" class="btn-secondary" data-statement-period="${String(e.period).slice(0, 7)}" data-statement-format="pdf">PDF</button>
+              <button type="button" class="btn-secondary" data-statement-period="${String(e.period).slice(0, 7)}" data-statement-format="csv">CSV</button>
+            </td>
+          </tr>
+        `)
+      )
+      : '<p class="portal-empty">No earnings recorded yet.</p>';
+
+    document.getElementById('portal-payouts').innerHTML = payouts.length
+      ? renderTable(
+        ['Period', 'Amount', 'Status', 'Updated'],
+        payouts.map((p) => `
+          <tr>
+            <td>${formatDate(p.period_start)} – ${formatDate(p.period_end)}</td>
+            <td>${formatMoney(p.amount, p.currency)}</td>
+            <td>${escapeHtml(p.status)}</td>
+            <td>${formatDate(p.updated_at || p.created_at)}</td>
+          </tr>
+        `)
+      )
+      : '<p class="portal-empty">No payouts yet.</p>';
+  }
+
+  async function loadOverview() {
+    try {
+      const data = await portalFetch('/api/partner-portal/overview');
+      signinSection.hidden = true;
+      dashboardSection.hidden = false;
+      renderOverview(data);
+    } catch (err) {
+      console.error('Portal error:', err);
+      if (!dashboardSection.hidden) setMessage(messageEl, err.message, 'error');
+    }
+  }
+
+  // The emailed link lands here with ?token=...; swap it for a session and drop it from the URL
+  async function redeemLinkToken(token) {
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+      const response = await fetch('/api/partner-portal/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'This sign-in link is invalid or has expired.');
+      }
+
+      localStorage.setItem(SESSION_KEY, data.token);
+      return true;
+    } catch (err) {
+      console.error('Portal sign-in error:', err);
+      showSignin(err.message, 'error');
+      return false;
+    }
+  }
+
+  signinForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setMessage(signinMessageEl, '');
+    signinBtn.disabled = true;
+
+    try {
+      const response = await fetch('/api/partner-portal/login-link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: document.getElementById('portal-email').value.trim() })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Something went wrong. Please try again.');
+      }
+
+      setMessage(signinMessageEl, data.message, 'success');
+    } catch (err) {
+      console.error('Portal sign-in error:', err);
+      setMessage(signinMessageEl, err.message, 'error');
+    } finally {
+      signinBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('portal-earnings').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-statement-period]');
+    if (!btn) return;
+
+    btn.disabled = true;
+    try {
+      await downloadStatement(btn.getAttribute('data-statement-period'), btn.getAttribute('data-statement-format'));
+    } catch (err) {
+      console.error('Statement download error:', err);
+      setMessage(messageEl, err.message, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  signoutBtn.addEventListener('click', async () => {
+    try {
+      await portalFetch('/api/partner-portal/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Portal sign-out error:', err);
+    }
+    localStorage.removeItem(SESSION_KEY);
+    showSignin('You have been signed out.', 'success');
+  });
+
+  (async () => {
+    const linkToken = new URLSearchParams(window.location.search).get('token');
+    if (linkToken && !(await redeemLinkToken(linkToken))) return;
+
+    if (localStorage.getItem(SESSION_KEY)) {
+      await loadOverview();
+    } else {
+      showSignin();
+    }
+  })();
+});
@@ -0,0 +1,158 @@
+const assert = require('assert');
+
+// Usage:
+//   npm test
+// Starts the Stripe and Tapfiliate mocks on free ports and runs the app's own client code against
+// the recorded fixtures in mocks/fixtures/: paging through Tapfiliate conversions (with a 429 on
+// the way), finding or creating an affiliate, and the Stripe side of reconciliation (the fee, and
+// the refund and dispute lines). Nothing here touches the database.
+
+// Read by the mocks and the clients when they are loaded, so set before requiring them
+Object.assign(process.env, {
+  TAPFILIATE_API_KEY: 'mock-key',
+  TAPFILIATE_PROGRAM_ID: 'check-fixtures',
+  TAPFILIATE_MOCK_PAGE_SIZE: '2',
+  TAPFILIATE_MOCK_RATE_LIMIT: '5',
+  STRIPE_SECRET_KEY: 'sk_test_mock'
+});
+
+const stripeMock = require('../mocks/stripe-server');
+const tapfiliateMock = require('../mocks/tapfiliate-server');
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Tapfiliate conversions from August 2026 in the shape of partner_conversions rows
+async function checkConversionPaging(tapfiliate, conversionCustomerId) {
+  const pages = [];
+  const conversions = [];
+
+  const lastPage = await tapfiliate.listConversions({
+    from: '2026-08-01T00:00:00Z',
+    to: '2026-09-01T00:00:00Z',
+    onPage: (items, page) => {
+      pages.push(page);
+      conversions.push(...items);
+    }
+  });
+
+  assert.deepStrictEqual(pages, [1, 2, 3, 4], 'every page of conversions is read');
+  assert.strictEqual(lastPage, 4);
+  assert.deepStrictEqual(
+    conversions.map((conv) => conv.id),
+    [910001, 910002, 910003, 910004, 910005, 910006, 910007],
+    'conversions come back once each, in order'
+  );
+
+  const resumed = [];
+  await tapfiliate.listConversions({
+    from: '2026-08-01T00:00:00Z',
+    to: '2026-09-01T00:00:00Z',
+    startPage: 3,
+    onPage: (items) => resumed.push(...items.map((conv) => conv.id))
+  });
+  assert.deepStrictEqual(resumed, [910005, 910006, 910007], 'a resumed listing starts at its page');
+
+  return conversions.map((conv) => ({
+    id: conv.id,
+    stripe_charge_id: null,
+    external_id: conv.external_id || null,
+    customer_id: conversionCustomerId(conv),
+    amount: conv.amount,
+    currency: conv.currency,
+    converted_at: conv.created_at
+  }));
+}
+
+async function checkAffiliates(tapfiliate) {
+  const existing = await tapfiliate.findOrCreateAffiliate({ email: 'BEN@example.com', name: 'Ben Okafor' });
+  assert.deepStrictEqual(existing, { id: 'ben-mock', created: false }, 'an affiliate outside the program is reused');
+
+  await tapfiliate.addAffiliateToProgram(existing.id);
+  assert.strictEqual(await tapfiliate.getReferralLink(existing.id), 'https://grove.example/?ref=ben-mock');
+
+  const created = await tapfiliate.findOrCreateAffiliate({ email: 'dana@example.com', name: 'Dana Osei' });
+  assert.strictEqual(created.created, true, 'a new email gets a new affiliate');
+
+  const again = await tapfiliate.findOrCreateAffiliate({ email: 'dana@example.com', name: 'Dana Osei' });
+  assert.deepStrictEqual(again, { id: created.id, created: false }, 'approving the same email twice reuses it');
+
+  assert.strictEqual(await tapfiliate.getProgramAffiliate(created.id), null, 'not in the program until added');
+}
+
+// Per conversion: the matched charge, the fee in the charge currency and the reversal lines
+async function checkReconciliation(stripe, reconciliation, conversions) {
+  const expected = {
+    910001: { charge: 'ch_3PfxDomestic01', fee: 1.72, lines: [] },
+    910002: { charge: 'ch_3PfxIntl02', fee: 2.6, lines: [] },
+    910003: { charge: 'ch_3PfxRefundedLater03', fee: 3.17, lines: [['refund', 're_3PfxRefundedLater03', -99]] },
+    910004: { charge: 'ch_3PfxPartialRefund04', fee: 1.72, lines: [['refund', 're_3PfxPartialRefund04', -20]] },
+    910005: { charge: 'ch_3PfxCustomer05', fee: 1.72, lines: [] },
+    910006: { charge: 'ch_3PfxDisputed06', fee: 3.17, lines: [['chargeback', 'txn_1PfxDisputeWithdrawal06', -114]] },
+    910007: null
+  };
+
+  for (const conversion of conversions) {
+    const charge = await reconciliation.findCharge(stripe, conversion, async () => false);
+    const want = expected[conversion.id];
+
+    if (!want) {
+      assert.strictEqual(charge, null, `conversion ${conversion.id} has no charge`);
+      continue;
+    }
+
+    assert.ok(charge, `conversion ${conversion.id} is matched`);
+    assert.strictEqual(charge.id, want.charge, `conversion ${conversion.id} is matched to ${want.charge}`);
+    assert.strictEqual(await reconciliation.chargeFee(stripe, charge), want.fee, `fee for ${charge.id}`);
+
+    const lines = await reconciliation.reversalLines(stripe, charge);
+    assert.deepStrictEqual(
+      lines.map((line) => [line.kind, line.stripeObjectId, line.amount]),
+      want.lines,
+      `reversal lines for ${charge.id}`
+    );
+  }
+
+  // A charge another conversion already has is passed over
+  const taken = await reconciliation.findCharge(
+    stripe,
+    conversions.find((conversion) => conversion.id === 910005),
+    async (chargeId) => chargeId === 'ch_3PfxCustomer05'
+  );
+  assert.strictEqual(taken, null, 'a taken charge is not matched twice');
+}
+
+async function main() {
+  const stripeServer = await listen(stripeMock);
+  const tapfiliateServer = await listen(tapfiliateMock);
+
+  try {
+    process.env.STRIPE_API_URL = `http://127.0.0.1:${stripeServer.address().port}`;
+    process.env.TAPFILIATE_API_URL = `http://127.0.0.1:${tapfiliateServer.address().port}/1.6`;
+
+    const tapfiliate = require('../lib/tapfiliate');
+    const { conversionCustomerId } = require('../lib/conversions');
+    const { stripe } = require('../lib/stripe');
+    const reconciliation = require('../lib/stripeReconciliation');
+
+    const conversions = await checkConversionPaging(tapfiliate, conversionCustomerId);
+    console.log('ok - Tapfiliate conversions are paged to the end');
+
+    await checkAffiliates(tapfiliate);
+    console.log('ok - affiliates are found or created once');
+
+    await checkReconciliation(stripe, reconciliation, conversions);
+    console.log('ok - Stripe fees, refunds and disputes reconcile against the fixtures');
+  } finally {
+    stripeServer.close();
+    tapfiliateServer.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Fixture check failed:', err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const readline = require('readline');
+const { pool } = require('../lib/db');
+const { ADMIN_ROLES, createAdminUser } = require('../lib/adminAuth');
+
+// Usage:
+//   node scripts/create-admin.js <email> <role> ["Full Name"]
+// Prompts for the password (or reads ADMIN_PASSWORD). Use this to create the first owner;
+// after that, owners can add admins from the dashboard.
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [email, role, name] = process.argv.slice(2);
+
+  if (!email || !role) {
+    throw new Error(`Usage: node scripts/create-admin.js <email> <${ADMIN_ROLES.join('|')}> ["Full Name"]`);
+  }
+
+  const password = process.env.ADMIN_PASSWORD || (await prompt('Password: '));
+  const admin = await createAdminUser({ email, name, role, password });
+
+  console.log(`Created ${admin.role} admin ${admin.email} (id ${admin.id}).`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Could not create admin:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
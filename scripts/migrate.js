@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { pool } = require('../lib/db');
+const { migrateUp, migrateDown, migrationStatus } = require('../lib/migrations');
+
+// Usage:
+//   node scripts/migrate.js up          apply all pending migrations
+//   node scripts/migrate.js down [n]    revert the last n migrations (default 1)
+//   node scripts/migrate.js status      list migrations and whether they are applied
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    const ran = await migrateUp(pool);
+    if (ran.length === 0) {
+      console.log('Database schema is up to date.');
+    }
+    for (const m of ran) {
+      console.log(`Applied ${m.version}_${m.name}`);
+    }
+    return;
+  }
+
+  if (command === 'down') {
+    const steps = arg ? Number(arg) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('down expects a positive number of steps.');
+    }
+
+    const reverted = await migrateDown(pool, steps);
+    if (reverted.length === 0) {
+      console.log('No applied migrations to revert.');
+    }
+    for (const m of reverted) {
+      console.log(`Reverted ${m.version}_${m.name}`);
+    }
+    return;
+  }
+
+  if (command === 'status') {
+    const rows = await migrationStatus(pool);
+    for (const m of rows) {
+      const when = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+      console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name} ${when}`.trim());
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}". Expected up, down, or status.`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Migration failed:', err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -2,62 +2,173 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
-const { Pool } = require('pg');
-const Stripe = require('stripe');
-
-// Lazy node-fetch import so we can use fetch reliably in Node
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const fetch = require('./lib/fetch');
+const { pool, withTransaction } = require('./lib/db');
+const { ServiceError } = require('./lib/errors');
+const { logAdminAction } = require('./lib/adminLogs');
+const {
+  createAdminUser,
+  updateAdminUser,
+  listAdminUsers,
+  loginAdmin,
+  getAdminForSession,
+  logoutAdmin
+} = require('./lib/adminAuth');
+const { listLockouts, beginLoginAttempt, finishLoginAttempt, clearLockout } = require('./lib/loginThrottle');
+const {
+  requestPortalLoginLink,
+  redeemPortalLoginToken,
+  getPartnerForSession,
+  logoutPartner,
+  getPortalOverview
+} = require('./lib/partnerPortal');
+const {
+  notifyApplicationReceived,
+  notifyApplicationStatusLink,
+  notifyApplicationApproved,
+  notifyApplicationRejected,
+  notifyPayoutBatchSent
+} = require('./lib/notifications');
+const {
+  buildPayoutBatch,
+  getPayoutBatch,
+  listPayoutBatches,
+  transitionPayoutBatch
+} = require('./lib/payouts');
+const { isTrolleyConfigured, isTrolleyWebhookConfigured, verifyWebhookSignature } = require('./lib/trolley');
+const {
+  ensureTrolleyRecipient,
+  ensureTrolleyRecipientForApplication,
+  submitPayoutBatchToTrolley,
+  applyTrolleyPaymentStatus,
+  refreshPayoutBatchFromTrolley
+} = require('./lib/trolleyPayouts');
+const { registerJobHandler, enqueueJob, startJobWorker, listJobs, retryJob } = require('./lib/jobs');
+const { stripe, stripeWebhookSecret } = require('./lib/stripe');
+const { isHandledStripeEvent, recordStripeEvent, processStripeEvent } = require('./lib/stripeEvents');
+const tapfiliate = require('./lib/tapfiliate');
+const { reconcilePartners } = require('./lib/partnerLinks');
+const {
+  listCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  resolveCommissionRate
+} = require('./lib/commissionRules');
+const { listTiers, updateTier, evaluatePartnerTiers, getTierProgress } = require('./lib/partnerTiers');
+const {
+  conversionAffiliateId,
+  upsertConversion,
+  summarizeConversions,
+  getEarningsConversions
+} = require('./lib/conversions');
+const { reconcileStripeConversions } = require('./lib/stripeReconciliation');
+const {
+  REPORTING_CURRENCY,
+  convertEarningsRow,
+  reportingTotals,
+  importFxCsv,
+  fetchFxRates,
+  validateRateRange,
+  listFxRates
+} = require('./lib/fx');
+const {
+  startSyncRun,
+  checkpointSyncRun,
+  startSyncRunHeartbeat,
+  finishSyncRun,
+  failSyncRun,
+  listSyncRuns
+} = require('./lib/syncRuns');
+const {
+  getSchedule,
+  updateSchedule,
+  runScheduledTask,
+  listScheduledRuns,
+  startScheduler
+} = require('./lib/scheduler');
+const {
+  parsePeriodParam,
+  isPeriodClosed,
+  closePeriod,
+  reopenPeriod,
+  listAccountingPeriods,
+  bookedAdjustments,
+  bookEarningsAdjustment
+} = require('./lib/accountingPeriods');
+const {
+  getPartnerStatement,
+  statementFilename,
+  renderStatementCsv,
+  renderStatementPdf,
+  writeStatementsZip
+} = require('./lib/statements');
+const { runListQuery } = require('./lib/listQuery');
+const {
+  screenApplication,
+  recordSubmission,
+  lockApplicationEmail,
+  rejectDuplicateApplication
+} = require('./lib/applicationIntake');
+const { COUNTRIES, PLATFORMS } = require('./lib/applicationSchema');
+const {
+  statusLinkPath,
+  issueStatusToken,
+  getApplicationStatus,
+  updateApplicationByToken
+} = require('./lib/applicationStatus');
+const {
+  APPLICATION_STATUSES,
+  APPLICATION_ACTIONS,
+  recordStatusChange,
+  transitionApplication,
+  getApplication
+} = require('./lib/applications');
 
 const app = express();
 const PORT = process.env.PORT;
 
-const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
-const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-const partnerPaymentLinkId = process.env.PARTNER_PAYMENT_LINK_ID; // e.g. plink_1SnHlRE9luIeYaIwoBVTCWDJ
-const stripe = stripeSecretKey ? Stripe(stripeSecretKey) : null;
+// Render (and most hosts) put one reverse proxy in front of us; trusting it makes req.ip the
+// real client address from X-Forwarded-For instead of the proxy's. Set TRUST_PROXY=false when
+// running without a proxy, or to a hop count / subnet list for other setups.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || '1'));
+
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
 
 // Optional: forward new partner emails to existing landing waitlist endpoint
 const LANDING_WAITLIST_URL = process.env.LANDING_WAITLIST_URL;
 
-// Tapfiliate configuration
-const TAPFILIATE_API_KEY = process.env.TAPFILIATE_API_KEY;
-const TAPFILIATE_PROGRAM_ID = process.env.TAPFILIATE_PROGRAM_ID;
-
-// Commission and fee configuration
-const GLOBAL_COMMISSION_RATE = Number(process.env.PARTNER_COMMISSION_RATE || '0.35');
-const STRIPE_FEE_PERCENT = Number(process.env.STRIPE_FEE_PERCENT || '0.029');
-const STRIPE_FEE_FIXED = Number(process.env.STRIPE_FEE_FIXED || '0.30');
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
+app.post('/api/partners/sync', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const summary = await syncPartnersFromTapfiliate({ triggeredBy: req.admin.email });
+    // The sync fills in emails for affiliates we only knew by id, so duplicates can be matched up now
+    summary.reconciled = await reconcilePartners({ adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, summary });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error syncing partners from Tapfiliate:', err);
+    return res.status(500).json({ success: false, message: 'Error syncing partners from Tapfiliate.' });
   }
 });
 
-app.post('/api/partners/sync', requireAdmin, async (req, res) => {
+app.post('/api/partners/reconcile', requireAdmin, requireRole('finance'), async (req, res) => {
   try {
-    const summary = await syncPartnersFromTapfiliate();
+    const summary = await reconcilePartners({ adminIdentifier: req.admin.email });
     return res.status(200).json({ success: true, summary });
   } catch (err) {
-    console.error('Error syncing partners from Tapfiliate:', err);
-    return res.status(500).json({ success: false, message: 'Error syncing partners from Tapfiliate.' });
+    console.error('Error reconciling partners:', err);
+    return res.status(500).json({ success: false, message: 'Error reconciling partners.' });
   }
 });
 
 app.get('/api/admin-logs/export', requireAdmin, async (req, res) => {
   try {
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
-
     const result = await pool.query(
       'SELECT * FROM admin_logs ORDER BY created_at DESC'
     );
@@ -69,27 +180,16 @@ app.get('/api/admin-logs/export', requireAdmin, async (req, res) => {
   }
 });
 
-app.delete('/api/admin-logs', requireAdmin, async (req, res) => {
+app.delete('/api/admin-logs', requireAdmin, requireRole('owner'), async (req, res) => {
   try {
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
-
     await pool.query('DELETE FROM admin_logs');
 
     // Optionally record that logs were cleared (will only appear in future logs)
-    await pool.query(
-      `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
-       VALUES ($1, $2, $3, $4)`,
-      ['admin', 'clear_logs', null, 'Admin logs cleared via admin UI']
-    );
+    await logAdminAction({
+      adminIdentifier: req.admin.email,
+      action: 'clear_logs',
+      details: 'Admin logs cleared via admin UI'
+    });
 
     return res.status(200).json({ success: true, message: 'All admin logs have been deleted.' });
   } catch (err) {
@@ -109,26 +209,15 @@ app.get('/api/partner-applications/export', requireAdmin, async (req, res) => {
   }
 });
 
-app.delete('/api/partner-applications', requireAdmin, async (req, res) => {
+app.delete('/api/partner-applications', requireAdmin, requireRole('owner'), async (req, res) => {
   try {
     await pool.query('DELETE FROM partner_applications');
 
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
-
-    await pool.query(
-      `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
-       VALUES ($1, $2, $3, $4)`,
-      ['admin', 'clear_all', null, 'All partner applications cleared via admin UI']
-    );
+    await logAdminAction({
+      adminIdentifier: req.admin.email,
+      action: 'clear_all',
+      details: 'All partner applications cleared via admin UI'
+    });
 
     return res.status(200).json({ success: true, message: 'All partner applications have been deleted.' });
   } catch (err) {
@@ -137,377 +226,230 @@ app.delete('/api/partner-applications', requireAdmin, async (req, res) => {
   }
 });
 
-const adminAttempts = {};
-
+// Runs as a `waitlist_forward` job; throws so the queue can retry
 async function forwardEmailToLanding(email) {
-  try {
-    if (!email) return;
-
-    if (!LANDING_WAITLIST_URL) {
-      console.warn('LANDING_WAITLIST_URL is not configured. Skipping waitlist forwarding.');
-      return;
-    }
+  if (!email) return;
 
-    const response = await fetch(LANDING_WAITLIST_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ email })
-    });
+  if (!LANDING_WAITLIST_URL) {
+    console.warn('LANDING_WAITLIST_URL is not configured. Skipping waitlist forwarding.');
+    return;
+  }
 
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      console.error('Landing waitlist endpoint responded with non-OK status:', response.status, text);
-    }
-  } catch (err) {
-    console.error('Error forwarding email to landing waitlist endpoint:', err);
+  const response = await fetch(LANDING_WAITLIST_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email })
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Landing waitlist endpoint responded with ${response.status}: ${text}`);
   }
 }
 
-async function createTapfiliateAffiliateForEmail({ email, name }) {
-  try {
-    if (!TAPFILIATE_API_KEY || !TAPFILIATE_PROGRAM_ID) {
-      console.warn('Tapfiliate not fully configured (missing API key or program id). Skipping automatic affiliate creation.');
-      return;
-    }
-
-    if (!email) {
-      console.warn('createTapfiliateAffiliateForEmail called without email, skipping');
-      return;
-    }
-
-    await ensureV2Tables();
-
-    const [firstname, ...rest] = (name || '').trim().split(' ');
-    const lastname = rest.join(' ');
-
-    const createPayload = {
-      email,
-      firstname: firstname || undefined,
-      lastname: lastname || undefined
-    };
-
-    const createRes = await fetch('https://api.tapfiliate.com/1.6/affiliates/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Api-Key': TAPFILIATE_API_KEY
-      },
-      body: JSON.stringify(createPayload)
-    });
+// Runs as a `tapfiliate_sync` job after an application is approved; throws so the queue can retry.
+// Safe to re-run: an affiliate created on an earlier attempt is reused.
+async function syncTapfiliateAffiliate(applicationId, adminIdentifier) {
+  if (!tapfiliate.isTapfiliateConfigured()) {
+    console.warn('Tapfiliate not fully configured (missing API key or program id). Skipping Tapfiliate sync.');
+    return;
+  }
 
-    if (!createRes.ok) {
-      const text = await createRes.text().catch(() => '');
-      console.error('Tapfiliate create affiliate from Stripe failed:', createRes.status, text);
-      return;
-    }
+  // Load the application so we have name + email and current tapfiliate_affiliate_id
+  const result = await pool.query(
+    `SELECT id, name, email, tapfiliate_affiliate_id
+     FROM partner_applications
+     WHERE id = $1`,
+    [applicationId]
+  );
 
-    const created = await createRes.json().catch(() => null);
-    if (!created || !created.id) {
-      console.error('Tapfiliate create affiliate from Stripe: missing id in response');
-      return;
-    }
+  if (result.rows.length === 0) {
+    console.warn('Tapfiliate sync: application not found for id', applicationId);
+    return;
+  }
 
-    const affiliateId = created.id;
+  const appRow = result.rows[0];
+  const { email, name } = appRow;
 
-    const progUrl = `https://api.tapfiliate.com/1.6/programs/${encodeURIComponent(TAPFILIATE_PROGRAM_ID)}/affiliates/`;
+  if (!email) {
+    console.warn('Tapfiliate sync: application has no email, skipping. id=', applicationId);
+    return;
+  }
 
-    const progRes = await fetch(progUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Api-Key': TAPFILIATE_API_KEY
-      },
-      body: JSON.stringify({ affiliate: { id: affiliateId }, approved: true })
-    });
+  let affiliateId = appRow.tapfiliate_affiliate_id;
 
-    if (!progRes.ok) {
-      const text = await progRes.text().catch(() => '');
-      console.error('Tapfiliate add affiliate from Stripe to program failed:', progRes.status, text);
-      return;
-    }
+  // Step 1: find the affiliate with this email, or create one, if we don't have one yet
+  if (!affiliateId) {
+    ({ id: affiliateId } = await tapfiliate.findOrCreateAffiliate({ email, name }));
 
     await pool.query(
-      `INSERT INTO partners (application_id, tapfiliate_affiliate_id)
-       VALUES ($1, $2)
-       ON CONFLICT (application_id) DO NOTHING`,
-      [null, affiliateId]
+      `UPDATE partner_applications
+       SET tapfiliate_affiliate_id = $1
+       WHERE id = $2`,
+      [affiliateId, applicationId]
     );
-  } catch (err) {
-    console.error('Error in createTapfiliateAffiliateForEmail:', err);
   }
-}
-
-async function syncTapfiliateAffiliate(applicationId) {
-  try {
-    if (!TAPFILIATE_API_KEY || !TAPFILIATE_PROGRAM_ID) {
-      console.warn('Tapfiliate not fully configured (missing API key or program id). Skipping Tapfiliate sync.');
-      return;
-    }
-
-    // Ensure the column for storing Tapfiliate affiliate id exists
-    await pool.query(
-      `ALTER TABLE partner_applications
-         ADD COLUMN IF NOT EXISTS tapfiliate_affiliate_id VARCHAR(255)`
-    );
 
-    // Load the application so we have name + email and current tapfiliate_affiliate_id
-    const result = await pool.query(
-      `SELECT id, name, email, tapfiliate_affiliate_id
-       FROM partner_applications
-       WHERE id = $1`,
-      [applicationId]
-    );
+  // Step 2: add affiliate to program and approve
+  await tapfiliate.addAffiliateToProgram(affiliateId);
 
-    if (result.rows.length === 0) {
-      console.warn('Tapfiliate sync: application not found for id', applicationId);
-      return;
-    }
+  // Log success in admin_logs for audit trail
+  await logAdminAction({
+    adminIdentifier,
+    action: 'tapfiliate_sync',
+    applicationId,
+    details: `Affiliate ${affiliateId} synced to program ${tapfiliate.TAPFILIATE_PROGRAM_ID}`
+  });
+}
 
-    const appRow = result.rows[0];
-    const { email, name } = appRow;
+// Background jobs. Side effects that talk to other services run through the job queue so that
+// failures are retried and end up visible on the admin Jobs tab instead of only in the logs.
+const NOTIFIERS = {
+  application_received: notifyApplicationReceived,
+  application_status_link: notifyApplicationStatusLink,
+  application_approved: notifyApplicationApproved,
+  application_rejected: notifyApplicationRejected,
+  payout_batch_sent: notifyPayoutBatchSent
+};
+
+registerJobHandler('tapfiliate_sync', async ({ applicationId, adminIdentifier }) => {
+  await syncTapfiliateAffiliate(applicationId, adminIdentifier);
+  // The approval email goes out once the affiliate exists, so it can include the referral link
+  await enqueueJob('email', { notification: 'application_approved', id: applicationId });
+});
 
-    if (!email) {
-      console.warn('Tapfiliate sync: application has no email, skipping. id=', applicationId);
-      return;
-    }
+registerJobHandler('stripe_event', ({ eventId }) => processStripeEvent(eventId));
 
-    let affiliateId = appRow.tapfiliate_affiliate_id;
+registerJobHandler('tier_evaluation', ({ triggeredBy }) => evaluatePartnerTiers({ triggeredBy }));
 
-    // Step 1: create affiliate if we don't have one yet
-    if (!affiliateId) {
-      const [firstname, ...rest] = (name || '').trim().split(' ');
-      const lastname = rest.join(' ');
+// Scheduled runs (see lib/scheduler.js); the scheduler is attributed as `scheduler`. Without
+// Tapfiliate there is nothing to sync, so the run is recorded as skipped rather than failing daily.
+const SCHEDULER_ACTOR = 'scheduler';
+const TAPFILIATE_NOT_CONFIGURED = { skipped: 'Tapfiliate is not configured.' };
 
-      const createPayload = {
-        email,
-        firstname: firstname || undefined,
-        lastname: lastname || undefined
-      };
+registerJobHandler('scheduled_partners_sync', ({ scheduledRunId }) => runScheduledTask(scheduledRunId, async () => {
+  if (!tapfiliate.isTapfiliateConfigured()) return TAPFILIATE_NOT_CONFIGURED;
 
-      const createRes = await fetch('https://api.tapfiliate.com/1.6/affiliates/', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Api-Key': TAPFILIATE_API_KEY
-        },
-        body: JSON.stringify(createPayload)
-      });
+  const summary = await syncPartnersFromTapfiliate({ triggeredBy: SCHEDULER_ACTOR });
+  summary.reconciled = await reconcilePartners({ adminIdentifier: SCHEDULER_ACTOR });
+  return summary;
+}));
 
-      if (!createRes.ok) {
-        const text = await createRes.text().catch(() => '');
-        console.error('Tapfiliate create affiliate failed:', createRes.status, text);
-        return;
-      }
+registerJobHandler('scheduled_earnings_sync', ({ scheduledRunId, runDate }) => runScheduledTask(
+  scheduledRunId,
+  () => (tapfiliate.isTapfiliateConfigured()
+    ? runScheduledEarningsSync(new Date(`${runDate}T00:00:00Z`))
+    : TAPFILIATE_NOT_CONFIGURED)
+));
 
-      const created = await createRes.json().catch(() => null);
-      if (!created || !created.id) {
-        console.error('Tapfiliate create affiliate: missing id in response');
-        return;
-      }
+registerJobHandler('fx_rates_fetch', ({ from, to, triggeredBy }) => fetchFxRates({ from, to, triggeredBy }));
 
-      affiliateId = created.id;
+registerJobHandler('waitlist_forward', ({ email }) => forwardEmailToLanding(email));
 
-      await pool.query(
-        `UPDATE partner_applications
-         SET tapfiliate_affiliate_id = $1
-         WHERE id = $2`,
-        [affiliateId, applicationId]
-      );
-    }
+registerJobHandler('trolley_recipient', ({ applicationId }) => ensureTrolleyRecipientForApplication(applicationId));
 
-    // Step 2: add affiliate to program and approve
-    const progUrl = `https://api.tapfiliate.com/1.6/programs/${encodeURIComponent(TAPFILIATE_PROGRAM_ID)}/affiliates/`;
+registerJobHandler('email', async ({ notification, id }) => {
+  const notify = NOTIFIERS[notification];
+  if (!notify) {
+    throw new Error(`Unknown notification: ${notification}`);
+  }
+  await notify(id);
+});
 
-    const progRes = await fetch(progUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Api-Key': TAPFILIATE_API_KEY
-      },
-      body: JSON.stringify({ affiliate: { id: affiliateId }, approved: true })
-    });
+async function upsertPartnerFromAffiliate(aff) {
+  const affiliateId = aff.id || aff.affiliate || aff.affiliate_id;
+  if (!affiliateId) return false;
 
-    if (!progRes.ok) {
-      const text = await progRes.text().catch(() => '');
-      console.error('Tapfiliate add affiliate to program failed:', progRes.status, text);
-      return;
-    }
+  const email = aff.email || (aff.user && aff.user.email) || null;
+  const firstname = aff.firstname || (aff.user && aff.user.first_name) || '';
+  const lastname = aff.lastname || (aff.user && aff.user.last_name) || '';
+  const name = `${firstname} ${lastname}`.trim() || null;
+  const country = aff.country || (aff.user && aff.user.country) || null;
 
-    // Log success in admin_logs for audit trail
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
+  try {
+    const result = await pool.query(
+      `INSERT INTO partners (
+         tapfiliate_affiliate_id,
+         name,
+         email,
+         country
+       )
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (tapfiliate_affiliate_id)
+       DO UPDATE SET
+         name = COALESCE(EXCLUDED.name, partners.name),
+         email = COALESCE(EXCLUDED.email, partners.email),
+         country = COALESCE(EXCLUDED.country, partners.country)
+       RETURNING id`,
+      [String(affiliateId), name, email, country]
     );
 
-    await pool.query(
-      `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
-       VALUES ($1, $2, $3, $4)`,
-      ['admin', 'tapfiliate_sync', applicationId, `Affiliate ${affiliateId} synced to program ${TAPFILIATE_PROGRAM_ID}`]
-    );
+    return result.rows.length > 0;
   } catch (err) {
-    console.error('Error syncing Tapfiliate affiliate:', err);
+    console.error('Error upserting partner from Tapfiliate affiliate', affiliateId, err);
+    return false;
   }
 }
 
-async function ensureV2Tables() {
-  try {
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS partners (
-        id SERIAL PRIMARY KEY,
-        application_id INT UNIQUE,
-        tapfiliate_affiliate_id VARCHAR(255),
-        trolley_recipient_id VARCHAR(255),
-        tier VARCHAR(50) DEFAULT 'basic',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
-
-    // Ensure we can upsert partners by Tapfiliate affiliate id
-    await pool.query(
-      `CREATE UNIQUE INDEX IF NOT EXISTS idx_partners_tapfiliate_affiliate_id
-       ON partners(tapfiliate_affiliate_id)`
-    );
-
-    // Ensure newer columns exist for direct Tapfiliate sync (without applications)
-    await pool.query(
-      `ALTER TABLE partners
-         ADD COLUMN IF NOT EXISTS name VARCHAR(255),
-         ADD COLUMN IF NOT EXISTS email VARCHAR(255),
-         ADD COLUMN IF NOT EXISTS country VARCHAR(100)`
-    );
+// Runs `fetchPages(startPage, onPage)` as a recorded sync run: each page is processed and then
+// checkpointed, so if the sync dies part-way the next one picks up after the last finished page.
+// A heartbeat keeps the run from looking stale while `finish` runs.
+// `onPage(items)` does the work for a page; `finish(itemsFetched)` resolves to the run's counts.
+async function runTapfiliateSync({ kind, period = null, triggeredBy = null, fetchPages, onPage, finish }) {
+  const { run, startPage } = await startSyncRun({ kind, period, triggeredBy });
+  const stopHeartbeat = startSyncRunHeartbeat(run);
+  let itemsFetched = run.items_fetched;
 
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS partner_earnings (
-        id SERIAL PRIMARY KEY,
-        partner_id INT REFERENCES partners(id),
-        period DATE NOT NULL,
-        currency VARCHAR(10) NOT NULL,
-        gross_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
-        net_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
-        commission_rate NUMERIC(5, 4) NOT NULL DEFAULT 0,
-        commission_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
-        source VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
+  try {
+    await fetchPages(startPage, async (items, page) => {
+      await onPage(items);
+      itemsFetched += items.length;
+      await checkpointSyncRun(run.id, { page, itemsFetched });
+    });
 
-    await pool.query(
-      `CREATE UNIQUE INDEX IF NOT EXISTS idx_partner_earnings_partner_period_currency
-       ON partner_earnings(partner_id, period, currency)`
-    );
+    const counts = await finish(itemsFetched);
+    await finishSyncRun(run.id, { itemsFetched, counts });
 
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS partner_payouts (
-        id SERIAL PRIMARY KEY,
-        partner_id INT REFERENCES partners(id),
-        amount NUMERIC(12, 2) NOT NULL,
-        currency VARCHAR(10) NOT NULL,
-        status VARCHAR(50) NOT NULL DEFAULT 'pending',
-        method VARCHAR(50) NOT NULL DEFAULT 'trolley',
-        period_start DATE,
-        period_end DATE,
-        trolley_payout_id VARCHAR(255),
-        notes TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
+    return { runId: run.id, resumedFromPage: startPage > 1 ? startPage : null, itemsFetched, counts };
   } catch (err) {
-    console.error('Error ensuring v2 tables exist:', err);
+    await failSyncRun(run.id, err).catch((failErr) => {
+      console.error('Error recording failed sync run', run.id, failErr);
+    });
+    throw err;
+  } finally {
+    stopHeartbeat();
   }
 }
 
-async function syncPartnersFromTapfiliate() {
-  if (!TAPFILIATE_API_KEY || !TAPFILIATE_PROGRAM_ID) {
+async function syncPartnersFromTapfiliate({ triggeredBy = null } = {}) {
+  if (!tapfiliate.isTapfiliateConfigured()) {
     throw new Error('Tapfiliate API not fully configured. Please set TAPFILIATE_API_KEY and TAPFILIATE_PROGRAM_ID.');
   }
 
-  await ensureV2Tables();
-
-  const allAffiliates = [];
-
-  // Simple pagination: fetch up to 10 pages of affiliates
-  for (let page = 1; page <= 10; page += 1) {
-    const url = new URL('https://api.tapfiliate.com/1.6/affiliates/');
-    url.searchParams.set('program', TAPFILIATE_PROGRAM_ID);
-    url.searchParams.set('page', String(page));
-
-    const res = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Api-Key': TAPFILIATE_API_KEY
-      }
-    });
-
-    if (!res.ok) {
-      const text = await res.text().catch(() => '');
-      console.error('Tapfiliate affiliates fetch failed:', res.status, text);
-      throw new Error('Failed to fetch affiliates from Tapfiliate.');
-    }
-
-    const pageData = await res.json().catch(() => []);
-    if (!Array.isArray(pageData) || pageData.length === 0) {
-      break;
-    }
-
-    allAffiliates.push(...pageData);
-
-    if (pageData.length < 50) {
-      break;
-    }
-  }
-
-  if (allAffiliates.length === 0) {
-    return { count: 0 };
-  }
-
   let upserted = 0;
 
-  for (const aff of allAffiliates) {
-    const affiliateId = aff.id || aff.affiliate || aff.affiliate_id;
-    if (!affiliateId) continue;
-
-    const email = aff.email || (aff.user && aff.user.email) || null;
-    const firstname = aff.firstname || (aff.user && aff.user.first_name) || '';
-    const lastname = aff.lastname || (aff.user && aff.user.last_name) || '';
-    const name = `${firstname} ${lastname}`.trim() || null;
-    const country = aff.country || (aff.user && aff.user.country) || null;
-
-    try {
-      const result = await pool.query(
-        `INSERT INTO partners (
-           tapfiliate_affiliate_id,
-           name,
-           email,
-           country
-         )
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (tapfiliate_affiliate_id)
-         DO UPDATE SET
-           name = COALESCE(EXCLUDED.name, partners.name),
-           email = COALESCE(EXCLUDED.email, partners.email),
-           country = COALESCE(EXCLUDED.country, partners.country)
-         RETURNING id`,
-        [String(affiliateId), name, email, country]
-      );
-
-      if (result.rows.length > 0) {
-        upserted += 1;
+  const result = await runTapfiliateSync({
+    kind: 'partners',
+    triggeredBy,
+    fetchPages: (startPage, onPage) => tapfiliate.listAffiliates({ startPage, onPage }),
+    onPage: async (affiliates) => {
+      for (const aff of affiliates) {
+        if (await upsertPartnerFromAffiliate(aff)) {
+          upserted += 1;
+        }
       }
-    } catch (err) {
-      console.error('Error upserting partner from Tapfiliate affiliate', affiliateId, err);
-    }
-  }
-
-  return { count: upserted };
+    },
+    finish: async (itemsFetched) => ({ affiliates: itemsFetched, upserted })
+  });
+
+  return {
+    run_id: result.runId,
+    resumed_from_page: result.resumedFromPage,
+    affiliates: result.itemsFetched,
+    count: upserted
+  };
 }
 
 async function upsertPartnerEarnings({
@@ -516,15 +458,37 @@ async function upsertPartnerEarnings({
   currency,
   grossRevenue,
   netRevenue,
-  commissionRate
+  commissionRate,
+  commissionRuleId = null,
+  conversionCount = 0,
+  source = 'manual_test'
 }) {
   try {
-    await ensureV2Tables();
-
     const rate = Number(commissionRate) || 0;
     const net = Number(netRevenue) || 0;
     const gross = Number(grossRevenue) || 0;
-    const commissionAmount = net * rate;
+    const conversions = Number(conversionCount) || 0;
+
+    // A closed month is never overwritten: any difference is booked in the next open month
+    if (await isPeriodClosed(period)) {
+      const { earnings, adjustment } = await bookEarningsAdjustment({
+        partnerId,
+        period,
+        currency,
+        grossRevenue: gross,
+        netRevenue: net,
+        commissionRate: rate,
+        commissionRuleId,
+        conversionCount: conversions,
+        source
+      });
+      return { ...(earnings || {}), locked: true, adjustment };
+    }
+
+    // Adjustments booked while the month was closed (it has since been reopened) already count
+    // towards its total, so the month's own row holds the rest
+    const booked = await bookedAdjustments({ partnerId, period, currency });
+    const commissionAmount = net * rate - booked.commission;
 
     const result = await pool.query(
       `INSERT INTO partner_earnings (
@@ -535,56 +499,45 @@ async function upsertPartnerEarnings({
          net_revenue,
          commission_rate,
          commission_amount,
+         commission_rule_id,
+         conversion_count,
          source
        )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       ON CONFLICT (partner_id, period, currency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (partner_id, period, currency) WHERE entry_type = 'sync'
        DO UPDATE SET
          gross_revenue = EXCLUDED.gross_revenue,
          net_revenue = EXCLUDED.net_revenue,
          commission_rate = EXCLUDED.commission_rate,
          commission_amount = EXCLUDED.commission_amount,
+         commission_rule_id = EXCLUDED.commission_rule_id,
+         conversion_count = EXCLUDED.conversion_count,
          source = EXCLUDED.source
        RETURNING *`,
       [
         partnerId,
         period,
         currency,
-        gross,
-        net,
+        gross - booked.gross,
+        net - booked.net,
         rate,
         commissionAmount,
-        'manual_test'
+        commissionRuleId,
+        conversions - booked.conversions,
+        source
       ]
     );
 
-    return result.rows[0];
+    // Reporting-currency amounts at the rate for the end of the month
+    return convertEarningsRow(result.rows[0]);
   } catch (err) {
     console.error('Error upserting partner earnings:', err);
     throw err;
   }
 }
 
-async function syncPartnerEarningsFromTapfiliate(periodYm) {
-  if (!TAPFILIATE_API_KEY || !TAPFILIATE_PROGRAM_ID) {
-    throw new Error('Tapfiliate API not fully configured. Please set TAPFILIATE_API_KEY and TAPFILIATE_PROGRAM_ID.');
-  }
-
-  // Expect periodYm like '2025-01'
-  if (!/^\d{4}-\d{2}$/.test(periodYm)) {
-    throw new Error('Invalid period format. Expected YYYY-MM.');
-  }
-
-  const [yearStr, monthStr] = periodYm.split('-');
-  const year = Number(yearStr);
-  const month = Number(monthStr); // 1-12
-
-  const periodStart = new Date(Date.UTC(year, month - 1, 1));
-  const periodEnd = new Date(Date.UTC(year, month, 1)); // first day of next month
-
-  // Load partners with Tapfiliate affiliate IDs to map conversions -> partners
-  await ensureV2Tables();
-
+// Tapfiliate affiliate id -> partner id
+async function loadAffiliatePartnerMap() {
   const partnersRes = await pool.query(
     `SELECT id, tapfiliate_affiliate_id
      FROM partners
@@ -598,102 +551,16 @@ async function syncPartnerEarningsFromTapfiliate(periodYm) {
     }
   }
 
-  // If no partners are wired to Tapfiliate yet, nothing to do
-  if (Object.keys(affiliateToPartner).length === 0) {
-    return { period: periodYm, totals: [], note: 'No partners with tapfiliate_affiliate_id found.' };
-  }
-
-  // Fetch conversions from Tapfiliate within the period. We keep pagination simple for now.
-  const fromIso = periodStart.toISOString();
-  const toIso = periodEnd.toISOString();
-
-  const allConversions = [];
-
-  for (let page = 1; page <= 5; page += 1) {
-    const url = new URL('https://api.tapfiliate.com/1.6/conversions/');
-    url.searchParams.set('program', TAPFILIATE_PROGRAM_ID);
-    url.searchParams.set('from', fromIso);
-    url.searchParams.set('to', toIso);
-    url.searchParams.set('page', String(page));
-
-    const res = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Api-Key': TAPFILIATE_API_KEY
-      }
-    });
-
-    if (!res.ok) {
-      const text = await res.text().catch(() => '');
-      console.error('Tapfiliate conversions fetch failed:', res.status, text);
-      throw new Error('Failed to fetch conversions from Tapfiliate.');
-    }
-
-    const pageData = await res.json().catch(() => []);
-    if (!Array.isArray(pageData) || pageData.length === 0) {
-      break;
-    }
-
-    allConversions.push(...pageData);
-
-    // If results are less than a typical page size (default 50), we can assume we're done
-    if (pageData.length < 50) {
-      break;
-    }
-  }
-
-  if (allConversions.length === 0) {
-    return { period: periodYm, totals: [], note: 'No conversions found for this period.' };
-  }
-
-  // Aggregate by partner + currency
-  const bucket = {};
-
-  for (const conv of allConversions) {
-    const affiliate = conv.affiliate || conv.affiliate_program || conv.affiliate_program_affiliate || null;
-    const affiliateId = affiliate && (affiliate.id || affiliate.affiliate || affiliate.affiliate_id);
-
-    if (!affiliateId) {
-      continue;
-    }
-
-    const partnerId = affiliateToPartner[String(affiliateId)];
-    if (!partnerId) {
-      // Conversion for an affiliate we don't know about yet
-      continue;
-    }
-
-    const gross = Number(conv.amount || conv.commission_amount || 0);
-    if (!gross || Number.isNaN(gross) || gross <= 0) {
-      continue;
-    }
-
-    const currency = (conv.currency || (conv.commission && conv.commission.currency) || 'usd').toLowerCase();
-
-    // Estimate Stripe fees so we can calculate net
-    const fee = gross * STRIPE_FEE_PERCENT + STRIPE_FEE_FIXED;
-    const net = Math.max(gross - fee, 0);
-
-    const key = `${partnerId}:${currency}`;
-    if (!bucket[key]) {
-      bucket[key] = {
-        partnerId,
-        currency,
-        gross: 0,
-        net: 0
-      };
-    }
-
-    bucket[key].gross += gross;
-    bucket[key].net += net;
-  }
+  return affiliateToPartner;
+}
 
-  const periodDate = `${periodYm}-01`;
+// Rebuilds the month's earnings rows from the conversion ledger
+async function upsertEarningsFromLedger(periodDate) {
   const totals = [];
 
-  for (const key of Object.keys(bucket)) {
-    const { partnerId, currency, gross, net } = bucket[key];
+  for (const { partnerId, currency, gross, net, conversions } of await summarizeConversions(periodDate)) {
+    // Volume rules look at the partner's whole month in this currency, which is what this total is
+    const { rate, rule } = await resolveCommissionRate({ partnerId, period: periodDate, currency, netRevenue: net });
 
     const row = await upsertPartnerEarnings({
       partnerId,
@@ -701,7 +568,10 @@ async function syncPartnerEarningsFromTapfiliate(periodYm) {
       currency,
       grossRevenue: gross,
       netRevenue: net,
-      commissionRate: GLOBAL_COMMISSION_RATE
+      commissionRate: rate,
+      commissionRuleId: rule ? rule.id : null,
+      conversionCount: conversions,
+      source: 'tapfiliate'
     });
 
     totals.push({
@@ -709,54 +579,180 @@ async function syncPartnerEarningsFromTapfiliate(periodYm) {
       currency,
       gross,
       net,
-      commission_rate: GLOBAL_COMMISSION_RATE,
-      commission_amount: row.commission_amount
+      commission_rate: rate,
+      commission_rule_id: rule ? rule.id : null,
+      conversions,
+      commission_amount: row.commission_amount,
+      locked: Boolean(row.locked),
+      adjustment: row.adjustment
+        ? { period: row.adjustment.period, commission_amount: row.adjustment.commission_amount }
+        : null
     });
   }
 
-  return { period: periodYm, totals };
+  return totals;
 }
 
-function requireAdmin(req, res, next) {
-  const key = req.ip || 'global';
-  const now = Date.now();
-  const windowMs = 2 * 60 * 60 * 1000; // 2 hours
+async function syncPartnerEarningsFromTapfiliate(periodYm, { triggeredBy = null } = {}) {
+  if (!tapfiliate.isTapfiliateConfigured()) {
+    throw new Error('Tapfiliate API not fully configured. Please set TAPFILIATE_API_KEY and TAPFILIATE_PROGRAM_ID.');
+  }
 
-  if (!adminAttempts[key]) {
-    adminAttempts[key] = { count: 0, lockedUntil: 0 };
+  // Expect periodYm like '2025-01'
+  if (!/^\d{4}-\d{2}$/.test(periodYm)) {
+    throw new Error('Invalid period format. Expected YYYY-MM.');
   }
 
-  const record = adminAttempts[key];
+  const [yearStr, monthStr] = periodYm.split('-');
+  const year = Number(yearStr);
+  const month = Number(monthStr); // 1-12
+
+  const periodStart = new Date(Date.UTC(year, month - 1, 1));
+  const periodEnd = new Date(Date.UTC(year, month, 1)); // first day of next month
 
-  if (record.lockedUntil && now < record.lockedUntil) {
-    return res.status(429).json({
-      success: false,
-      message: 'Too many failed admin attempts. Access is locked for 2 hours.'
-    });
+  const periodDate = `${periodYm}-01`;
+  const affiliateToPartner = await loadAffiliatePartnerMap();
+  let totals = [];
+  let stripeSummary = null;
+
+  // Every conversion goes into the ledger as its page comes in, including ones for affiliates we
+  // don't know yet (a later sync links them once the partner exists). Because the ledger holds
+  // everything already fetched, a resumed run only needs the remaining pages before summarizing.
+  const result = await runTapfiliateSync({
+    kind: 'earnings',
+    period: periodDate,
+    triggeredBy,
+    fetchPages: (startPage, onPage) => tapfiliate.listConversions({
+      from: periodStart.toISOString(),
+      to: periodEnd.toISOString(),
+      startPage,
+      onPage
+    }),
+    onPage: async (conversions) => {
+      for (const conv of conversions) {
+        const affiliateId = conversionAffiliateId(conv);
+        await upsertConversion(conv, {
+          period: periodDate,
+          partnerId: affiliateId ? affiliateToPartner[affiliateId] : null
+        });
+      }
+    },
+    finish: async (itemsFetched) => {
+      // Actual fees for this month's conversions, and refunds/chargebacks on recent months' conversions
+      stripeSummary = await reconcileStripeConversions({ period: periodDate });
+      totals = await upsertEarningsFromLedger(periodDate);
+      return { conversions: itemsFetched, partners: totals.length, stripe: stripeSummary };
+    }
+  });
+
+  const summary = {
+    run_id: result.runId,
+    resumed_from_page: result.resumedFromPage,
+    period: periodYm,
+    totals,
+    stripe: stripeSummary
+  };
+  if (result.itemsFetched === 0) {
+    summary.note = 'No conversions found for this period.';
+  }
+
+  return summary;
+}
+
+// Syncs the current month and, until it is closed, the previous one. Once `close_grace_days` of
+// the current month have passed, the previous month gets a last sync and is closed.
+async function runScheduledEarningsSync(runDate) {
+  const schedule = await getSchedule();
+  const year = runDate.getUTCFullYear();
+  const month = runDate.getUTCMonth();
+  const current = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+  const previous = new Date(Date.UTC(year, month - 1, 1)).toISOString().slice(0, 7);
+  const summary = { synced: [], closed: null };
+
+  const describe = (result) => ({
+    period: result.period,
+    run_id: result.run_id,
+    partners: result.totals.length,
+    note: result.note || null
+  });
+
+  if (!(await isPeriodClosed(`${previous}-01`))) {
+    summary.synced.push(describe(await syncPartnerEarningsFromTapfiliate(previous, { triggeredBy: SCHEDULER_ACTOR })));
+
+    if (runDate.getUTCDate() > schedule.close_grace_days) {
+      await closePeriod(`${previous}-01`, { adminIdentifier: SCHEDULER_ACTOR });
+      summary.closed = previous;
+    }
+  }
+
+  summary.synced.push(describe(await syncPartnerEarningsFromTapfiliate(current, { triggeredBy: SCHEDULER_ACTOR })));
+
+  // New earnings can move partners between tiers
+  await enqueueJob('tier_evaluation', { triggeredBy: SCHEDULER_ACTOR });
+
+  return summary;
+}
+
+// Admin requests carry the session token from POST /api/admin/login as a Bearer token
+async function requireAdmin(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    const admin = await getAdminForSession(token);
+
+    if (!admin) {
+      return res.status(401).json({ success: false, message: 'Unauthorized. Please sign in again.' });
+    }
+
+    req.admin = admin;
+    req.adminToken = token;
+    next();
+  } catch (err) {
+    console.error('Error checking admin session:', err);
+    return res.status(500).json({ success: false, message: 'Error checking admin session.' });
   }
+}
 
+// Partner portal requests carry the session token from POST /api/partner-portal/session
+async function requirePartner(req, res, next) {
   const authHeader = req.headers.authorization || '';
   const token = authHeader.replace('Bearer ', '');
 
-  if (!token || token !== process.env.ADMIN_API_TOKEN) {
-    record.count += 1;
+  try {
+    const partner = await getPartnerForSession(token);
 
-    if (record.count >= 3) {
-      record.lockedUntil = now + windowMs;
+    if (!partner) {
+      return res.status(401).json({ success: false, message: 'Please sign in again.' });
     }
 
-    return res.status(401).json({ success: false, message: 'Unauthorized. Invalid admin token.' });
+    req.partner = partner;
+    req.partnerToken = token;
+    next();
+  } catch (err) {
+    console.error('Error checking partner session:', err);
+    return res.status(500).json({ success: false, message: 'Error checking partner session.' });
   }
+}
 
-  adminAttempts[key] = { count: 0, lockedUntil: 0 };
+// Owners can do everything; other roles only what is listed for the route
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.admin && (req.admin.role === 'owner' || roles.includes(req.admin.role))) {
+      return next();
+    }
 
-  next();
+    return res.status(403).json({
+      success: false,
+      message: 'Your admin role does not allow this action.'
+    });
+  };
 }
 
 // Middleware
 app.use(cors());
 
-// Stripe webhook for automatic partner creation on successful checkout
+// Stripe webhook: partner membership lifecycle (checkout, failed payments, cancellations, refunds, disputes)
 app.post('/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
   if (!stripe || !stripeWebhookSecret) {
     return res.status(500).send('Stripe not configured');
@@ -772,22 +768,57 @@ app.post('/webhooks/stripe', express.raw({ type: 'application/json' }), async (r
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    if (partnerPaymentLinkId && session.payment_link && session.payment_link !== partnerPaymentLinkId) {
-      // This checkout is for a different product/payment link; ignore for partner creation
-      return res.json({ received: true });
-    }
+  if (!isHandledStripeEvent(event.type)) {
+    return res.json({ received: true });
+  }
+
+  try {
+    // Stripe retries deliver the same event id; only the first one is queued
+    const isNew = await withTransaction(async (client) => {
+      const recorded = await recordStripeEvent(event, client);
+      if (recorded) {
+        await enqueueJob('stripe_event', { eventId: event.id }, { db: client });
+      }
+      return recorded;
+    });
+
+    return res.json({ received: true, duplicate: !isNew });
+  } catch (err) {
+    // Not acknowledged, so Stripe retries the webhook
+    console.error('Error recording Stripe webhook event:', err);
+    return res.status(500).send('Error recording event');
+  }
+});
+
+// Trolley webhook: payment status updates for payouts we submitted
+app.post('/webhooks/trolley', express.raw({ type: 'application/json' }), async (req, res) => {
+  if (!isTrolleyWebhookConfigured()) {
+    return res.status(500).send('Trolley webhooks not configured');
+  }
+
+  const rawBody = req.body.toString('utf8');
+
+  if (!verifyWebhookSignature(rawBody, req.headers['x-paymentrails-signature'])) {
+    console.error('Trolley webhook signature verification failed');
+    return res.status(400).send('Webhook Error: invalid signature');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (err) {
+    return res.status(400).send('Webhook Error: invalid JSON');
+  }
 
-    const customerDetails = session.customer_details || {};
-    const email = customerDetails.email;
-    const name = customerDetails.name;
+  if (event.model === 'payment' && event.body) {
+    const payment = event.body.payment || event.body;
 
-    if (email) {
+    if (payment.id && payment.status) {
       try {
-        await createTapfiliateAffiliateForEmail({ email, name });
+        await applyTrolleyPaymentStatus({ paymentId: payment.id, status: payment.status });
       } catch (err) {
-        console.error('Error creating Tapfiliate affiliate from Stripe webhook:', err);
+        console.error('Error applying Trolley payment update:', err);
+        return res.status(500).send('Error processing webhook');
       }
     }
   }
@@ -807,15 +838,245 @@ app.get('/partners', (req, res) => {
   res.sendFile(path.join(publicDir, 'partners.html'));
 });
 
+// The application schema lives in lib/ so the server can require it; the form loads the same file
+app.get('/js/application-schema.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'applicationSchema.js'));
+});
+
 app.get('/partners/apply', (req, res) => {
   res.sendFile(path.join(publicDir, 'partners-apply.html'));
 });
 
+app.get('/partners/apply/status', (req, res) => {
+  res.sendFile(path.join(publicDir, 'partners-apply-status.html'));
+});
+
 app.get('/partners/admin', (req, res) => {
   res.sendFile(path.join(publicDir, 'partners-admin.html'));
 });
 
-app.post('/api/partner-earnings/sync', requireAdmin, async (req, res) => {
+app.get('/partners/portal', (req, res) => {
+  res.sendFile(path.join(publicDir, 'partners-portal.html'));
+});
+
+// Partner portal - magic-link sign-in
+app.post('/api/partner-portal/login-link', async (req, res) => {
+  const { email } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Email is required.' });
+  }
+
+  try {
+    await requestPortalLoginLink({ email, ip: req.ip });
+  } catch (err) {
+    // Same response either way so the endpoint can't be used to discover partner emails
+    console.error('Error sending partner portal sign-in link:', err);
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'If that email belongs to a GIB Partner, a sign-in link is on its way.'
+  });
+});
+
+app.post('/api/partner-portal/session', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    const sessionToken = await redeemPortalLoginToken(token);
+    return res.status(200).json({ success: true, token: sessionToken });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error redeeming partner portal sign-in link:', err);
+    return res.status(500).json({ success: false, message: 'Error signing in.' });
+  }
+});
+
+app.post('/api/partner-portal/logout', requirePartner, async (req, res) => {
+  try {
+    await logoutPartner(req.partnerToken);
+    return res.status(200).json({ success: true, message: 'Signed out.' });
+  } catch (err) {
+    console.error('Error signing out partner:', err);
+    return res.status(500).json({ success: false, message: 'Error signing out.' });
+  }
+});
+
+app.get('/api/partner-portal/overview', requirePartner, async (req, res) => {
+  try {
+    const overview = await getPortalOverview(req.partner.id);
+    return res.status(200).json({ success: true, ...overview });
+  } catch (err) {
+    console.error('Error loading partner portal overview:', err);
+    return res.status(500).json({ success: false, message: 'Error loading your partner account.' });
+  }
+});
+
+// Own statement for one month - ?period=YYYY-MM&format=pdf|csv
+app.get('/api/partner-portal/statement', requirePartner, async (req, res) => {
+  try {
+    const { period, format } = req.query || {};
+    const statement = await getPartnerStatement(req.partner.id, parsePeriodParam(period));
+    return sendStatement(res, statement, format);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error generating partner portal statement:', err);
+    return res.status(500).json({ success: false, message: 'Error generating your statement.' });
+  }
+});
+
+app.post('/api/admin/login', async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({ success: false, message: 'Email and password are required.' });
+  }
+
+  try {
+    const { lockout, attemptId } = await beginLoginAttempt({ ip: req.ip, email });
+
+    if (lockout) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed admin attempts. Sign-in is locked until ${new Date(lockout.locked_until).toLocaleString()}.`
+      });
+    }
+
+    const session = await loginAdmin({
+      email,
+      password,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    await finishLoginAttempt({ attemptId, email, success: Boolean(session) });
+
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password.' });
+    }
+
+    await logAdminAction({ adminIdentifier: session.admin.email, action: 'login' });
+
+    return res.status(200).json({ success: true, token: session.token, admin: session.admin });
+  } catch (err) {
+    console.error('Error signing in admin:', err);
+    return res.status(500).json({ success: false, message: 'Error signing in.' });
+  }
+});
+
+app.post('/api/admin/logout', requireAdmin, async (req, res) => {
+  try {
+    await logoutAdmin(req.adminToken);
+    return res.status(200).json({ success: true, message: 'Signed out.' });
+  } catch (err) {
+    console.error('Error signing out admin:', err);
+    return res.status(500).json({ success: false, message: 'Error signing out.' });
+  }
+});
+
+app.get('/api/admin/me', requireAdmin, (req, res) => {
+  return res.status(200).json({ success: true, admin: req.admin });
+});
+
+app.get('/api/admin/lockouts', requireAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    return res.status(200).json({ success: true, lockouts });
+  } catch (err) {
+    console.error('Error fetching admin lockouts:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching lockouts.' });
+  }
+});
+
+// DELETE /api/admin/lockouts?scope=ip|account&key=<ip or email>
+app.delete('/api/admin/lockouts', requireAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { scope, key } = req.query || {};
+
+    if (!['ip', 'account'].includes(scope) || !key) {
+      return res.status(400).json({ success: false, message: 'scope (ip or account) and key are required.' });
+    }
+
+    const summary = await clearLockout({ scope, key, adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, summary });
+  } catch (err) {
+    console.error('Error clearing admin lockout:', err);
+    return res.status(500).json({ success: false, message: 'Error clearing lockout.' });
+  }
+});
+
+app.get('/api/admin-users', requireAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const admins = await listAdminUsers();
+    return res.status(200).json({ success: true, admins });
+  } catch (err) {
+    console.error('Error fetching admin users:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching admin users.' });
+  }
+});
+
+app.post('/api/admin-users', requireAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, role, password } = req.body || {};
+    const admin = await createAdminUser({ email, name, role, password });
+
+    await logAdminAction({
+      adminIdentifier: req.admin.email,
+      action: 'admin_user_create',
+      details: `Created ${admin.role} admin ${admin.email}`
+    });
+
+    return res.status(200).json({ success: true, admin });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error creating admin user:', err);
+    return res.status(500).json({ success: false, message: 'Error creating admin user.' });
+  }
+});
+
+app.patch('/api/admin-users/:id', requireAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, role, is_active: isActive, password } = req.body || {};
+
+    if (Number(req.params.id) === req.admin.id && (role !== undefined || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or deactivate yourself.'
+      });
+    }
+
+    const admin = await updateAdminUser(req.params.id, { name, role, isActive, password });
+
+    const changes = [
+      role !== undefined ? `role=${role}` : null,
+      isActive !== undefined ? `active=${Boolean(isActive)}` : null,
+      password !== undefined ? 'password reset' : null,
+      name !== undefined ? 'name updated' : null
+    ].filter(Boolean).join(', ');
+
+    await logAdminAction({
+      adminIdentifier: req.admin.email,
+      action: 'admin_user_update',
+      details: `Updated admin ${admin.email}: ${changes}`
+    });
+
+    return res.status(200).json({ success: true, admin });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error updating admin user:', err);
+    return res.status(500).json({ success: false, message: 'Error updating admin user.' });
+  }
+});
+
+app.post('/api/partner-earnings/sync', requireAdmin, requireRole('finance'), async (req, res) => {
   try {
     const { period } = req.body || {};
 
@@ -826,83 +1087,101 @@ app.post('/api/partner-earnings/sync', requireAdmin, async (req, res) => {
       });
     }
 
-    const summary = await syncPartnerEarningsFromTapfiliate(period);
+    const summary = await syncPartnerEarningsFromTapfiliate(period, { triggeredBy: req.admin.email });
+
+    // New earnings can move partners between tiers
+    await enqueueJob('tier_evaluation', { triggeredBy: req.admin.email });
 
     return res.status(200).json({ success: true, summary });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Error syncing partner earnings from Tapfiliate:', err);
     return res.status(500).json({ success: false, message: 'Error syncing partner earnings.' });
   }
 });
 
-// API route - partner application (placeholder implementation)
+// API route - partner application, validated against lib/applicationSchema.js and screened by
+// lib/applicationIntake.js before it is stored. Invalid fields come back as { errors: { field: message } }.
 app.post('/api/partner-application', async (req, res) => {
-  const { name, email, whatsapp, country, audience, platform, motivation, termsAccepted } = req.body;
-
-  if (!name || !email || !country || !motivation || !termsAccepted) {
-    return res.status(400).json({
-      success: false,
-      message: 'Missing required fields.'
-    });
-  }
+  const successMessage = 'Application submitted successfully. We will review and get back to you.';
 
   try {
-    const existing = await pool.query(
-      'SELECT id FROM partner_applications WHERE email = $1 LIMIT 1',
-      [email]
-    );
+    const screening = await screenApplication(req.body, { ip: req.ip });
 
-    if (existing.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'This email has already been used for a partner application.'
-      });
+    if (screening.spam) {
+      return res.status(200).json({ success: true, message: successMessage });
     }
 
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS partner_applications (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        whatsapp VARCHAR(50),
-        country VARCHAR(100) NOT NULL,
-        audience_size VARCHAR(50),
-        platform VARCHAR(255),
-        motivation TEXT NOT NULL,
-        terms_accepted BOOLEAN DEFAULT false,
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
+    const { application } = screening;
+    const { email } = application;
 
-    await pool.query(
-      `INSERT INTO partner_applications
-        (name, email, whatsapp, country, audience_size, platform, motivation, terms_accepted)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [
-        name,
-        email,
-        whatsapp || null,
-        country,
-        audience || null,
-        platform || null,
-        motivation,
-        true
-      ]
-    );
+    const submitted = await withTransaction(async (client) => {
+      // Checked again under the lock, for a submission of the same email that got in since screening
+      const duplicateId = await lockApplicationEmail(screening.emailNormalized, client);
+      if (duplicateId) return { duplicateId };
 
-    console.log('New partner application stored for:', email);
+      const inserted = await client.query(
+        `INSERT INTO partner_applications
+          (name, email, whatsapp, country, country_code, platform, platforms, motivation, terms_accepted,
+           email_normalized, whatsapp_normalized, audience_count, review_score, review_flags, submitted_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id`,
+        [
+          application.name,
+          email,
+          application.whatsapp,
+          COUNTRIES[application.country],
+          application.country,
+          application.platforms.map(({ platform }) => PLATFORMS[platform].label).join(', '),
+          JSON.stringify(application.platforms),
+          application.motivation,
+          true,
+          screening.emailNormalized,
+          screening.whatsappNormalized,
+          screening.audienceCount,
+          screening.score,
+          JSON.stringify(screening.flags),
+          req.ip || null
+        ]
+      );
 
-    // Fire-and-forget forwarding to landing waitlist; do not block or affect response on failure
-    forwardEmailToLanding(email).catch((err) => {
-      console.error('Unhandled waitlist forwarding error:', err);
+      await recordSubmission({
+        ip: req.ip,
+        emailNormalized: screening.emailNormalized,
+        outcome: 'accepted',
+        applicationId: inserted.rows[0].id
+      }, client);
+
+      await recordStatusChange({
+        applicationId: inserted.rows[0].id,
+        fromStatus: null,
+        toStatus: 'pending',
+        changedBy: 'applicant'
+      }, client);
+
+      // Queued in the same transaction, so the application is never stored without its follow-ups
+      await enqueueJob('waitlist_forward', { email }, { db: client });
+      await enqueueJob('email', { notification: 'application_received', id: inserted.rows[0].id }, { db: client });
+
+      return { statusToken: await issueStatusToken(inserted.rows[0].id, client) };
     });
 
-    return res.status(200).json({
-      success: true,
-      message: 'Application submitted successfully. We will review and get back to you.'
-    });
+    if (submitted.duplicateId) {
+      await rejectDuplicateApplication(submitted.duplicateId, {
+        ip: req.ip,
+        emailNormalized: screening.emailNormalized
+      });
+    }
+
+    console.log('New partner application stored for:', email);
+
+    return res.status(200).json({ success: true, message: successMessage, status_url: statusLinkPath(submitted.statusToken) });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message, errors: err.errors });
+    }
     console.error('Error saving partner application:', err);
     return res.status(500).json({
       success: false,
@@ -911,181 +1190,224 @@ app.post('/api/partner-application', async (req, res) => {
   }
 });
 
-app.get('/api/partner-applications/pending', requireAdmin, async (req, res) => {
+// Applicant status page - the token from the status link is the only credential
+app.get('/api/partner-application/status', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT id, name, email, whatsapp, country, audience_size, platform, motivation, status, created_at
-       FROM partner_applications
-       WHERE status = 'pending'
-       ORDER BY created_at DESC`
-    );
-
-    return res.status(200).json({ success: true, applications: result.rows });
+    const application = await getApplicationStatus(req.query.token);
+    return res.status(200).json({ success: true, application });
   } catch (err) {
-    console.error('Error fetching pending applications:', err);
-    return res.status(500).json({ success: false, message: 'Error fetching applications.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error loading application status:', err);
+    return res.status(500).json({ success: false, message: 'Error loading your application.' });
   }
 });
 
-app.get('/api/partner-applications/approved', requireAdmin, async (req, res) => {
+// Body: { token, motivation?, platforms? }; only while the application is pending
+app.patch('/api/partner-application/status', async (req, res) => {
+  const { token, ...changes } = req.body || {};
+
   try {
-    const result = await pool.query(
-      `SELECT id, name, email, whatsapp, country, audience_size, platform, motivation, status, created_at, approved_at
-       FROM partner_applications
-       WHERE status = 'approved'
-       ORDER BY approved_at DESC NULLS LAST, created_at DESC`
-    );
+    const { changed } = await updateApplicationByToken(token, changes, { ip: req.ip });
+    const application = await getApplicationStatus(token);
 
-    return res.status(200).json({ success: true, applications: result.rows });
+    return res.status(200).json({
+      success: true,
+      message: changed.length > 0 ? 'Your application has been updated.' : 'Nothing changed.',
+      changed,
+      application
+    });
   } catch (err) {
-    console.error('Error fetching approved applications:', err);
-    return res.status(500).json({ success: false, message: 'Error fetching applications.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message, errors: err.errors });
+    }
+    console.error('Error updating application:', err);
+    return res.status(500).json({ success: false, message: 'Error updating your application.' });
   }
 });
 
-app.get('/api/partner-applications/rejected', requireAdmin, async (req, res) => {
+// Applications - ?status=pending|under_review|approved|rejected|waitlisted plus the list parameters in
+// lib/listQuery.js (q, country, platform, from, to, sort, limit, cursor)
+app.get('/api/partner-applications', requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT id, name, email, whatsapp, country, audience_size, platform, motivation, status, created_at, approved_at, notes
-       FROM partner_applications
-       WHERE status = 'rejected'
-       ORDER BY approved_at DESC NULLS LAST, created_at DESC`
+    const { status } = req.query || {};
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      throw new ServiceError(`status must be one of: ${APPLICATION_STATUSES.join(', ')}.`);
+    }
+
+    const { rows, total, next_cursor: nextCursor } = await runListQuery(
+      {
+        select: `SELECT id, name, email, whatsapp, country, country_code, audience_size, audience_count, platform,
+         platforms, motivation, status, source, review_score, review_flags, created_at, approved_at, approved_by, notes`,
+        from: 'FROM partner_applications'
+      },
+      req.query,
+      {
+        search: ['name', 'email', 'whatsapp'],
+        contains: { country: 'country', platform: 'platform' },
+        exact: { status: 'status' },
+        dateColumn: 'created_at',
+        sorts: {
+          created_at: 'created_at',
+          approved_at: 'approved_at',
+          name: 'name',
+          email: 'email',
+          country: 'country',
+          review_score: 'review_score',
+          audience_count: 'audience_count'
+        },
+        defaultSort: status === 'approved' ? '-approved_at' : '-created_at',
+        id: 'id'
+      }
     );
 
-    return res.status(200).json({ success: true, applications: result.rows });
+    return res.status(200).json({ success: true, applications: rows, total, next_cursor: nextCursor });
   } catch (err) {
-    console.error('Error fetching rejected applications:', err);
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching applications:', err);
     return res.status(500).json({ success: false, message: 'Error fetching applications.' });
   }
 });
 
-app.post('/api/partner-applications/:id/approve', requireAdmin, async (req, res) => {
-  const { id } = req.params;
-
+// One application with its status history, admin log entries and partner
+app.get('/api/partner-applications/:id', requireAdmin, async (req, res) => {
   try {
-    await pool.query(
-      `ALTER TABLE partner_applications
-         ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
-         ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255),
-         ADD COLUMN IF NOT EXISTS notes TEXT`
-    );
-
-    await pool.query(
-      `UPDATE partner_applications
-       SET status = 'approved', approved_at = NOW(), approved_by = $1
-       WHERE id = $2`,
-      ['admin', id]
-    );
-
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
+    const detail = await getApplication(req.params.id);
+    return res.status(200).json({ success: true, ...detail });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching application:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching application.' });
+  }
+});
 
-    await pool.query(
-      `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
-       VALUES ($1, $2, $3, $4)`,
-      ['admin', 'approve', id, null]
-    );
+// POST /api/partner-applications/:id/{review,approve,reject,waitlist,reopen} - body { reason }
+// (required to reopen). The allowed moves are APPLICATION_ACTIONS in lib/applications.js.
+for (const action of Object.keys(APPLICATION_ACTIONS)) {
+  app.post(`/api/partner-applications/:id/${action}`, requireAdmin, requireRole('reviewer'), async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      const application = await transitionApplication(req.params.id, action, {
+        adminIdentifier: req.admin.email,
+        reason
+      });
 
-    await ensureV2Tables();
+      return res.status(200).json({
+        success: true,
+        message: `Partner application ${application.status.replace(/_/g, ' ')}.`,
+        application
+      });
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error(`Error updating application (${action}):`, err);
+      return res.status(500).json({ success: false, message: 'Error updating application.' });
+    }
+  });
+}
 
-    await pool.query(
-      `INSERT INTO partners (application_id)
-       VALUES ($1)
-       ON CONFLICT (application_id) DO NOTHING`,
-      [id]
+// List parameters as in lib/listQuery.js, plus an exact ?action=
+app.get('/api/admin-logs', requireAdmin, async (req, res) => {
+  try {
+    const { rows, total, next_cursor: nextCursor } = await runListQuery(
+      {
+        select: 'SELECT id, admin_identifier, action, application_id, details, created_at',
+        from: 'FROM admin_logs'
+      },
+      req.query,
+      {
+        search: ['admin_identifier', 'action', 'details'],
+        exact: { action: 'action', admin: 'admin_identifier' },
+        dateColumn: 'created_at',
+        sorts: { created_at: 'created_at', action: 'action', admin: 'admin_identifier' },
+        defaultSort: '-created_at',
+        id: 'id'
+      }
     );
 
-    // Fire-and-forget Tapfiliate sync; do not block or affect response on failure
-    syncTapfiliateAffiliate(id).catch((err) => {
-      console.error('Unhandled Tapfiliate sync error:', err);
-    });
-
-    return res.status(200).json({ success: true, message: 'Partner application approved.' });
+    return res.status(200).json({ success: true, logs: rows, total, next_cursor: nextCursor });
   } catch (err) {
-    console.error('Error approving application:', err);
-    return res.status(500).json({ success: false, message: 'Error approving application.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching admin logs:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching admin logs.' });
   }
 });
 
-app.post('/api/partner-applications/:id/reject', requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const { reason } = req.body || {};
-
+// Background jobs - ?status=pending|running|succeeded|dead&type=...
+app.get('/api/jobs', requireAdmin, async (req, res) => {
   try {
-    await pool.query(
-      `ALTER TABLE partner_applications
-         ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
-         ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255),
-         ADD COLUMN IF NOT EXISTS notes TEXT`
-    );
-
-    await pool.query(
-      `UPDATE partner_applications
-       SET status = 'rejected', notes = $1
-       WHERE id = $2`,
-      [reason || null, id]
-    );
-
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
-
-    await pool.query(
-      `INSERT INTO admin_logs (admin_identifier, action, application_id, details)
-       VALUES ($1, $2, $3, $4)`,
-      ['admin', 'reject', id, reason || null]
-    );
+    const { status, type, limit } = req.query;
+    const { jobs, counts } = await listJobs({ status, type, limit });
+    return res.status(200).json({ success: true, jobs, counts });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching jobs:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching jobs.' });
+  }
+});
 
-    return res.status(200).json({ success: true, message: 'Partner application rejected.' });
+// Tapfiliate sync history; a failed run is resumed by the next sync of the same kind and period
+app.get('/api/sync-runs', requireAdmin, async (req, res) => {
+  try {
+    const { kind, status, limit } = req.query;
+    const runs = await listSyncRuns({ kind, status, limit });
+    return res.status(200).json({ success: true, runs });
   } catch (err) {
-    console.error('Error rejecting application:', err);
-    return res.status(500).json({ success: false, message: 'Error rejecting application.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching sync runs:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching sync runs.' });
   }
 });
 
-app.get('/api/admin-logs', requireAdmin, async (req, res) => {
+app.get('/api/sync-schedule', requireAdmin, async (req, res) => {
   try {
-    await pool.query(
-      `CREATE TABLE IF NOT EXISTS admin_logs (
-        id SERIAL PRIMARY KEY,
-        admin_identifier VARCHAR(255),
-        action VARCHAR(50),
-        application_id INT,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    );
+    const [schedule, runs, periods] = await Promise.all([getSchedule(), listScheduledRuns(), listAccountingPeriods()]);
+    return res.status(200).json({ success: true, schedule, runs, periods });
+  } catch (err) {
+    console.error('Error fetching sync schedule:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching sync schedule.' });
+  }
+});
 
-    const result = await pool.query(
-      `SELECT id, admin_identifier, action, application_id, details, created_at
-       FROM admin_logs
-       ORDER BY created_at DESC
-       LIMIT 200`
-    );
+app.patch('/api/sync-schedule', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.body || {}, { adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, schedule });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error updating sync schedule:', err);
+    return res.status(500).json({ success: false, message: 'Error updating sync schedule.' });
+  }
+});
 
-    return res.status(200).json({ success: true, logs: result.rows });
+app.post('/api/jobs/:id/retry', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id, { adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, job });
   } catch (err) {
-    console.error('Error fetching admin logs:', err);
-    return res.status(500).json({ success: false, message: 'Error fetching admin logs.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error retrying job:', err);
+    return res.status(500).json({ success: false, message: 'Error retrying job.' });
   }
 });
 
-app.post('/api/partner-earnings/test', requireAdmin, async (req, res) => {
+app.post('/api/partner-earnings/test', requireAdmin, requireRole('finance'), async (req, res) => {
   try {
     const {
       partner_id: partnerId,
@@ -1093,7 +1415,8 @@ app.post('/api/partner-earnings/test', requireAdmin, async (req, res) => {
       currency,
       gross_revenue: grossRevenue,
       net_revenue: netRevenue,
-      commission_rate: commissionRate
+      commission_rate: commissionRate,
+      conversion_count: conversionCount
     } = req.body || {};
 
     if (!partnerId || !period || !currency) {
@@ -1103,95 +1426,591 @@ app.post('/api/partner-earnings/test', requireAdmin, async (req, res) => {
       });
     }
 
+    const periodDate = parsePeriodParam(period);
+
+    // An explicit commission_rate overrides the rules (and records no rule)
+    const resolved = commissionRate == null || commissionRate === ''
+      ? await resolveCommissionRate({ partnerId, period: periodDate, currency, netRevenue })
+      : { rate: commissionRate, rule: null };
+
     const row = await upsertPartnerEarnings({
       partnerId,
-      period,
+      period: periodDate,
       currency,
       grossRevenue,
       netRevenue,
-      commissionRate
+      commissionRate: resolved.rate,
+      commissionRuleId: resolved.rule ? resolved.rule.id : null,
+      conversionCount
     });
 
-    return res.status(200).json({ success: true, earnings: row });
+    return res.status(200).json({ success: true, earnings: row, commission_rule: resolved.rule });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Error creating test partner earnings:', err);
     return res.status(500).json({ success: false, message: 'Error creating test earnings.' });
   }
 });
 
+// Earnings rows for the Earnings tab and the export
+const PARTNER_EARNINGS_LIST = {
+  select: `SELECT
+       pe.id,
+       pe.partner_id,
+       pe.period,
+       pe.currency,
+       pe.gross_revenue,
+       pe.net_revenue,
+       pe.commission_rate,
+       pe.commission_amount,
+       pe.commission_rule_id,
+       cr.name AS commission_rule_name,
+       pe.conversion_count,
+       pe.entry_type,
+       pe.adjusts_period,
+       (ap.status = 'closed') AS period_closed,
+       pe.reporting_currency,
+       pe.fx_rate,
+       pe.fx_rate_date,
+       pe.gross_revenue_reporting,
+       pe.net_revenue_reporting,
+       pe.commission_amount_reporting,
+       pe.source,
+       pe.created_at,
+       p.tier,
+       pa.name,
+       pa.email,
+       pa.country`,
+  from: `FROM partner_earnings pe
+     JOIN partners p ON p.id = pe.partner_id
+     LEFT JOIN partner_applications pa ON pa.id = p.application_id
+     LEFT JOIN commission_rules cr ON cr.id = pe.commission_rule_id
+     LEFT JOIN accounting_periods ap ON ap.period = pe.period`
+};
+
+// Optionally for one month (YYYY-MM)
+// ?period=YYYY-MM is optional; anything else is a 400
+function partnerEarningsPeriodFilter(period) {
+  return period ? { where: ['pe.period = $1'], params: [parsePeriodParam(period)] } : { where: [], params: [] };
+}
+
+// Every row, for the export
+async function listPartnerEarnings(period) {
+  const { where, params } = partnerEarningsPeriodFilter(period);
+
+  const result = await pool.query(
+    `${PARTNER_EARNINGS_LIST.select}
+     ${PARTNER_EARNINGS_LIST.from}
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY pe.period DESC, pe.created_at DESC`,
+    params
+  );
+
+  return result.rows;
+}
+
+// ?period=YYYY-MM plus the list parameters in lib/listQuery.js (q, country, from, to, sort, limit,
+// cursor) and an exact ?currency=. Totals (in the reporting currency) cover every matching row,
+// not just the page.
 app.get('/api/partner-earnings', requireAdmin, async (req, res) => {
   try {
-    await ensureV2Tables();
+    const { period } = req.query || {};
+    const { rows, total, next_cursor: nextCursor, summary } = await runListQuery(
+      { ...PARTNER_EARNINGS_LIST, ...partnerEarningsPeriodFilter(period) },
+      req.query,
+      {
+        search: ['pa.name', 'pa.email'],
+        contains: { country: 'pa.country' },
+        exact: { currency: 'pe.currency' },
+        dateColumn: 'pe.period',
+        sorts: {
+          created_at: 'pe.created_at',
+          period: 'pe.period',
+          name: 'pa.name',
+          gross_revenue: 'pe.gross_revenue',
+          net_revenue: 'pe.net_revenue',
+          commission_amount: 'pe.commission_amount',
+          commission_amount_reporting: 'pe.commission_amount_reporting'
+        },
+        defaultSort: '-created_at',
+        id: 'pe.id',
+        summary: `COALESCE(SUM(pe.gross_revenue_reporting), 0) AS gross,
+          COALESCE(SUM(pe.net_revenue_reporting), 0) AS net,
+          COALESCE(SUM(pe.commission_amount_reporting), 0) AS commission,
+          COUNT(*) FILTER (WHERE pe.commission_amount_reporting IS NULL)::int AS missing_rates`
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      earnings: rows,
+      total,
+      next_cursor: nextCursor,
+      reporting_currency: REPORTING_CURRENCY,
+      totals: {
+        currency: REPORTING_CURRENCY,
+        gross: Number(Number(summary.gross).toFixed(2)),
+        net: Number(Number(summary.net).toFixed(2)),
+        commission: Number(Number(summary.commission).toFixed(2)),
+        missing_rates: summary.missing_rates
+      }
+    });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching partner earnings:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching partner earnings.' });
+  }
+});
 
+app.get('/api/partner-earnings/export', requireAdmin, async (req, res) => {
+  try {
     const { period } = req.query || {};
+    const earnings = await listPartnerEarnings(period);
+
+    return res.status(200).json({
+      success: true,
+      reporting_currency: REPORTING_CURRENCY,
+      totals: reportingTotals(earnings),
+      earnings
+    });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error exporting partner earnings:', err);
+    return res.status(500).json({ success: false, message: 'Error exporting earnings.' });
+  }
+});
+
+app.get('/api/partner-earnings/:id/conversions', requireAdmin, async (req, res) => {
+  try {
+    const { earnings, conversions, adjustments } = await getEarningsConversions(req.params.id);
+    return res.status(200).json({ success: true, earnings, conversions, adjustments });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error fetching earnings conversions:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching conversions.' });
+  }
+});
 
-    const params = [];
-    let whereClause = '';
+// Closed months and who closed / reopened them
+app.get('/api/accounting-periods', requireAdmin, async (req, res) => {
+  try {
+    const periods = await listAccountingPeriods();
+    return res.status(200).json({ success: true, periods });
+  } catch (err) {
+    console.error('Error fetching accounting periods:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching accounting periods.' });
+  }
+});
+
+// POST /api/accounting-periods/:period/{close,reopen} - :period is YYYY-MM; body { reason }
+// (required to reopen)
+const ACCOUNTING_PERIOD_ACTIONS = {
+  close: closePeriod,
+  reopen: reopenPeriod
+};
 
-    if (period) {
-      // Expect period like '2025-01'; compare year-month
-      params.push(`${period}-01`);
-      whereClause = 'WHERE pe.period = $1';
+for (const [action, apply] of Object.entries(ACCOUNTING_PERIOD_ACTIONS)) {
+  app.post(`/api/accounting-periods/:period/${action}`, requireAdmin, requireRole('finance'), async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      const period = await apply(parsePeriodParam(req.params.period), {
+        adminIdentifier: req.admin.email,
+        reason: reason || null
+      });
+
+      return res.status(200).json({ success: true, period });
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error(`Error updating accounting period (${action}):`, err);
+      return res.status(500).json({ success: false, message: 'Error updating accounting period.' });
     }
+  });
+}
 
-    const result = await pool.query(
-      `SELECT
-         pe.id,
-         pe.partner_id,
-         pe.period,
-         pe.currency,
-         pe.gross_revenue,
-         pe.net_revenue,
-         pe.commission_rate,
-         pe.commission_amount,
-         pe.source,
-         pe.created_at,
-         p.tier,
-         pa.name,
-         pa.email,
-         pa.country
-       FROM partner_earnings pe
-       JOIN partners p ON p.id = pe.partner_id
-       LEFT JOIN partner_applications pa ON pa.id = p.application_id
-       ${whereClause}
-       ORDER BY pe.period DESC, pe.created_at DESC`,
-      params
+// FX rates into the reporting currency - ?currency=eur&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/fx-rates', requireAdmin, async (req, res) => {
+  try {
+    const rates = await listFxRates(req.query || {});
+    return res.status(200).json({ success: true, reporting_currency: REPORTING_CURRENCY, rates });
+  } catch (err) {
+    console.error('Error fetching FX rates:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching FX rates.' });
+  }
+});
+
+// Body is the CSV itself (Content-Type: text/csv)
+app.post(
+  '/api/fx-rates/import',
+  requireAdmin,
+  requireRole('finance'),
+  express.text({ type: 'text/csv', limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const summary = await importFxCsv(req.body, { adminIdentifier: req.admin.email });
+      return res.status(200).json({ success: true, summary });
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Error importing FX rates:', err);
+      return res.status(500).json({ success: false, message: 'Error importing FX rates.' });
+    }
+  }
+);
+
+app.post('/api/fx-rates/fetch', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    validateRateRange(from, to);
+
+    await enqueueJob('fx_rates_fetch', { from, to, triggeredBy: req.admin.email });
+
+    return res.status(200).json({ success: true, message: 'FX rate fetch queued.' });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error queueing FX rate fetch:', err);
+    return res.status(500).json({ success: false, message: 'Error queueing FX rate fetch.' });
+  }
+});
+
+app.get('/api/commission-rules', requireAdmin, async (req, res) => {
+  try {
+    const rules = await listCommissionRules();
+    return res.status(200).json({ success: true, rules });
+  } catch (err) {
+    console.error('Error fetching commission rules:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching commission rules.' });
+  }
+});
+
+app.post('/api/commission-rules', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const rule = await createCommissionRule(req.body, { adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, rule });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error creating commission rule:', err);
+    return res.status(500).json({ success: false, message: 'Error creating commission rule.' });
+  }
+});
+
+app.patch('/api/commission-rules/:id', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const rule = await updateCommissionRule(req.params.id, req.body, { adminIdentifier: req.admin.email });
+    return res.status(200).json({ success: true, rule });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error updating commission rule:', err);
+    return res.status(500).json({ success: false, message: 'Error updating commission rule.' });
+  }
+});
+
+app.get('/api/partner-tiers', requireAdmin, async (req, res) => {
+  try {
+    const tiers = await listTiers();
+    return res.status(200).json({ success: true, tiers });
+  } catch (err) {
+    console.error('Error fetching partner tiers:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching partner tiers.' });
+  }
+});
+
+app.patch('/api/partner-tiers/:name', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const {
+      label,
+      min_trailing_net: minTrailingNet,
+      min_trailing_conversions: minTrailingConversions
+    } = req.body || {};
+
+    const tier = await updateTier(
+      req.params.name,
+      { label, minTrailingNet, minTrailingConversions },
+      { adminIdentifier: req.admin.email }
     );
 
-    return res.status(200).json({ success: true, earnings: result.rows });
+    return res.status(200).json({ success: true, tier });
   } catch (err) {
-    console.error('Error fetching partner earnings:', err);
-    return res.status(500).json({ success: false, message: 'Error fetching partner earnings.' });
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error updating partner tier:', err);
+    return res.status(500).json({ success: false, message: 'Error updating partner tier.' });
   }
 });
 
-app.get('/api/partners', requireAdmin, async (req, res) => {
+app.post('/api/partner-tiers/evaluate', requireAdmin, requireRole('finance'), async (req, res) => {
   try {
-    await ensureV2Tables();
+    const job = await enqueueJob('tier_evaluation', { triggeredBy: req.admin.email });
+    return res.status(200).json({ success: true, message: 'Tier evaluation queued.', job });
+  } catch (err) {
+    console.error('Error queueing tier evaluation:', err);
+    return res.status(500).json({ success: false, message: 'Error queueing tier evaluation.' });
+  }
+});
 
-    const result = await pool.query(
-      `SELECT
+// List parameters as in lib/listQuery.js (q, country, from, to, sort, limit, cursor), plus exact
+// ?status= and ?tier=
+app.get('/api/partners', requireAdmin, async (req, res) => {
+  try {
+    const { rows, total, next_cursor: nextCursor } = await runListQuery(
+      {
+        select: `SELECT
          p.id,
          p.application_id,
          p.tapfiliate_affiliate_id,
          p.trolley_recipient_id,
          p.tier,
+         p.tier_changed_at,
+         p.status,
+         p.status_reason,
          p.created_at,
          COALESCE(p.name, pa.name) AS name,
          COALESCE(p.email, pa.email) AS email,
-         COALESCE(p.country, pa.country) AS country
-       FROM partners p
-       LEFT JOIN partner_applications pa ON pa.id = p.application_id
-       ORDER BY p.created_at DESC`
+         COALESCE(p.country, pa.country) AS country`,
+        from: `FROM partners p
+       LEFT JOIN partner_applications pa ON pa.id = p.application_id`
+      },
+      req.query,
+      {
+        search: ['COALESCE(p.name, pa.name)', 'COALESCE(p.email, pa.email)', 'p.tapfiliate_affiliate_id'],
+        contains: { country: 'COALESCE(p.country, pa.country)', platform: 'pa.platform' },
+        exact: { status: 'p.status', tier: 'p.tier' },
+        dateColumn: 'p.created_at',
+        sorts: {
+          created_at: 'p.created_at',
+          name: 'COALESCE(p.name, pa.name)',
+          email: 'COALESCE(p.email, pa.email)',
+          country: 'COALESCE(p.country, pa.country)',
+          tier: 'p.tier'
+        },
+        defaultSort: '-created_at',
+        id: 'p.id'
+      }
     );
 
-    return res.status(200).json({ success: true, partners: result.rows });
+    const { progress, months } = await getTierProgress();
+    const partners = rows.map((partner) => ({ ...partner, tier_progress: progress[partner.id] || null }));
+
+    return res.status(200).json({ success: true, partners, total, next_cursor: nextCursor, tier_window_months: months });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Error fetching partners:', err);
     return res.status(500).json({ success: false, message: 'Error fetching partners.' });
   }
 });
 
+// Sends a statement as a PDF or CSV download, or as JSON
+async function sendStatement(res, statement, format = 'pdf') {
+  if (format === 'json') {
+    return res.status(200).json({ success: true, statement });
+  }
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${statementFilename(statement, 'csv')}"`);
+    return res.status(200).send(renderStatementCsv(statement));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderStatementPdf(statement);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${statementFilename(statement, 'pdf')}"`);
+    return res.status(200).send(pdf);
+  }
+
+  throw new ServiceError('format must be one of: pdf, csv, json.');
+}
+
+// One partner's statement for a month - ?period=YYYY-MM&format=pdf|csv|json
+app.get('/api/partners/:id/statement', requireAdmin, async (req, res) => {
+  try {
+    const { period, format } = req.query || {};
+    const statement = await getPartnerStatement(req.params.id, parsePeriodParam(period));
+    return sendStatement(res, statement, format);
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error generating partner statement:', err);
+    return res.status(500).json({ success: false, message: 'Error generating statement.' });
+  }
+});
+
+// Every partner's statement for a month as one zip - ?period=YYYY-MM
+app.get('/api/partner-statements/zip', requireAdmin, async (req, res) => {
+  try {
+    const period = parsePeriodParam((req.query || {}).period);
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="statements-${period.slice(0, 7)}.zip"`);
+    await writeStatementsZip(period, res);
+  } catch (err) {
+    // Once the zip has started there is no way to report the error but to cut the download short
+    if (res.headersSent) {
+      console.error('Error writing statements zip:', err);
+      return res.destroy(err);
+    }
+    res.removeHeader('Content-Disposition');
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error generating statements zip:', err);
+    return res.status(500).json({ success: false, message: 'Error generating statements.' });
+  }
+});
+
+app.post('/api/partners/:id/trolley-recipient', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const recipientId = await ensureTrolleyRecipient(req.params.id);
+    return res.status(200).json({ success: true, trolley_recipient_id: recipientId });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error creating Trolley recipient:', err);
+    return res.status(500).json({ success: false, message: 'Error creating Trolley recipient.' });
+  }
+});
+
+app.get('/api/payout-batches', requireAdmin, async (req, res) => {
+  try {
+    const batches = await listPayoutBatches();
+    return res.status(200).json({ success: true, batches });
+  } catch (err) {
+    console.error('Error fetching payout batches:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching payout batches.' });
+  }
+});
+
+// Build a draft payout batch from partner_earnings for a period range (YYYY-MM .. YYYY-MM)
+app.post('/api/payout-batches', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const {
+      period_start: periodStart,
+      period_end: periodEnd,
+      minimum_amount: minimumAmount,
+      notes
+    } = req.body || {};
+
+    const batch = await buildPayoutBatch({
+      periodStart,
+      periodEnd,
+      minimumAmount,
+      notes,
+      adminIdentifier: req.admin.email
+    });
+
+    return res.status(200).json({ success: true, batch });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error building payout batch:', err);
+    return res.status(500).json({ success: false, message: 'Error building payout batch.' });
+  }
+});
+
+app.get('/api/payout-batches/:id', requireAdmin, async (req, res) => {
+  try {
+    const batch = await getPayoutBatch(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Payout batch not found.' });
+    }
+
+    return res.status(200).json({ success: true, batch });
+  } catch (err) {
+    console.error('Error fetching payout batch:', err);
+    return res.status(500).json({ success: false, message: 'Error fetching payout batch.' });
+  }
+});
+
+// Submits the batch to Trolley when it is configured; otherwise just records that it was sent by hand
+app.post('/api/payout-batches/:id/send', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+
+    const batch = isTrolleyConfigured()
+      ? await submitPayoutBatchToTrolley(req.params.id, { adminIdentifier: req.admin.email })
+      : await transitionPayoutBatch(req.params.id, 'sent', { adminIdentifier: req.admin.email, notes });
+
+    await enqueueJob('email', { notification: 'payout_batch_sent', id: batch.id });
+
+    return res.status(200).json({ success: true, batch });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error sending payout batch:', err);
+    return res.status(500).json({ success: false, message: 'Error sending payout batch.' });
+  }
+});
+
+// Pull payment statuses from Trolley (fallback when webhooks are missed)
+app.post('/api/payout-batches/:id/trolley-refresh', requireAdmin, requireRole('finance'), async (req, res) => {
+  try {
+    const summary = await refreshPayoutBatchFromTrolley(req.params.id, { adminIdentifier: req.admin.email });
+    const batch = await getPayoutBatch(req.params.id);
+    return res.status(200).json({ success: true, summary, batch });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Error refreshing payout batch from Trolley:', err);
+    return res.status(500).json({ success: false, message: 'Error refreshing payout batch from Trolley.' });
+  }
+});
+
+// POST /api/payout-batches/:id/{approve,mark-paid,mark-failed,cancel}
+const PAYOUT_BATCH_ACTIONS = {
+  approve: 'approved',
+  'mark-paid': 'paid',
+  'mark-failed': 'failed',
+  cancel: 'cancelled'
+};
+
+for (const [action, toStatus] of Object.entries(PAYOUT_BATCH_ACTIONS)) {
+  app.post(`/api/payout-batches/:id/${action}`, requireAdmin, requireRole('finance'), async (req, res) => {
+    try {
+      const { notes } = req.body || {};
+
+      const batch = await transitionPayoutBatch(req.params.id, toStatus, {
+        adminIdentifier: req.admin.email,
+        notes
+      });
+
+      return res.status(200).json({ success: true, batch });
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error(`Error updating payout batch (${action}):`, err);
+      return res.status(500).json({ success: false, message: 'Error updating payout batch.' });
+    }
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`GIB Partnership server running on http://localhost:${PORT}`);
+  startJobWorker();
+  startScheduler();
 });